@@ -1,14 +1,28 @@
 // =============================
 // Drone-Ampel-App – stabile Version (Island)
 // + Leaflet-Karte + Pin + 500m-Kreis
-// + Aviation / Schutzgebiete via WMS GetFeatureInfo
-// + Overlays (WMS GetMap) schaltbar + Opacity
+// + Aviation / Schutzgebiete via WFS-Geometrie (Punkt-in-Polygon), Fallback WMS GetFeatureInfo
+// + Overlays schaltbar + Opacity: Zonen als Vektor (WFS, Farbe nach Art, Tooltip, Attribute per Klick), Raster (WMS) als Fallback
+// + Einsatzgebiet (Kreis/Polygon) als Fläche prüfen: Worst-Case + betroffene Bereiche
+// + Flugroute (Wegpunkte): Ampel je Segment, Konflikte auf der Karte hervorgehoben
+// + Stapelprüfung: CSV/Liste, sortierbare Tabelle, CSV-Export
+// + Grenznähe ohne WFS: adaptive Radar-Stichproben (mehrere Ringe, Richtung/Abstand geschätzt, Budget)
+// + Fetch-Scheduler: Parallelität je Host, Backoff-Wiederholungen, geteilte Anfragen
+// + "Warum diese Farbe?": Trace aller ausgewerteten Regeln unter der Ampel
+// + Dienst-Erkennung: WMS GetCapabilities je Quelle (INFO_FORMATs, Titel, BBox, TIME, fehlende Layer)
+// + Ortssuche offline: Gazetteer + Spot-Kataloge, unabhängig von Akzenten (Pin setzen + prüfen)
+// + Legende je aktivem Overlay: Vektor-Farben + WMS GetLegendGraphic (lesbar auf dunklem Theme)
+// + Basiskarten: OSM / Topografisch / Relief, je Karte geordnete Fallback-Kette mit Rückschaltung
+// + Offline-Kartenpakete: Rechteck + Zoom-Bereich in Cache Storage, Basiskarte liest zuerst aus dem Cache
+// + Quellen-Status: letzter Erfolg, Latenz, Fehlerquote, Format je externer Quelle (Server vs. Verbindung)
+// + Persistenter Cache (IndexedDB) für Zonen, Wetter, IMO-Stationen, Kp – veraltete Daten mit "Stand: vor …"
+// + GPS-Genauigkeit: berührt der Unsicherheitskreis eine Zone, höchstens GELB (mit Begründung)
 // + Semantik:
-//    ROT  = Aviation-HIT (regelrelevant) ODER Flughafen-Policy (5km) [Standardmodus]
-//    GELB = Schutzgebiet oder Grenznähe
+//    ROT  = Aviation-HIT (regelrelevant) ODER Flugplatz-Policy (Pistentrichter / Radius je Platz) [Standardmodus]
+//    GELB = Schutzgebiet, Grenznähe oder Flughafen-Ring seitlich der Pisten
 //    INFO = Aviation-Kontext (Hinweis, kein Feature-Hit)
 //    GRÜN = nichts
-// + Expertenmodus: ignoriert Flughafen-Policy und zeigt rein datengestützt
+// + Profile (Einsteiger / Standard / Profi-Specific): Schwellen für Flugplatz-Policy, Grenznähe, Schutzgebiete
 // =============================
 
 // --- 1) Aviation / Drohnenkarte (Samgöngustofa) ---
@@ -77,9 +91,85 @@ let lastInsideCoords = { lat: 64.9, lon: -18.6 };
 let lastOutsideWarnAt = 0;
 
 
-// Grenz-Nähe (Radar)
+// Open Category: max. Flughöhe über Grund (EASA)
+const OPEN_CATEGORY_MAX_AGL_M = 120;
+// Höhen-Puffer: so knapp unter einer Höhengrenze -> GELB statt GRÜN (Baro/GPS-Höhe ist ungenau)
+const ALTITUDE_MARGIN_M = 10;
+
+// Grenz-Nähe (Radar) – Default, das aktive Profil kann abweichen (POLICY_PROFILES)
 const NEAR_DISTANCE_M = 500;
-const RADAR_POINTS = 8;
+// Radar-Stichproben (nur Quellen ohne WFS-Geometrie): Ringe von innen nach außen, Winkel je Ring
+// versetzt; um Treffer herum wird Richtung und Abstand der Grenze nachgeschärft.
+const RADAR_POINTS = 8;            // Winkel pro Ring
+const RADAR_RINGS = 3;             // Radien: nearM * k / RADAR_RINGS
+const RADAR_REFINE_STEPS = 3;      // Halbierungen des Abstands entlang der Treffer-Richtung
+// Nachschärfen: 2 Nachbarwinkel + 1 Kontrolle + Halbierungen – wird vom Ring-Budget freigehalten
+const RADAR_REFINE_RESERVE = 2 + 1 + RADAR_REFINE_STEPS;
+// max. Abfragen (Punkt × Quelle) pro Near-Check: reicht für zwei Quellen mit allen Ringen + Nachschärfen
+const RADAR_REQUEST_BUDGET = 2 * (RADAR_RINGS * RADAR_POINTS + RADAR_REFINE_RESERVE);
+// GPS-Genauigkeit: der Unsicherheitskreis wird gegen die Zonen geprüft (bis zu diesem Radius)
+const GPS_ACCURACY_MAX_CHECK_M = 1000;
+
+// =============================
+// Policy-Profile (Schwellen je Erfahrung/Betriebskategorie)
+//   airportPolicy        – Flugplatz-Policy als Ampel (false = nur Hinweis, wie früher "Expertenmodus")
+//   airportRadiusScale   – Faktor auf den Policy-Radius je Platz
+//   runwaySideSeverity   – seitlich der Pisten im Radius: "warn" (GELB) oder "no" (ROT)
+//   nearDistanceM        – Grenznähe-Schwelle
+//   protectedSeverity    – Schutzgebiet-Treffer: "warn" (GELB) oder "no" (ROT)
+//   greenRequires        – Datenlage für GRÜN: "full" (Vertrauen "hoch", keine Wiederholungen),
+//                          "sources" (alle Quellen erreichbar), "partial" (auch bei Teilausfall);
+//                          ganz ohne Quellen und mit Zonen-Daten aus veraltetem Cache gibt es nie GRÜN
+// =============================
+const POLICY_PROFILES = [
+  {
+    id: "beginner",
+    label: "Einsteiger",
+    hint: "Größere Flugplatz-Ringe (×1.5), Grenznähe 1 km, Schutzgebiete ROT, GRÜN nur bei voller Datenlage.",
+    airportPolicy: true,
+    airportRadiusScale: 1.5,
+    runwaySideSeverity: "no",
+    nearDistanceM: 1000,
+    protectedSeverity: "no",
+    greenRequires: "full",
+  },
+  {
+    id: "standard",
+    label: "Standard",
+    hint: "Flugplatz-Policy mit Pistentrichtern, Grenznähe 500 m, Schutzgebiete GELB.",
+    airportPolicy: true,
+    airportRadiusScale: 1,
+    runwaySideSeverity: "warn",
+    nearDistanceM: NEAR_DISTANCE_M,
+    protectedSeverity: "warn",
+    greenRequires: "sources",
+  },
+  {
+    id: "specific",
+    label: "Profi/Specific",
+    hint: "Flugplatz-Policy nur als Hinweis (rein datengestützt), Grenznähe 250 m, GRÜN auch bei Teilausfall einer Quelle (nie mit veralteten Zonen-Daten).",
+    airportPolicy: false,
+    airportRadiusScale: 1,
+    runwaySideSeverity: "warn",
+    nearDistanceM: 250,
+    protectedSeverity: "warn",
+    greenRequires: "partial",
+  },
+];
+const DEFAULT_PROFILE_ID = "standard";
+const PROFILE_STORAGE_KEY = "da_policy_profile_v1";
+
+function getPolicyProfile(id) {
+  return POLICY_PROFILES.find((p) => p.id === id) || POLICY_PROFILES.find((p) => p.id === DEFAULT_PROFILE_ID);
+}
+
+// Reicht die Datenlage für GRÜN? (siehe greenRequires)
+function profileAllowsGreen(profile, confidence, hasErrors, staleData = false) {
+  if (confidence === "niedrig" || staleData) return false;
+  if (profile.greenRequires === "full") return confidence === "hoch";
+  if (profile.greenRequires === "partial") return true;
+  return !hasErrors;
+}
 
 // UI/Requests
 const PIN_DRAG_DECIMALS = 4;
@@ -93,22 +183,142 @@ const CACHE_ROUND_DECIMALS = 5;
 const GFI_CRS = "EPSG:3857";
 const GFI_HALFBOX_M = 150; // 150m in jede Richtung (Box 300m)
 
+// WFS GetFeature (echte Zonen-Geometrien, Punkt-in-Polygon lokal)
+// Abgefragt wird ein Fenster um den Punkt; solange ein späterer Punkt in diesem Fenster liegt,
+// wird lokal gerechnet (kein weiterer Request, z.B. für den Radar-Check).
+const WFS_SEARCH_RADIUS_M = 2000;
+const WFS_MAX_FEATURES = 200;
+// BBOX immer mit CRS: ohne liest GeoServer sie im nativen CRS des Layers (z.B. ISN93/EPSG:3057)
+// und liefert still 0 Features – jede Prüfung wäre ein falsches GRÜN.
+const WFS_BBOX_CRS = "EPSG:4326";
+const WFS_CACHE_TTL_MS = 10 * 60_000; // Geometrien ändern sich selten
+const WFS_CACHE_MAX_ENTRIES = 40;
+// GetFeatureInfo-Ergebnisse je Punkt (persistent): nur die neuesten behalten
+const GFI_PERSIST_MAX_ENTRIES = 500;
+const GFI_PERSIST_PRUNE_EVERY = 50;   // neue Einträge zwischen zwei Aufräumläufen
+const WFS_RETRY_AFTER_MS = 5 * 60_000;  // nach Fehler: so lange direkt GetFeatureInfo nutzen
+
 // =============================
 // Flughafen-Schutzlogik (Policy)
 // =============================
-const AIRPORT_POLICY_RADIUS_M = 5000; // 5km, wie gewünscht
-
-// Kurze Liste relevanter Flughäfen für Island.
-// (Diese Liste ist bewusst klein und pragmatisch. Du kannst sie jederzeit erweitern.)
-const AIRPORTS = [
-  { code: "KEF", name: "Keflavík (KEF)", lat: 63.9850, lon: -22.6056 },
-  { code: "RKV", name: "Reykjavík (RKV)", lat: 64.1300, lon: -21.9400 },
-  { code: "AEY", name: "Akureyri (AEY)", lat: 65.6600, lon: -18.0727 },
-  { code: "EGS", name: "Egilsstaðir (EGS)", lat: 65.2833, lon: -14.4014 },
-  { code: "IFJ", name: "Ísafjörður (IFJ)", lat: 66.0581, lon: -23.1353 },
-  { code: "VEY", name: "Vestmannaeyjar (VEY)", lat: 63.4243, lon: -20.2792 },
+const AIRPORT_POLICY_RADIUS_M = 5000; // 5km, Default für internationale/kontrollierte Plätze
+
+// Policy-Radius je Platztyp (Meter). Einzelne Plätze können per policyRadiusM abweichen.
+// Plätze aus der ursprünglichen 5-km-Liste behalten ihren Ring (policyRadiusM), auch wenn der Typ kleiner wäre.
+const AERODROME_TYPE_RADIUS_M = {
+  international: AIRPORT_POLICY_RADIUS_M,
+  domestic: 3000,
+  airstrip: 1500,
+  glider: 1500,
+  heliport: 1000,
+  hospital: 1000,
+};
+
+const AERODROME_TYPE_LABEL = {
+  international: "Flughafen",
+  domestic: "Inlandsflugplatz",
+  airstrip: "Flugfeld",
+  glider: "Segelfluggelände",
+  heliport: "Heliport",
+  hospital: "Klinik-Hubschrauberlandeplatz",
+};
+
+// Gebündelter Flugplatz-Datensatz Island (Bezugspunkte ARP).
+// Quelle: AIP Island / öffentliche Flugplatzverzeichnisse. Nur Plätze mit Bezugspunkt auf Sekunden
+// genau – gerundete Koordinaten (0,01° bzw. volle Bogenminute ≈ 0,5–1,8 km, so groß wie der Ring
+// kleiner Plätze) und nicht belegte Kennungen gehören nicht hinein; dort gelten nur die Server-Zonen.
+// Bei Änderungen AERODROMES_VERSION hochzählen.
+//   code  – IATA wenn vorhanden, sonst ICAO/Kurzname (Anzeige)
+//   icao  – ICAO-Kennung (null, wenn keine vergeben)
+//   type  – Schlüssel aus AERODROME_TYPE_RADIUS_M
+//   runways – optional: { id: "01/19", thresholds: [[lat, lon] Schwelle 1. Kennung, [lat, lon] Gegenschwelle] }
+//             -> statt Kreis: An-/Abflugtrichter entlang der verlängerten Pistenachse
+const AERODROMES_VERSION = "2026-10-4";
+const AERODROMES = [
+  // International / kontrolliert
+  { code: "KEF", icao: "BIKF", name: "Keflavík (KEF)",            type: "international", lat: 63.9850, lon: -22.6056,
+    runways: [
+      { id: "01/19", thresholds: [[63.9717, -22.6081], [63.9990, -22.6061]] },
+      { id: "10/28", thresholds: [[63.9855, -22.6469], [63.9790, -22.5855]] },
+    ] },
+  { code: "RKV", icao: "BIRK", name: "Reykjavík (RKV)",           type: "international", lat: 64.1300, lon: -21.9400,
+    runways: [
+      { id: "01/19", thresholds: [[64.1223, -21.9420], [64.1363, -21.9416]] },
+      { id: "13/31", thresholds: [[64.1343, -21.9525], [64.1248, -21.9245]] },
+    ] },
+  { code: "AEY", icao: "BIAR", name: "Akureyri (AEY)",            type: "international", lat: 65.6600, lon: -18.0727,
+    runways: [
+      { id: "01/19", thresholds: [[65.6493, -18.0738], [65.6705, -18.0718]] },
+    ] },
+  { code: "EGS", icao: "BIEG", name: "Egilsstaðir (EGS)",         type: "international", lat: 65.2833, lon: -14.4014,
+    runways: [
+      { id: "04/22", thresholds: [[65.2766, -14.4124], [65.2901, -14.3903]] },
+    ] },
+
+  // Inlandsflugplätze mit Linien-/Charterverkehr
+  { code: "IFJ", icao: "BIIS", name: "Ísafjörður (IFJ)",          type: "domestic", lat: 66.0581, lon: -23.1353, policyRadiusM: AIRPORT_POLICY_RADIUS_M,
+    runways: [
+      { id: "08/26", thresholds: [[66.0573, -23.1427], [66.0590, -23.1150]] },
+    ] },
+  { code: "VEY", icao: "BIVM", name: "Vestmannaeyjar (VEY)",      type: "domestic", lat: 63.4243, lon: -20.2792, policyRadiusM: AIRPORT_POLICY_RADIUS_M,
+    runways: [
+      { id: "04/22", thresholds: [[63.4207, -20.2867], [63.4280, -20.2700]] },
+    ] },
+  { code: "HFN", icao: "BIHN", name: "Hornafjörður (HFN)",        type: "domestic", lat: 64.2956, lon: -15.2272,
+    runways: [
+      { id: "18/36", thresholds: [[64.3023, -15.2272], [64.2890, -15.2270]] },
+    ] },
+  { code: "HZK", icao: "BIHU", name: "Húsavík (HZK)",             type: "domestic", lat: 65.9523, lon: -17.4260,
+    runways: [
+      { id: "03/21", thresholds: [[65.9455, -17.4310], [65.9590, -17.4210]] },
+    ] },
+  { code: "GRY", icao: "BIGR", name: "Grímsey (GRY)",             type: "domestic", lat: 66.5547, lon: -18.0175 },
+  { code: "THO", icao: "BITN", name: "Þórshöfn (THO)",            type: "domestic", lat: 66.2185, lon: -15.3356 },
+  { code: "VPN", icao: "BIVO", name: "Vopnafjörður (VPN)",        type: "domestic", lat: 65.7206, lon: -14.8506 },
+  { code: "BIU", icao: "BIBD", name: "Bíldudalur (BIU)",          type: "domestic", lat: 65.6413, lon: -23.5462 },
+  { code: "GJR", icao: "BIGJ", name: "Gjögur (GJR)",              type: "domestic", lat: 65.9953, lon: -21.3269 },
+  { code: "SAK", icao: "BIKR", name: "Sauðárkrókur (SAK)",        type: "domestic", lat: 65.7317, lon: -19.5728 },
+  { code: "BIBA", icao: "BIBA", name: "Bakki / Landeyjar",        type: "domestic", lat: 63.5564, lon: -20.1375 },
+
+  // Flugfelder (Allgemeine Luftfahrt, Notlandeplätze)
+  { code: "PFJ", icao: "BIPA", name: "Patreksfjörður (PFJ)",      type: "airstrip", lat: 65.5558, lon: -23.9650 },
+  { code: "DJU", icao: "BIDV", name: "Djúpivogur (DJU)",          type: "airstrip", lat: 64.6442, lon: -14.2828 },
+  { code: "NOR", icao: "BINF", name: "Norðfjörður (NOR)",         type: "airstrip", lat: 65.1319, lon: -13.7464 },
+  { code: "FAS", icao: "BIFF", name: "Fáskrúðsfjörður (FAS)",     type: "airstrip", lat: 64.9317, lon: -14.0606 },
+  { code: "BGJ", icao: "BIBF", name: "Borgarfjörður eystri (BGJ)", type: "airstrip", lat: 65.5164, lon: -13.8050 },
+  { code: "BJD", icao: "BIBK", name: "Bakkafjörður (BJD)",        type: "airstrip", lat: 66.0219, lon: -14.8244 },
+  { code: "MVA", icao: "BIRL", name: "Reykjahlíð / Mývatn (MVA)", type: "airstrip", lat: 65.6556, lon: -16.9181 },
+  { code: "BLO", icao: "BIBL", name: "Blönduós (BLO)",            type: "airstrip", lat: 65.6450, lon: -20.2875 },
+  { code: "HVK", icao: "BIHK", name: "Hólmavík (HVK)",            type: "airstrip", lat: 65.7047, lon: -21.6964 },
+  { code: "RFN", icao: "BIRF", name: "Rif (RFN)",                 type: "airstrip", lat: 64.9114, lon: -23.8236 },
+  { code: "SYK", icao: "BIST", name: "Stykkishólmur (SYK)",       type: "airstrip", lat: 65.0581, lon: -22.7942 },
+  { code: "FAG", icao: "BIFM", name: "Fagurhólsmýri (FAG)",       type: "airstrip", lat: 63.8747, lon: -16.6411 },
+  { code: "BISF", icao: "BISF", name: "Selfoss",                  type: "airstrip", lat: 63.9292, lon: -21.0378 },
+  { code: "BIMK", icao: "BIMK", name: "Mosfellsbær / Tungubakkar", type: "airstrip", lat: 64.1806, lon: -21.7122 },
+
+  // Segelflug
+  { code: "SAND", icao: null,   name: "Sandskeið (Segelflug)",    type: "glider", lat: 64.0664, lon: -21.5722 },
+
+  // Heliports / Klinik-Landeplätze
+  { code: "LSH-F", icao: null,  name: "Landspítali Fossvogur (Heli)", type: "hospital", lat: 64.1078, lon: -21.9028 },
+  { code: "SAK-H", icao: null,  name: "Sjúkrahúsið á Akureyri (Heli)", type: "hospital", lat: 65.6761, lon: -18.0988 },
+  { code: "HSU-H", icao: null,  name: "HSU Selfoss (Heli)",       type: "hospital", lat: 63.9370, lon: -20.9990 },
+  { code: "HSA-H", icao: null,  name: "HSA Neskaupstaður (Heli)", type: "hospital", lat: 65.1470, lon: -13.6880 },
 ];
 
+// An-/Abflugtrichter (vereinfacht nach ICAO-Hindernisflächen):
+// ab der Schwelle nach außen, Startbreite ±RUNWAY_FUNNEL_HALF_WIDTH_M, Aufweitung 15 % je Seite.
+// Rund um die Piste selbst gilt ein Kernbereich; seitlich davon im Policy-Radius nur GELB.
+const RUNWAY_FUNNEL_LENGTH_M = 6000;
+const RUNWAY_FUNNEL_HALF_WIDTH_M = 150;
+const RUNWAY_FUNNEL_DIVERGENCE = 0.15;
+const RUNWAY_CORE_M = 1000;
+
+function aerodromePolicyRadius(ap) {
+  if (ap && Number.isFinite(ap.policyRadiusM)) return ap.policyRadiusM;
+  return AERODROME_TYPE_RADIUS_M[ap?.type] ?? AIRPORT_POLICY_RADIUS_M;
+}
+
 // =============================
 // DOM helpers
 // =============================
@@ -126,6 +336,7 @@ const expertPillEl  = el("expertPill");
 
 const latInput = el("lat");
 const lonInput = el("lon");
+const altitudeInput = el("altitude");
 
 // Buttons
 const btnManual = el("btnManual");
@@ -137,15 +348,20 @@ const btnOverlayAvi  = el("btnOverlayAvi");
 const btnOverlayProt = el("btnOverlayProt");
 const overlayOpacity = el("overlayOpacity");
 
-// Expert mode toggle
-const expertToggle = el("expertToggle");
+// Basiskarte
+const basemapSelectEl = el("basemapSelect");
+
+// Profil-Auswahl
+const profileSelect = el("profileSelect");
+const profileHintEl = el("profileHint");
 
 // =============================
 // App State
 // =============================
 let currentMode = "gps"; // "gps" oder "manual"
 let manualCoords = null;
-let expertMode = false;
+let activeProfile = getPolicyProfile(DEFAULT_PROFILE_ID);
+let expertMode = !activeProfile.airportPolicy; // abgeleitet vom Profil
 
 // Spot-Name (für Anfängerfreundlichkeit)
 let _selectedSpotName = "";
@@ -160,6 +376,9 @@ let marker = null;
 let nearCircle = null;
 let accuracyCircle = null;
 
+// Zeichen-Modi (Fläche, Route) übernehmen Karten-Klicks: (e) => true = Klick verbraucht
+let mapClickInterceptor = null;
+
 // =============================
 // WMS Overlays
 // =============================
@@ -172,11 +391,511 @@ let overlayOpacityValue = 0.65;
 // =============================
 let lastRunToken = 0;
 let activeController = null;
+let lastCheck = null; // { lat, lon, accuracyText, accuracyMeters } – für erneute Prüfung nach Eingabe-/Profilwechsel
 
 // =============================
 // Cache
 // =============================
 const wmsCache = new Map(); // key -> {ts, value}
+const wfsCoverage = [];       // [{ baseUrl, layerName, bbox, ts, features }]
+const wfsDownUntil = new Map(); // baseUrl|layerName -> ts (WFS zuletzt fehlgeschlagen)
+const wfsRefreshing = new Set();  // Fenster-Schlüssel, die gerade im Hintergrund neu geladen werden
+
+// =============================
+// Persistenter Cache (IndexedDB) – überlebt Reload/Offline
+// Pro Quelle eine Frische-Dauer (TTL). Ältere Einträge werden bis PERSIST_MAX_AGE_MS trotzdem
+// sofort ausgeliefert (stale-while-revalidate) und im Hintergrund erneuert; die UI markiert
+// sie mit "Stand: vor …". Ohne IndexedDB (privater Modus, alte Browser) nur im Speicher.
+// =============================
+const PERSIST_DB_NAME = "drone-ampel-cache";
+const PERSIST_DB_VERSION = 1;
+const PERSIST_STORE = "entries";
+const PERSIST_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const PERSIST_TTL_MS = {
+  zones: WFS_CACHE_TTL_MS,               // Zonen-Geometrie (WFS) + GetFeatureInfo-Ergebnisse
+  weather: 15 * 60 * 1000,               // Open-Meteo, IMO-Messwerte
+  imoStations: 7 * 24 * 60 * 60 * 1000,  // IMO-Stationsliste
+  kp: 60 * 60 * 1000,                    // NOAA Kp-Index
+};
+
+const persistMem = new Map();        // "source|key" -> { source, key, ts, value }
+const persistRevalidating = new Map(); // "source|key" -> Promise
+let persistDbPromise = null;
+
+function persistOpen() {
+  if (persistDbPromise) return persistDbPromise;
+  persistDbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === "undefined" || !indexedDB) return resolve(null);
+      const req = indexedDB.open(PERSIST_DB_NAME, PERSIST_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PERSIST_STORE)) db.createObjectStore(PERSIST_STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch (_) {
+      resolve(null);
+    }
+  });
+  return persistDbPromise;
+}
+
+function persistRequest(db, mode, fn) {
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(PERSIST_STORE, mode);
+      const req = fn(tx.objectStore(PERSIST_STORE));
+      if (req) {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+      } else {
+        tx.oncomplete = () => resolve(null);
+        tx.onerror = () => resolve(null);
+      }
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+// -> { ts, value } | null (nichts oder älter als PERSIST_MAX_AGE_MS)
+async function persistGet(source, key) {
+  const id = `${source}|${key}`;
+  let it = persistMem.get(id) || null;
+  if (!it) {
+    const db = await persistOpen();
+    if (db) it = await persistRequest(db, "readonly", (st) => st.get(id));
+    if (it) persistMem.set(id, it);
+  }
+  if (!it) return null;
+  if ((Date.now() - it.ts) > PERSIST_MAX_AGE_MS) {
+    persistDelete(source, key);
+    return null;
+  }
+  return { ts: it.ts, value: it.value };
+}
+
+async function persistSet(source, key, value, ts = Date.now()) {
+  const it = { id: `${source}|${key}`, source, key, ts, value };
+  persistMem.set(it.id, it);
+  const db = await persistOpen();
+  if (db) await persistRequest(db, "readwrite", (st) => st.put(it));
+}
+
+async function persistDelete(source, key) {
+  const id = `${source}|${key}`;
+  persistMem.delete(id);
+  const db = await persistOpen();
+  if (db) await persistRequest(db, "readwrite", (st) => st.delete(id));
+}
+
+// Alle (nicht abgelaufenen) Einträge einer Quelle, z.B. um Zonen-Fenster beim Start zu laden
+async function persistAll(source) {
+  const db = await persistOpen();
+  const rows = db
+    ? (await persistRequest(db, "readonly", (st) => st.getAll())) || []
+    : [...persistMem.values()];
+  const now = Date.now();
+  const out = [];
+  for (const r of rows) {
+    if (!r || r.source !== source) continue;
+    if ((now - r.ts) > PERSIST_MAX_AGE_MS) persistDelete(source, r.key);
+    else out.push(r);
+  }
+  return out;
+}
+
+function persistIsFresh(source, ts) {
+  return (Date.now() - ts) <= (PERSIST_TTL_MS[source] || 0);
+}
+
+// Erneuert einen Eintrag im Hintergrund (pro Schlüssel höchstens eine Anfrage gleichzeitig).
+function persistRevalidate(source, key, loader, onRevalidated = null) {
+  const id = `${source}|${key}`;
+  if (persistRevalidating.has(id)) return persistRevalidating.get(id);
+  const p = (async () => {
+    try {
+      const value = await loader(null);
+      const ts = Date.now();
+      await persistSet(source, key, value, ts);
+      if (onRevalidated) { try { onRevalidated(value, ts); } catch (_) {} }
+      return value;
+    } catch (_) {
+      return null;
+    } finally {
+      persistRevalidating.delete(id);
+    }
+  })();
+  persistRevalidating.set(id, p);
+  return p;
+}
+
+// stale-while-revalidate: loader(signal) liefert den frischen Wert (JSON-serialisierbar).
+// Ergebnis: { value, ts, stale, cached }
+// - frisch im Cache      -> sofort, ohne Netz
+// - veraltet im Cache    -> sofort (stale: true), Erneuerung im Hintergrund (onRevalidated)
+// - nichts im Cache      -> loader(); Fehler werden durchgereicht
+async function cachedFetch(source, key, loader, { signal = null, onRevalidated = null } = {}) {
+  const hit = await persistGet(source, key);
+  if (hit && persistIsFresh(source, hit.ts)) return { value: hit.value, ts: hit.ts, stale: false, cached: true };
+  if (hit) {
+    persistRevalidate(source, key, loader, onRevalidated);
+    return { value: hit.value, ts: hit.ts, stale: true, cached: true };
+  }
+  const value = await loader(signal);
+  const ts = Date.now();
+  persistSet(source, key, value, ts);
+  return { value, ts, stale: false, cached: false };
+}
+
+// "Stand: vor 3 h" (nur sinnvoll für veraltete Daten)
+function fmtDataAge(ts) {
+  const ago = fmtAgo(ts);
+  return ago ? `Stand: ${ago}` : "";
+}
+
+// "gerade eben" / "vor 12 min" / "vor 3 h" / "vor 2 Tagen"
+function fmtAgo(ts) {
+  if (!Number.isFinite(ts)) return "";
+  const min = Math.max(0, Math.round((Date.now() - ts) / 60000));
+  if (min < 1) return "gerade eben";
+  if (min < 60) return `vor ${min} min`;
+  const h = Math.round(min / 60);
+  if (h < 48) return `vor ${h} h`;
+  return `vor ${Math.round(h / 24)} Tagen`;
+}
+
+// =============================
+// Fetch-Scheduler – alle Netz-Abfragen laufen über schedFetch()
+// - pro Host begrenzte Parallelität (Rest wartet in einer Queue)
+// - identische GET-URLs, die gleichzeitig laufen, teilen sich eine Anfrage
+// - Netzfehler / 408 / 429 / 5xx: Wiederholung mit exponentiellem Backoff
+// - Wiederholungen werden gezählt (stats.retries) und fließen in confidenceLabel()
+// =============================
+const SCHED_DEFAULT_HOST_LIMIT = 4;
+const SCHED_HOST_LIMITS = {
+  "gis.natt.is": 3,
+  "gis.ust.is": 3,
+  "api.open-meteo.com": 2,
+  "api.vedur.is": 2,
+  "services.swpc.noaa.gov": 1,
+};
+const SCHED_MAX_RETRIES = 2;
+const SCHED_BACKOFF_BASE_MS = 400;
+const SCHED_BACKOFF_MAX_MS = 4000;
+
+const schedHosts = new Map();    // host -> { active, queue: [waiter] }
+const schedInflight = new Map(); // url -> { promise, controller, users }
+
+function schedAbortError() {
+  try { return new DOMException("Aborted", "AbortError"); } catch (_) {
+    const e = new Error("Aborted");
+    e.name = "AbortError";
+    return e;
+  }
+}
+
+function schedHostOf(url) {
+  try { return new URL(url, window.location.href).host; } catch (_) { return ""; }
+}
+
+function schedHost(host) {
+  let h = schedHosts.get(host);
+  if (!h) {
+    h = { active: 0, queue: [] };
+    schedHosts.set(host, h);
+  }
+  return h;
+}
+
+function schedAcquire(host, signal) {
+  const h = schedHost(host);
+  const limit = SCHED_HOST_LIMITS[host] || SCHED_DEFAULT_HOST_LIMIT;
+  if (signal && signal.aborted) return Promise.reject(schedAbortError());
+  if (h.active < limit) {
+    h.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = h.queue.indexOf(waiter);
+      if (i >= 0) h.queue.splice(i, 1);
+      reject(schedAbortError());
+    };
+    const waiter = {
+      resolve: () => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      },
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    h.queue.push(waiter);
+  });
+}
+
+// Slot direkt an den nächsten Wartenden weitergeben
+function schedRelease(host) {
+  const h = schedHost(host);
+  const next = h.queue.shift();
+  if (next) next.resolve();
+  else h.active = Math.max(0, h.active - 1);
+}
+
+function schedSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(schedAbortError());
+    const t = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(schedAbortError());
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function schedRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function schedBackoffMs(attempt) {
+  const ms = Math.min(SCHED_BACKOFF_MAX_MS, SCHED_BACKOFF_BASE_MS * (2 ** attempt));
+  return Math.round(ms * (0.75 + Math.random() * 0.5));
+}
+
+// Eine (geteilte) Anfrage inkl. Wiederholungen. Ergebnis: { ok, status, contentType, body, retries }
+async function schedRun(url, init, signal) {
+  const host = schedHostOf(url);
+  let retries = 0;
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let body = "";
+    let err = null;
+    await schedAcquire(host, signal);
+    const t0 = Date.now();
+    try {
+      res = await fetch(url, { ...init, signal });
+      body = await res.text();
+    } catch (e) {
+      err = e;
+    } finally {
+      schedRelease(host);
+    }
+    if (signal && signal.aborted) throw schedAbortError();
+
+    const retryable = err ? err.name !== "AbortError" : schedRetryable(res.status);
+    healthRecord(url, {
+      ok: !retryable,
+      latencyMs: Date.now() - t0,
+      error: err ? (err.message || String(err)) : (retryable ? `HTTP ${res.status}` : ""),
+    });
+    if (!retryable || attempt >= SCHED_MAX_RETRIES) {
+      if (err) {
+        err.retries = retries;
+        throw err;
+      }
+      const contentType = (res.headers && res.headers.get && res.headers.get("content-type")) || "";
+      return { ok: res.ok, status: res.status, contentType, body, retries };
+    }
+    retries++;
+    await schedSleep(schedBackoffMs(attempt), signal);
+  }
+}
+
+function schedResponse(r) {
+  return {
+    ok: r.ok,
+    status: r.status,
+    retries: r.retries,
+    headers: { get: (name) => (String(name).toLowerCase() === "content-type" ? r.contentType : null) },
+    text: async () => r.body,
+    json: async () => JSON.parse(r.body),
+  };
+}
+
+// Ersatz für fetch(url, init) bei GET-Abfragen. Liefert ein Response-ähnliches Objekt
+// ({ ok, status, headers.get, text(), json(), retries }). stats.retries wird hochgezählt.
+// Bricht ein Aufrufer ab (init.signal), läuft die geteilte Anfrage für die übrigen weiter.
+function schedFetch(url, init = {}, stats = null) {
+  const { signal = null, ...rest } = init || {};
+  const key = String(url);
+
+  let job = schedInflight.get(key);
+  if (!job) {
+    const controller = new AbortController();
+    job = { controller, users: 0, promise: null };
+    job.promise = schedRun(key, rest, controller.signal).finally(() => {
+      if (schedInflight.get(key) === job) schedInflight.delete(key);
+    });
+    job.promise.catch(() => {});
+    schedInflight.set(key, job);
+  }
+  job.users++;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const leave = () => {
+      done = true;
+      job.users--;
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      if (done) return;
+      leave();
+      if (job.users <= 0) {
+        if (schedInflight.get(key) === job) schedInflight.delete(key);
+        job.controller.abort();
+      }
+      reject(schedAbortError());
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    job.promise.then((r) => {
+      if (done) return;
+      leave();
+      if (stats) stats.retries = (stats.retries || 0) + r.retries;
+      resolve(schedResponse(r));
+    }, (e) => {
+      if (done) return;
+      leave();
+      if (stats && e && e.retries) stats.retries = (stats.retries || 0) + e.retries;
+      reject(e);
+    });
+  });
+}
+
+// =============================
+// Quellen-Status (Health) – je externer Quelle: letzter Erfolg, Latenz, Fehlerquote, Format
+// schedRun() meldet jeden Versuch; Stand bleibt in localStorage (über Reloads hinweg).
+// "Erreichbar" = Server hat geantwortet (auch 4xx); Fehler = keine Antwort, 408/429/5xx.
+// =============================
+const HEALTH_STORAGE_KEY = "da_source_health_v1";
+const HEALTH_WINDOW = 20;                  // letzte Versuche für die Fehlerquote
+const HEALTH_ACTIVE_MS = 15 * 60 * 1000;   // nur kürzlich genutzte Quellen fließen in die Diagnose ein
+const HEALTH_SOURCES = [
+  { id: "aviation", label: "Samgöngustofa WMS", match: (u) => u.startsWith(WMS_BASE) },
+  { id: "protected", label: "UST WMS", match: (u) => u.startsWith(PROTECTED_WMS_BASE) },
+  { id: "openmeteo", label: "Open-Meteo", match: (u) => u.includes("api.open-meteo.com") },
+  { id: "imoWeather", label: "IMO Wetter", match: (u) => u.includes("api.vedur.is/weather") },
+  { id: "imoCap", label: "IMO CAP", match: (u) => u.includes("api.vedur.is/cap") },
+  { id: "kp", label: "NOAA Kp", match: (u) => u.includes("noaa-planetary-k-index") },
+];
+const HEALTH_FORMAT_LABEL = { wfs: "WFS (Geometrie)", json: "JSON", xml: "XML", text: "Text" };
+
+const healthState = healthLoad(); // id -> Eintrag (siehe healthEntry)
+let healthSaveTimer = null;
+
+function healthEntry(id) {
+  if (!healthState[id]) {
+    healthState[id] = {
+      recent: [],            // 1 = ok, 0 = Fehler (max. HEALTH_WINDOW)
+      lastSuccessTs: null,
+      lastErrorTs: null,
+      lastError: "",
+      latencyMs: null,       // letzte Antwortzeit
+      avgLatencyMs: null,    // gleitender Mittelwert
+      lastFormat: null,      // wfs | json | xml | text (nur WMS-Quellen)
+      formatTs: {},
+    };
+  }
+  return healthState[id];
+}
+
+function healthLoad() {
+  try {
+    const js = JSON.parse(localStorage.getItem(HEALTH_STORAGE_KEY) || "{}");
+    return js && typeof js === "object" ? js : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function healthSourceFor(url) {
+  let u = String(url || "");
+  if (PROXY && u.startsWith(PROXY)) {
+    try { u = decodeURIComponent(u.slice(PROXY.length)); } catch (_) {}
+  }
+  return HEALTH_SOURCES.find((h) => h.match(u)) || null;
+}
+
+function healthChanged() {
+  if (healthSaveTimer) return;
+  healthSaveTimer = setTimeout(() => {
+    healthSaveTimer = null;
+    try { localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify(healthState)); } catch (_) {}
+    try { healthRender(); } catch (_) {}
+  }, 500);
+}
+
+function healthRecord(url, { ok, latencyMs = null, error = "" }) {
+  const src = healthSourceFor(url);
+  if (!src) return;
+  const e = healthEntry(src.id);
+  const now = Date.now();
+  e.recent.push(ok ? 1 : 0);
+  while (e.recent.length > HEALTH_WINDOW) e.recent.shift();
+  if (ok) {
+    e.lastSuccessTs = now;
+    if (Number.isFinite(latencyMs)) {
+      e.latencyMs = latencyMs;
+      e.avgLatencyMs = e.avgLatencyMs == null ? latencyMs : Math.round(e.avgLatencyMs * 0.7 + latencyMs * 0.3);
+    }
+  } else {
+    e.lastErrorTs = now;
+    e.lastError = error;
+  }
+  healthChanged();
+}
+
+// Welches Abfrageformat zuletzt funktioniert hat (WFS bzw. GetFeatureInfo json/xml/text)
+function healthNoteFormat(id, format) {
+  const e = healthEntry(id);
+  e.lastFormat = format;
+  e.formatTs[format] = Date.now();
+  healthChanged();
+}
+
+function healthErrorRate(e) {
+  if (!e || !e.recent.length) return null;
+  return e.recent.filter((x) => !x).length / e.recent.length;
+}
+
+// "ok" | "err" | "unknown" – nach dem letzten Versuch
+function healthStatus(e) {
+  if (!e || (!e.lastSuccessTs && !e.lastErrorTs)) return "unknown";
+  return (e.lastErrorTs || 0) > (e.lastSuccessTs || 0) ? "err" : "ok";
+}
+
+// Diagnose: Server gestört vs. eigene Verbindung
+// -> { kind: "ok"|"warn"|"no"|"info", text }
+function healthDiagnosis() {
+  const now = Date.now();
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return { kind: "no", text: "Gerät ist offline – eigene Verbindung prüfen." };
+  }
+  const active = HEALTH_SOURCES
+    .map((h) => ({ h, e: healthState[h.id] }))
+    .filter(({ e }) => e && Math.max(e.lastSuccessTs || 0, e.lastErrorTs || 0) > now - HEALTH_ACTIVE_MS);
+  if (!active.length) return { kind: "info", text: "Noch keine Abfragen in den letzten 15 min." };
+  const failing = active.filter(({ e }) => healthStatus(e) === "err");
+  if (!failing.length) return { kind: "ok", text: "Alle genutzten Quellen erreichbar." };
+  if (failing.length === active.length && active.length > 1) {
+    return { kind: "no", text: "Keine Quelle erreichbar – vermutlich eigene Verbindung (Netz/Proxy) gestört." };
+  }
+  const names = failing.map(({ h }) => h.label).join(", ");
+  return { kind: "warn", text: `Gestört: ${names} – andere Quellen antworten, vermutlich Serverproblem.` };
+}
+
+function healthReset() {
+  for (const k of Object.keys(healthState)) delete healthState[k];
+  healthChanged();
+}
 
 // =============================
 // UI helpers
@@ -193,6 +912,31 @@ function fmt(n) {
   return (Math.round(n * 1e6) / 1e6).toFixed(6);
 }
 
+const ALTITUDE_STORAGE_KEY = "da_planned_altitude_v1";
+
+// Geplante Flughöhe (m AGL) aus dem Eingabefeld; leer/ungültig -> null (nur Ortsbewertung)
+function readPlannedAltitude() {
+  if (!altitudeInput) return null;
+  const raw = String(altitudeInput.value || "").trim().replace(",", ".");
+  if (!raw) return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function restorePlannedAltitude() {
+  if (!altitudeInput) return;
+  try {
+    const v = localStorage.getItem(ALTITUDE_STORAGE_KEY);
+    if (v !== null) altitudeInput.value = v;
+  } catch (_) {}
+}
+
+// Höhe merken und den zuletzt geprüften Punkt neu bewerten
+function onPlannedAltitudeChange() {
+  try { localStorage.setItem(ALTITUDE_STORAGE_KEY, String(altitudeInput.value || "").trim()); } catch (_) {}
+  rerunLastCheck();
+}
+
 function setMode(mode) {
   currentMode = mode;
   if (modeEl) modeEl.textContent = `Modus: ${mode === "manual" ? "manuell" : "GPS"}`;
@@ -218,9 +962,12 @@ function overlayIsVisible(layer) {
 function updateOverlayPill() {
   if (!overlayPillEl) return;
 
+  const MODE_LABEL = { vector: "Vektor", raster: "Raster" };
   const parts = [];
-  if (overlayIsVisible(aviationOverlay)) parts.push("Aviation");
-  if (overlayIsVisible(protectedOverlay)) parts.push("Schutzgebiete");
+  for (const src of RULE_SOURCES) {
+    const e = zoneOverlayState.get(src.id);
+    if (e && e.on) parts.push(`${src.label}${e.mode ? ` (${MODE_LABEL[e.mode]})` : ""}`);
+  }
 
   if (!parts.length) {
     overlayPillEl.textContent = "Overlay: aus";
@@ -231,119 +978,410 @@ function updateOverlayPill() {
 
 function updateExpertPill() {
   if (!expertPillEl) return;
-  expertPillEl.textContent = expertMode ? "Expertenmodus: an" : "Expertenmodus: aus";
+  expertPillEl.textContent = `Profil: ${activeProfile.label}${expertMode ? " (Flugplatz-Policy nur Hinweis)" : ""}`;
 }
 
-// =============================
-// Map init
-// =============================
-function initMap() {
-  if (map) return;
-
-  const startLat = 64.9;
-  const startLon = -18.6;
+function loadProfileId() {
+  try { return localStorage.getItem(PROFILE_STORAGE_KEY) || DEFAULT_PROFILE_ID; } catch (_) { return DEFAULT_PROFILE_ID; }
+}
 
-  map = L.map("map", {
-    zoomControl: true,
-    attributionControl: true,
-    maxBounds: getIcelandBounds(),
-    maxBoundsViscosity: 1.0,
-  }).setView([startLat, startLon], MAP_DEFAULT_ZOOM);
+function setActiveProfile(id, persist = true) {
+  activeProfile = getPolicyProfile(id);
+  expertMode = !activeProfile.airportPolicy;
+  if (persist) {
+    try { localStorage.setItem(PROFILE_STORAGE_KEY, activeProfile.id); } catch (_) {}
+  }
+  if (profileSelect && profileSelect.value !== activeProfile.id) profileSelect.value = activeProfile.id;
+  if (profileHintEl) profileHintEl.textContent = activeProfile.hint;
+  try { if (nearCircle) nearCircle.setRadius(activeProfile.nearDistanceM); } catch (_) {}
+  updateExpertPill();
+  // Ampel nach den neuen Schwellen neu bewerten
+  if (persist) rerunLastCheck();
+}
 
+// =============================
+// Offline-Kartenpakete (Cache Storage)
+// - Paket = Rechteck + Zoom-Bereich; Kacheln liegen in TILE_CACHE_NAME unter der URL von TILE_PACK_SOURCE
+// - ohne TILE_PACK_SOURCE keine Pakete: die OSM-Tile-Server verbieten Massen- und Offline-Downloads
+//   (OSMF Tile Usage Policy); eintragen nur einen Dienst, dessen Bedingungen Offline-Pakete erlauben
+//   (eigener Tile-Server, Anbieter mit Offline-Lizenz) und der OSM-Stil liefert (ersetzt OSM-Kacheln)
+// - die Basiskarte liest Kacheln innerhalb eines Pakets zuerst aus dem Cache, sonst live
+// - Metadaten in localStorage; Löschen entfernt nur Kacheln, die kein anderes Paket mehr abdeckt
+// =============================
+const TILE_CACHE_NAME = "da-tiles-v1";
+const TILE_PACKS_STORAGE_KEY = "da_tile_packs_v1";
+const TILE_PACK_SOURCE = null;          // { url: "https://…/{z}/{x}/{y}.png", label: "…" }
+const TILE_PACK_MAX_ZOOM = 16;
+const TILE_PACK_MAX_TILES = 4000;       // Tile-Server schonen, Speicher im Rahmen halten
+const TILE_PACK_AVG_BYTES = 18 * 1024;  // Schätzwert je Kachel (Island: viel Fläche ohne Details)
+const TILE_PACK_CONCURRENCY = 2;
 
-  // Collapsible panel integration (Map)
-  try{
-    window.__DA_LEAFLET_MAP__ = map;
-    if (window.__DA_PANEL__ && window.__DA_PANEL__.register){
-      const p = document.querySelector('[data-panel-id="map"][data-panel-collapsible="1"]');
-      if (p) window.__DA_PANEL__.register(p, "map", true);
-    }
-  }catch(_){}
+let tilePacks = tilePacksLoad(); // [{ id, name, bounds, minZoom, maxZoom, tiles, saved, failed, bytes, ts, complete }]
 
-  // Make map large on mobile
-  applyResponsiveLayout();
+function tilePacksLoad() {
+  try {
+    const v = JSON.parse(localStorage.getItem(TILE_PACKS_STORAGE_KEY) || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch (_) { return []; }
+}
 
-  // Ensure popup taps are not swallowed by the map on iOS
-  map.on("popupopen", (e) => {
-    try {
-      const el = e && e.popup && e.popup.getElement ? e.popup.getElement() : null;
-      if (!el) return;
-      if (L && L.DomEvent) {
-        L.DomEvent.disableClickPropagation(el);
-        L.DomEvent.disableScrollPropagation(el);
-      }
-    } catch (_) {}
-  });
+function tilePacksSave() {
+  try { localStorage.setItem(TILE_PACKS_STORAGE_KEY, JSON.stringify(tilePacks)); } catch (_) {}
+}
 
-  // Zusätzlich: nach jedem Move wieder "reinziehen" (für Touch/Browser-Eigenheiten)
-  try {
-    const b = getIcelandBounds();
-    map.on("drag", () => { try { map.panInsideBounds(b, { animate: false }); } catch (_) {} });
-    map.on("moveend", () => { try { map.panInsideBounds(b, { animate: false }); } catch (_) {} });
-  } catch (_) {}
+function tileX(lon, z) {
+  const n = 2 ** z;
+  return Math.max(0, Math.min(n - 1, Math.floor(((lon + 180) / 360) * n)));
+}
 
-// Base Tiles (Step14): robust gegen einzelne Tile-Hosts (SSL/RateLimit/Proxy)
-// Idee: wir vermeiden gezielt das "c." Subdomain (kommt in der Praxis öfter als Ausreißer),
-// und schalten bei mehreren Fehlern innerhalb kurzer Zeit automatisch auf Fallback um.
-const __tileOpts = {
-  maxZoom: 19,
-  noWrap: true,
-  bounds: getIcelandBounds(),
-  attribution: "&copy; OpenStreetMap contributors",
-  updateWhenIdle: true,
-  // bewusst ohne "c" um SSL-Glitches / Blockaden zu umgehen
-  subdomains: ["a","b"],
-};
+function tileY(lat, z) {
+  const n = 2 ** z;
+  const r = toRad(lat);
+  return Math.max(0, Math.min(n - 1, Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * n)));
+}
 
-let __baseTileLayer = null;
-const __tileFail = { count: 0, t0: 0, switched: false };
+// Kachel-Bereiche je Zoomstufe: [{ z, x0, x1, y0, y1 }]; bounds = { minLat, minLon, maxLat, maxLon }
+function tilePackRanges(bounds, minZoom, maxZoom) {
+  const out = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    out.push({ z, x0: tileX(bounds.minLon, z), x1: tileX(bounds.maxLon, z), y0: tileY(bounds.maxLat, z), y1: tileY(bounds.minLat, z) });
+  }
+  return out;
+}
 
-function __attachTileErrorHandler(layer){
-  layer.on("tileerror", () => {
-    const now = Date.now();
-    if(!__tileFail.t0 || (now - __tileFail.t0) > 5000){
-      __tileFail.t0 = now;
-      __tileFail.count = 0;
-    }
-    __tileFail.count++;
-
-    // nach 3 Fehlern/5s: Fallback schalten (einmalig)
-    if(!__tileFail.switched && __tileFail.count >= 3){
-      __tileFail.switched = true;
-      try { map.removeLayer(layer); } catch(_){}
-
-      // Fallback: anderer OSM Tile Host (gleiches Daten-Ökosystem)
-      __baseTileLayer = L.tileLayer("https://tile.openstreetmap.de/{z}/{x}/{y}.png", {
-        maxZoom: 19,
-        noWrap: true,
-        bounds: getIcelandBounds(),
-        attribution: "&copy; OpenStreetMap contributors",
-        updateWhenIdle: true,
-      }).addTo(map);
-    }
-  });
+function tilePackCount(bounds, minZoom, maxZoom) {
+  return tilePackRanges(bounds, minZoom, maxZoom).reduce((n, r) => n + (r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1), 0);
 }
 
-__baseTileLayer = L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", __tileOpts).addTo(map);
-__attachTileErrorHandler(__baseTileLayer);
+function tilePackUrl(z, x, y) {
+  return TILE_PACK_SOURCE.url.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
 
+function tilePackCovers(pack, z, x, y) {
+  if (z < pack.minZoom || z > pack.maxZoom) return false;
+  const b = pack.bounds;
+  return x >= tileX(b.minLon, z) && x <= tileX(b.maxLon, z) && y >= tileY(b.maxLat, z) && y <= tileY(b.minLat, z);
+}
 
-  // Welt-Maske: alles außerhalb Islands abdunkeln (nur visuell)
+// Blob aus einem Offline-Paket oder null (nur nachschlagen, wo ein Paket die Kachel abdeckt)
+async function tileCacheMatch(z, x, y) {
+  if (!TILE_PACK_SOURCE || !tilePacks.length || typeof caches === "undefined") return null;
+  if (!tilePacks.some((p) => tilePackCovers(p, z, x, y))) return null;
   try {
-    const b = getIcelandBounds();
-    const outer = [[-90, -180], [-90, 180], [90, 180], [90, -180], [-90, -180]];
-    const sw = b.getSouthWest();
-    const ne = b.getNorthEast();
-    const inner = [[sw.lat, sw.lng], [sw.lat, ne.lng], [ne.lat, ne.lng], [ne.lat, sw.lng], [sw.lat, sw.lng]];
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const res = await cache.match(tilePackUrl(z, x, y));
+    return res ? await res.blob() : null;
+  } catch (_) { return null; }
+}
+
+// Basiskarte: Kachel aus dem Offline-Paket, sonst live vom Tile-Server
+const CachedTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    if (!this.options.offlinePacks) return L.TileLayer.prototype.createTile.call(this, coords, done);
+    const tile = document.createElement("img");
+    L.DomEvent.on(tile, "load", L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, "error", L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = "";
+    tile.setAttribute("role", "presentation");
+
+    const url = this.getTileUrl(coords);
+    tileCacheMatch(coords.z, coords.x, coords.y).then((blob) => {
+      if (!blob) {
+        tile.src = url;
+        return;
+      }
+      const objUrl = URL.createObjectURL(blob);
+      const revoke = () => { try { URL.revokeObjectURL(objUrl); } catch (_) {} };
+      tile.addEventListener("load", revoke, { once: true });
+      tile.addEventListener("error", revoke, { once: true });
+      tile.src = objUrl;
+    });
+    return tile;
+  },
+});
 
-    if (!map.getPane("maskPane")) {
-      map.createPane("maskPane");
-      map.getPane("maskPane").style.zIndex = 350;
-      map.getPane("maskPane").style.pointerEvents = "none";
+// Lädt alle Kacheln eines Pakets in den Cache (vorhandene werden übersprungen).
+// Zählt pack.saved / pack.failed / pack.bytes mit; onProgress(pack) nach jeder Kachel.
+async function tilePackDownload(pack, signal, onProgress = null) {
+  if (!TILE_PACK_SOURCE) throw new Error("Keine Kachel-Quelle für Offline-Pakete eingerichtet");
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const host = schedHostOf(TILE_PACK_SOURCE.url);
+  const coords = (function* () {
+    for (const r of tilePackRanges(pack.bounds, pack.minZoom, pack.maxZoom)) {
+      for (let x = r.x0; x <= r.x1; x++) for (let y = r.y0; y <= r.y1; y++) yield [r.z, x, y];
     }
+  })();
 
-    L.polygon([outer, inner], {
-      pane: "maskPane",
+  const worker = async () => {
+    for (let next = coords.next(); !next.done; next = coords.next()) {
+      if (signal && signal.aborted) throw schedAbortError();
+      const url = tilePackUrl(...next.value);
+      const existing = await cache.match(url);
+      if (existing) {
+        pack.bytes += (await existing.blob()).size;
+        pack.saved++;
+      } else {
+        await schedAcquire(host, signal);
+        try {
+          const res = await fetch(url, { signal });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const blob = await res.blob();
+          await cache.put(url, new Response(blob, { headers: { "Content-Type": blob.type || "image/png" } }));
+          pack.bytes += blob.size;
+          pack.saved++;
+        } catch (e) {
+          if (e?.name === "AbortError") throw e;
+          pack.failed++;
+        } finally {
+          schedRelease(host);
+        }
+      }
+      try { if (onProgress) onProgress(pack); } catch (_) {}
+    }
+  };
+  await Promise.all(Array.from({ length: TILE_PACK_CONCURRENCY }, worker));
+  pack.complete = pack.failed === 0 && pack.saved === pack.tiles;
+  return pack;
+}
+
+async function tilePackDelete(id) {
+  const pack = tilePacks.find((p) => p.id === id);
+  if (!pack) return;
+  tilePacks = tilePacks.filter((p) => p.id !== id);
+  tilePacksSave();
+  if (typeof caches === "undefined") return;
+  // ohne Quelle (ältere Pakete): Kacheln nicht einzeln adressierbar -> Cache leeren, sobald kein Paket mehr übrig ist
+  if (!TILE_PACK_SOURCE) {
+    if (!tilePacks.length) { try { await caches.delete(TILE_CACHE_NAME); } catch (_) {} }
+    return;
+  }
+
+  const cache = await caches.open(TILE_CACHE_NAME);
+  for (const r of tilePackRanges(pack.bounds, pack.minZoom, pack.maxZoom)) {
+    for (let x = r.x0; x <= r.x1; x++) {
+      for (let y = r.y0; y <= r.y1; y++) {
+        if (tilePacks.some((p) => tilePackCovers(p, r.z, x, y))) continue;
+        try { await cache.delete(tilePackUrl(r.z, x, y)); } catch (_) {}
+      }
+    }
+  }
+}
+
+// =============================
+// Basiskarten – Auswahl + geordnete Fallback-Kette je Karte
+// - jede Karte = Liste von Tile-Quellen, die erste ist der Primär-Host
+// - BASEMAP_FAIL_COUNT Kachelfehler in BASEMAP_FAIL_WINDOW_MS => nächster Eintrag der Kette
+// - auf einem Fallback wird der Primär-Host regelmäßig mit einer Kachel geprüft und bei Erfolg zurückgeschaltet
+// - OSM steht am Ende jeder Kette: nur dort greifen die Offline-Kartenpakete
+// =============================
+const BASEMAP_STORAGE_KEY = "da_basemap_v1";
+const DEFAULT_BASEMAP_ID = "osm";
+const BASEMAP_FAIL_COUNT = 3;
+const BASEMAP_FAIL_WINDOW_MS = 5000;
+const BASEMAP_PROBE_MS = 60_000;
+const OSM_ATTRIBUTION = "&copy; OpenStreetMap contributors";
+const OPENTOPOMAP_TILES = {
+  url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+  subdomains: ["a", "b", "c"],
+  maxZoom: 17,
+  attribution: `Karte: &copy; OpenTopoMap (CC-BY-SA) · ${OSM_ATTRIBUTION} · SRTM`,
+};
+const OSM_TILE_CHAIN = [
+  // bewusst ohne "c" – kommt in der Praxis öfter als Ausreißer (SSL-Glitches / Blockaden)
+  { url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", subdomains: ["a", "b"], maxZoom: 19, attribution: OSM_ATTRIBUTION, offlinePacks: true },
+  { url: "https://tile.openstreetmap.de/{z}/{x}/{y}.png", maxZoom: 19, attribution: OSM_ATTRIBUTION, offlinePacks: true },
+];
+const BASEMAPS = [
+  { id: "osm", label: "OpenStreetMap", tiles: OSM_TILE_CHAIN },
+  { id: "topo", label: "Topografisch (OpenTopoMap)", tiles: [OPENTOPOMAP_TILES, ...OSM_TILE_CHAIN] },
+  {
+    id: "hillshade",
+    label: "Relief (Schummerung)",
+    tiles: [
+      {
+        url: "https://server.arcgisonline.com/ArcGIS/rest/services/Elevation/World_Hillshade/MapServer/tile/{z}/{y}/{x}",
+        maxZoom: 16,
+        attribution: "Relief: &copy; Esri (World Hillshade)",
+      },
+      OPENTOPOMAP_TILES,
+      ...OSM_TILE_CHAIN,
+    ],
+  },
+];
+
+const basemapState = { id: null, index: 0, layer: null, failCount: 0, failT0: 0, probeTimer: null };
+
+function getBasemap(id) {
+  return BASEMAPS.find((b) => b.id === id) || BASEMAPS[0];
+}
+
+function basemapLoadId() {
+  try { return getBasemap(localStorage.getItem(BASEMAP_STORAGE_KEY) || DEFAULT_BASEMAP_ID).id; } catch (_) { return DEFAULT_BASEMAP_ID; }
+}
+
+function basemapHost(entry) {
+  return schedHostOf(entry.url.replace("{s}.", ""));
+}
+
+function basemapLayerFor(entry) {
+  return new CachedTileLayer(entry.url, {
+    maxZoom: 19,
+    maxNativeZoom: entry.maxZoom || 19,
+    noWrap: true,
+    bounds: getIcelandBounds(),
+    attribution: entry.attribution || "",
+    updateWhenIdle: true,
+    subdomains: entry.subdomains || "abc",
+    offlinePacks: !!entry.offlinePacks,
+  });
+}
+
+// Basiskarte id mit Eintrag index der Kette anzeigen
+function basemapUse(id, index = 0) {
+  if (!map) return;
+  const bm = getBasemap(id);
+  const i = Math.max(0, Math.min(bm.tiles.length - 1, index));
+  if (basemapState.layer) {
+    try { map.removeLayer(basemapState.layer); } catch (_) {}
+  }
+  Object.assign(basemapState, { id: bm.id, index: i, failCount: 0, failT0: 0 });
+
+  const layer = basemapLayerFor(bm.tiles[i]);
+  layer.on("tileerror", () => basemapOnTileError(layer));
+  layer.addTo(map);
+  try { layer.bringToBack(); } catch (_) {}
+  basemapState.layer = layer;
+
+  basemapScheduleProbe();
+  basemapRenderStatus();
+}
+
+function basemapSelect(id) {
+  try { localStorage.setItem(BASEMAP_STORAGE_KEY, getBasemap(id).id); } catch (_) {}
+  basemapUse(id, 0);
+}
+
+function basemapOnTileError(layer) {
+  if (layer !== basemapState.layer) return;
+  const now = Date.now();
+  if (!basemapState.failT0 || (now - basemapState.failT0) > BASEMAP_FAIL_WINDOW_MS) {
+    basemapState.failT0 = now;
+    basemapState.failCount = 0;
+  }
+  basemapState.failCount++;
+  if (basemapState.failCount < BASEMAP_FAIL_COUNT) return;
+
+  // Ende der Kette: bleiben (Offline-Pakete / Browser-Cache liefern, was da ist)
+  const bm = getBasemap(basemapState.id);
+  if (basemapState.index < bm.tiles.length - 1) basemapUse(bm.id, basemapState.index + 1);
+}
+
+function basemapScheduleProbe(delayMs = BASEMAP_PROBE_MS) {
+  clearTimeout(basemapState.probeTimer);
+  basemapState.probeTimer = null;
+  if (basemapState.index === 0) return;
+  basemapState.probeTimer = setTimeout(basemapProbePrimary, delayMs);
+}
+
+// Eine Kachel des Primär-Hosts an der Kartenmitte laden; klappt es, zurückschalten
+function basemapProbePrimary() {
+  if (!map || basemapState.index === 0) return;
+  const bm = getBasemap(basemapState.id);
+  const entry = bm.tiles[0];
+  const z = Math.min(map.getZoom(), entry.maxZoom || 19);
+  const c = map.getCenter();
+  const url = entry.url
+    .replace("{s}", (entry.subdomains || ["a"])[0])
+    .replace("{z}", z)
+    .replace("{x}", tileX(c.lng, z))
+    .replace("{y}", tileY(c.lat, z));
+
+  const img = new Image();
+  img.onload = () => {
+    if (basemapState.id === bm.id && basemapState.index > 0) basemapUse(bm.id, 0);
+  };
+  img.onerror = () => basemapScheduleProbe();
+  img.src = url;
+}
+
+function basemapRenderStatus() {
+  const el = document.getElementById("basemapStatus");
+  if (!el) return;
+  const bm = getBasemap(basemapState.id);
+  const host = basemapHost(bm.tiles[basemapState.index]);
+  el.textContent = basemapState.index === 0
+    ? `Quelle: ${host}`
+    : `Quelle: ${host} (Ersatz ${basemapState.index}/${bm.tiles.length - 1}) – ${basemapHost(bm.tiles[0])} nicht erreichbar, wird alle ${Math.round(BASEMAP_PROBE_MS / 1000)} s erneut geprüft.`;
+}
+
+// =============================
+// Map init
+// =============================
+function initMap() {
+  if (map) return;
+
+  const startLat = 64.9;
+  const startLon = -18.6;
+
+  map = L.map("map", {
+    zoomControl: true,
+    attributionControl: true,
+    maxBounds: getIcelandBounds(),
+    maxBoundsViscosity: 1.0,
+  }).setView([startLat, startLon], MAP_DEFAULT_ZOOM);
+
+
+  // Collapsible panel integration (Map)
+  try{
+    window.__DA_LEAFLET_MAP__ = map;
+    if (window.__DA_PANEL__ && window.__DA_PANEL__.register){
+      const p = document.querySelector('[data-panel-id="map"][data-panel-collapsible="1"]');
+      if (p) window.__DA_PANEL__.register(p, "map", true);
+    }
+  }catch(_){}
+
+  // Make map large on mobile
+  applyResponsiveLayout();
+
+  // Ensure popup taps are not swallowed by the map on iOS
+  map.on("popupopen", (e) => {
+    try {
+      const el = e && e.popup && e.popup.getElement ? e.popup.getElement() : null;
+      if (!el) return;
+      if (L && L.DomEvent) {
+        L.DomEvent.disableClickPropagation(el);
+        L.DomEvent.disableScrollPropagation(el);
+      }
+    } catch (_) {}
+  });
+
+  // Zusätzlich: nach jedem Move wieder "reinziehen" (für Touch/Browser-Eigenheiten)
+  try {
+    const b = getIcelandBounds();
+    map.on("drag", () => { try { map.panInsideBounds(b, { animate: false }); } catch (_) {} });
+    map.on("moveend", () => { try { map.panInsideBounds(b, { animate: false }); } catch (_) {} });
+  } catch (_) {}
+
+  // Basiskarte (Auswahl + Fallback-Kette, siehe BASEMAPS)
+  basemapUse(basemapLoadId());
+
+
+  // Welt-Maske: alles außerhalb Islands abdunkeln (nur visuell)
+  try {
+    const b = getIcelandBounds();
+    const outer = [[-90, -180], [-90, 180], [90, 180], [90, -180], [-90, -180]];
+    const sw = b.getSouthWest();
+    const ne = b.getNorthEast();
+    const inner = [[sw.lat, sw.lng], [sw.lat, ne.lng], [ne.lat, ne.lng], [ne.lat, sw.lng], [sw.lat, sw.lng]];
+
+    if (!map.getPane("maskPane")) {
+      map.createPane("maskPane");
+      map.getPane("maskPane").style.zIndex = 350;
+      map.getPane("maskPane").style.pointerEvents = "none";
+    }
+
+    L.polygon([outer, inner], {
+      pane: "maskPane",
       stroke: false,
       fill: true,
       fillOpacity: 0.55,
@@ -355,7 +1393,7 @@ __attachTileErrorHandler(__baseTileLayer);
   marker = L.marker([startLat, startLon], { draggable: true }).addTo(map);
 
   nearCircle = L.circle([startLat, startLon], {
-    radius: NEAR_DISTANCE_M,
+    radius: activeProfile.nearDistanceM,
     weight: 2,
     opacity: 0.8,
     fillOpacity: 0.06,
@@ -416,54 +1454,72 @@ __attachTileErrorHandler(__baseTileLayer);
 
   // Map Klick: Detail-Popup (Aviation/Schutzgebiet) + Airport-Policy Hinweis
   map.on("click", async (e) => {
+    if (mapClickInterceptor && mapClickInterceptor(e)) return;
     const { lat, lng } = e.latlng;
     if (ENFORCE_ICELAND_ONLY && !isInsideIceland(lat, lng)) {
       if (SHOW_OUTSIDE_WARNING) setState("info", "—", "Island-only: Klick außerhalb Islands – keine Detailabfrage.");
       return;
     }
+    // Gezeichnete Vektor-Zonen unter dem Klick (alle, auch überlappende): Attribute liegen schon vor,
+    // das Popup zeigt sie sofort; die Detailabfrage ergänzt es, sobald sie zurück ist
+    const vectorZones = zoneVectorFeaturesAt(lat, lng);
+    const vectorLines = [];
+    if (vectorZones.length) {
+      vectorLines.push(`<b>Zonen auf der Karte (${vectorZones.length})</b> <span style="opacity:.6">– Attribute aus der WFS-Geometrie</span>`);
+      for (const z of vectorZones) vectorLines.push(zoneVectorPopupHtml(z.src, z.props, z.kind));
+    }
+    const head = [`<b>Detailabfrage</b>`, `Koordinaten: ${fmt(lat)}, ${fmt(lng)}`];
+    const popup = L.popup().setLatLng(e.latlng);
+    if (vectorLines.length) popup.setContent([...head, `<span style="opacity:.85">Server-Abfrage läuft…</span>`, ...vectorLines].join("<br/>")).openOn(map);
+    const showPopup = (lines) => {
+      // Vektor-Popup inzwischen geschlossen (oder anderer Klick) -> nicht erneut öffnen
+      if (vectorLines.length && !map.hasLayer(popup)) return;
+      popup.setContent(lines.join("<br/>"));
+      if (!map.hasLayer(popup)) popup.openOn(map);
+    };
+
     try {
       const res = await runDetailQuery(lat, lng);
-      const ap = nearestAirport(lat, lng);
-
-      const lines = [];
-      lines.push(`<b>Detailabfrage</b>`);
-      lines.push(`Koordinaten: ${fmt(lat)}, ${fmt(lng)}`);
-
-      // Aviation
-      const aviText =
-        res.aviationLevel === "hit" ? "Treffer" :
-        res.aviationLevel === "context" ? "Kontext" :
-        "kein Treffer";
-
-      // Protected
-      const protText = res.protectedHit ? "Treffer" : "kein Treffer";
+      const ap = res.airport;
+
+      const lines = [...head];
+
+      // Regel-Quellen (Aviation, Schutzgebiete, …)
+      for (const src of res.sources) {
+        const levelText =
+          src.error ? "Fehler" :
+          src.level === "hit" ? "Treffer" :
+          src.level === "context" ? "Kontext" :
+          "kein Treffer";
+        const count = src.features && src.features.length > 1 ? ` (${src.features.length} Features)` : "";
+        lines.push(`${escapeHtml(src.label)}: ${levelText}${count}${!src.features?.length && src.names.length ? " – " + escapeHtml(src.names.join(", ")) : ""}`);
+        for (const f of (src.features || [])) {
+          lines.push(`&nbsp;&nbsp;• ${escapeHtml(f.name || src.label)}${f.text ? `<br/><span style="opacity:.85">&nbsp;&nbsp;&nbsp;&nbsp;${escapeHtml(f.text)}</span>` : ""}`);
+        }
+      }
 
-      lines.push(`Aviation: ${aviText}${res.aviName ? " – " + escapeHtml(res.aviName) : ""}`);
-      lines.push(`Schutzgebiet: ${protText}${res.protName ? " – " + escapeHtml(res.protName) : ""}`);
+      lines.push(...vectorLines);
 
       // Airport policy info
       if (ap && ap.distanceM != null) {
         const d = Math.round(ap.distanceM);
-        const inRing = d <= AIRPORT_POLICY_RADIUS_M;
-        lines.push(`Flughafen: ${escapeHtml(ap.airport.name)} (${d} m)${inRing ? " – <b>im 5km-Ring</b>" : ""}`);
+        lines.push(`${escapeHtml(ap.typeLabel || "Flugplatz")}: ${escapeHtml(ap.name)}${ap.icao ? ` [${escapeHtml(ap.icao)}]` : ""} (${d} m)${ap.policy ? ` – <b>${escapeHtml(AIRPORT_POLICY_LABEL[ap.policy] || "")}</b>` : ""}`
+          + `<br/><span style="opacity:.85">&nbsp;&nbsp;&nbsp;&nbsp;Flugplatzdaten ${escapeHtml(ap.dataset)}</span>`);
       }
 
-      lines.push(`Vertrauen: ${escapeHtml(res.confidence)}`);
-      if (res.errSum) lines.push(`<span style="opacity:.85">Hinweis: ${escapeHtml(res.errSum)}</span>`);
+      lines.push(`Vertrauen: ${escapeHtml(res.confidence)}${res.retries ? ` (${res.retries}× wiederholt)` : ""}`);
+      if (res.basis) lines.push(`<span style="opacity:.85">${escapeHtml(res.basis)}</span>`);
+      if (res.dataAge) lines.push(`<span style="opacity:.85">${escapeHtml(res.dataAge)}</span>`);
+      if (res.errors) lines.push(`<span style="opacity:.85">Hinweis: ${escapeHtml(res.errors)}</span>`);
 
-      L.popup()
-        .setLatLng(e.latlng)
-        .setContent(lines.join("<br/>"))
-        .openOn(map);
+      showPopup(lines);
     } catch (err) {
-      L.popup()
-        .setLatLng(e.latlng)
-        .setContent(`<b>Detailabfrage</b><br/>Fehler: ${escapeHtml(err.message || String(err))}`)
-        .openOn(map);
+      showPopup([...head, `Fehler: ${escapeHtml(err.message || String(err))}`, ...vectorLines]);
     }
   });
 
   prepareOverlays();
+  zoneVectorInstall();
   updateOverlayPill();
 }
 
@@ -515,29 +1571,16 @@ function setOverlayOpacity(v) {
   overlayOpacityValue = Math.max(0, Math.min(1, v));
   if (aviationOverlay) aviationOverlay.setOpacity(overlayOpacityValue);
   if (protectedOverlay) protectedOverlay.setOpacity(overlayOpacityValue);
+  zoneVectorRestyle();
   updateOverlayPill();
 }
 
 function toggleAviationOverlay() {
-  initMap();
-  prepareOverlays();
-  if (!aviationOverlay) return;
-
-  if (overlayIsVisible(aviationOverlay)) map.removeLayer(aviationOverlay);
-  else aviationOverlay.addTo(map);
-
-  updateOverlayPill();
+  zoneOverlaySet(getRuleSource("aviation"), !zoneOverlayIsOn("aviation"));
 }
 
 function toggleProtectedOverlay() {
-  initMap();
-  prepareOverlays();
-  if (!protectedOverlay) return;
-
-  if (overlayIsVisible(protectedOverlay)) map.removeLayer(protectedOverlay);
-  else protectedOverlay.addTo(map);
-
-  updateOverlayPill();
+  zoneOverlaySet(getRuleSource("protected"), !zoneOverlayIsOn("protected"));
 }
 
 // =============================
@@ -556,18 +1599,112 @@ function haversineMeters(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-function nearestAirport(lat, lon) {
-  if (!AIRPORTS.length) return null;
+// Maßgeblicher Flugplatz = kleinster Abstand relativ zum eigenen Policy-Radius
+// (ein Klinik-Landeplatz in 800 m schlägt einen Flughafen in 4 km nicht automatisch).
+function nearestAirport(lat, lon, radiusScale = 1) {
+  if (!AERODROMES.length) return null;
   let best = null;
-  for (const ap of AIRPORTS) {
+  for (const ap of AERODROMES) {
     const d = haversineMeters(lat, lon, ap.lat, ap.lon);
-    if (!best || d < best.distanceM) {
-      best = { airport: ap, distanceM: d };
+    const radius = aerodromePolicyRadius(ap) * radiusScale;
+    const margin = d - radius;
+    if (!best || margin < best.margin) {
+      best = { airport: ap, distanceM: d, policyRadiusM: radius, margin };
     }
   }
   return best;
 }
 
+// Pistenbezogene Policy: Kernbereich um die Piste oder Trichter vor einer Schwelle.
+// slackM: GPS-Unsicherheit – Kern und Trichter gelten als getroffen, sobald der Unsicherheitskreis sie berührt.
+// Ergebnis: { airport, runway: "01/19", end: "01", kind: "core"|"funnel", alongM, crossM } oder null
+function runwayPolicyHit(ap, lat, lon, slackM = 0) {
+  for (const rw of (ap.runways || [])) {
+    const [t1, t2] = rw.thresholds;
+    const a = toLocalMeters(lat, lon, t1[0], t1[1]);
+    const b = toLocalMeters(lat, lon, t2[0], t2[1]);
+    const core = closestPointOnSegment(0, 0, a.x, a.y, b.x, b.y);
+    if (core.d - slackM <= RUNWAY_CORE_M) {
+      return { airport: ap, runway: rw.id, end: null, kind: "core", alongM: 0, crossM: core.d };
+    }
+
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!(len > 0)) continue;
+    const ends = String(rw.id).split("/");
+    // Trichter vor Schwelle 1 zeigt von t2 nach t1 (und umgekehrt)
+    for (const [thr, other, endId] of [[a, b, ends[0]], [b, a, ends[1] || ends[0]]]) {
+      const ux = (thr.x - other.x) / len;
+      const uy = (thr.y - other.y) / len;
+      const along = -thr.x * ux - thr.y * uy;          // Punkt (0,0) relativ zur Schwelle
+      const cross = Math.abs(-thr.x * uy + thr.y * ux);
+      if (along < -slackM || along - slackM > RUNWAY_FUNNEL_LENGTH_M) continue;
+      const reach = Math.min(Math.max(along + slackM, 0), RUNWAY_FUNNEL_LENGTH_M);
+      if (cross - slackM <= RUNWAY_FUNNEL_HALF_WIDTH_M + reach * RUNWAY_FUNNEL_DIVERGENCE) {
+        return { airport: ap, runway: rw.id, end: endId, kind: "funnel", alongM: Math.max(0, along), crossM: cross };
+      }
+    }
+  }
+  return null;
+}
+
+// Flugplatz-Policy am Punkt:
+//   "core"/"funnel" – Piste bzw. An-/Abflugtrichter (ROT)
+//   "circle"        – Platz ohne Pistendaten, im Policy-Radius (ROT)
+//   "side"          – Platz mit Pistendaten, im Radius aber seitlich der Achsen (GELB)
+// accM: GPS-Genauigkeit – Ringe und Trichter zählen, sobald der Unsicherheitskreis sie berührt
+// Ergebnis: { airport, distanceM, policyRadiusM, policy, runway, end, alongM } oder null
+function airportPolicyAt(lat, lon, radiusScale = 1, accM = 0) {
+  const nearest = nearestAirport(lat, lon, radiusScale);
+
+  // Trichter reichen über den Radius hinaus -> alle Plätze mit Pisten prüfen
+  for (const ap of AERODROMES) {
+    if (!ap.runways) continue;
+    if (haversineMeters(lat, lon, ap.lat, ap.lon) - accM > RUNWAY_FUNNEL_LENGTH_M + 5000) continue;
+    const hit = runwayPolicyHit(ap, lat, lon, accM);
+    if (hit) {
+      return {
+        airport: ap,
+        distanceM: haversineMeters(lat, lon, ap.lat, ap.lon),
+        policyRadiusM: aerodromePolicyRadius(ap) * radiusScale,
+        policy: hit.kind,
+        runway: hit.runway,
+        end: hit.end,
+        alongM: hit.alongM,
+      };
+    }
+  }
+
+  // Plätze ohne Pistendaten (Flugfelder, Heliports): Kreis bleibt ROT,
+  // auch wenn ein größerer Flughafen-Ring "näher" ist (z.B. Klinik-Landeplatz in Reykjavík)
+  let circle = null;
+  for (const ap of AERODROMES) {
+    if (ap.runways) continue;
+    const d = haversineMeters(lat, lon, ap.lat, ap.lon);
+    const radius = aerodromePolicyRadius(ap) * radiusScale;
+    if (d - accM <= radius && (!circle || d - radius < circle.margin)) circle = { airport: ap, distanceM: d, policyRadiusM: radius, margin: d - radius };
+  }
+
+  let pick = circle || nearest;
+  if (!pick) return null;
+  const inside = pick.distanceM - accM <= pick.policyRadiusM;
+  // Außerhalb aller Ringe: für die Anzeige den tatsächlich nächsten Platz
+  if (!inside) {
+    for (const ap of AERODROMES) {
+      const d = haversineMeters(lat, lon, ap.lat, ap.lon);
+      if (d < pick.distanceM) pick = { airport: ap, distanceM: d, policyRadiusM: aerodromePolicyRadius(ap) * radiusScale };
+    }
+  }
+  return {
+    airport: pick.airport,
+    distanceM: pick.distanceM,
+    policyRadiusM: pick.policyRadiusM,
+    policy: inside ? (pick.airport.runways ? "side" : "circle") : null,
+    runway: null,
+    end: null,
+    alongM: null,
+  };
+}
+
 // =============================
 // GetFeatureInfo helpers – LOGIK
 // =============================
@@ -606,8 +1743,8 @@ function buildGfiUrl(baseUrl, layerName, bbox, infoFormat) {
   return PROXY ? PROXY + encodeURIComponent(url) : url;
 }
 
-async function fetchText(url, signal) {
-  const res = await fetch(url, { cache: "no-cache", signal });
+async function fetchText(url, signal, stats = null) {
+  const res = await schedFetch(url, { cache: "no-cache", signal }, stats);
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
   return await res.text();
 }
@@ -675,473 +1812,2804 @@ function tryExtractZoneNameFromXml(xmlText) {
   return null;
 }
 
-// =============================
-// Cache helpers
-// =============================
-function roundDec(x, d) {
-  const p = 10 ** d;
-  return Math.round(x * p) / p;
+// GML-Antwort (GetFeatureInfo text/xml) -> Attribute jedes Features (einfache Elemente, ohne Geometrie)
+function parseGmlFeatureProps(xmlText) {
+  const out = [];
+  try {
+    if (!xmlText || isWmsException(xmlText)) return out;
+    const xml = new DOMParser().parseFromString(xmlText, "text/xml");
+    if (xml.getElementsByTagName("parsererror").length) return out;
+    const all = xml.getElementsByTagName("*");
+    for (let i = 0; i < all.length; i++) {
+      const m = all[i];
+      if (m.localName !== "featureMember" && m.localName !== "featureMembers") continue;
+      for (const feature of Array.from(m.children || [])) {
+        const props = {};
+        for (const c of Array.from(feature.children || [])) {
+          if (c.children && c.children.length) continue; // Geometrie u.ä.
+          const v = (c.textContent || "").trim();
+          if (v) props[c.localName] = v;
+        }
+        out.push(props);
+      }
+    }
+  } catch (_) {}
+  return out;
 }
 
-function makeCacheKey(baseUrl, layerName, lat, lon) {
-  const rLat = roundDec(lat, CACHE_ROUND_DECIMALS);
-  const rLon = roundDec(lon, CACHE_ROUND_DECIMALS);
-  return `${baseUrl}|${layerName}|${rLat},${rLon}|${GFI_CRS}|${GFI_HALFBOX_M}`;
-}
+const FEATURE_ATTR_SKIP = /^(geom|geometry|the_geom|shape|shape_area|shape_length|objectid|fid|gid|id|bbox|globalid)$/i;
 
-function cacheGet(key) {
-  const it = wmsCache.get(key);
-  if (!it) return null;
-  if ((Date.now() - it.ts) > CACHE_TTL_MS) {
-    wmsCache.delete(key);
-    return null;
+// Wichtigste Attribute eines Features für Detail/Popup: [[key, value], ...] (ohne Name, Geometrie, IDs)
+function featureKeyAttributes(props, max = 6) {
+  const out = [];
+  if (!props || typeof props !== "object") return out;
+  const name = tryExtractZoneNameFromProps(props);
+  for (const [k, v] of Object.entries(props)) {
+    if (out.length >= max) break;
+    if (FEATURE_ATTR_SKIP.test(k)) continue;
+    if (v === null || v === undefined || typeof v === "object") continue;
+    const val = String(v).trim();
+    if (!val || val === name || val.length > 80) continue;
+    out.push([k, val]);
   }
-  return it.value;
+  return out;
 }
 
-function cacheSet(key, value) {
-  wmsCache.set(key, { ts: Date.now(), value });
+function tryExtractZoneNameFromProps(props) {
+  if (!props || typeof props !== "object") return null;
+  const candidates = ["name", "NAME", "nafn", "NAFN", "title", "TITLE", "zone", "ZONE", "designation", "DESIGNATION", "id", "ID"];
+  for (const k of candidates) {
+    const v = props[k];
+    if (v === null || v === undefined) continue;
+    const val = String(v).trim();
+    if (val) return val;
+  }
+  return null;
 }
 
 // =============================
-// Query WMS (GetFeatureInfo)
-// - Aviation => level: hit/context/none
-// - Schutzgebiete => hit: true/false
+// WFS GetFeature – echte Zonen-Geometrien
+// - GeoJSON in EPSG:4326 (WFS 1.0.0 => Achsen immer lon/lat)
+// - Punkt-in-Polygon wird lokal gerechnet, nicht über eine GetFeatureInfo-Box geschätzt
 // =============================
-async function queryAviation(baseUrl, layerName, lat, lon, signal) {
-  const cacheKey = makeCacheKey(baseUrl, layerName, lat, lon) + "|avi";
-  const cached = cacheGet(cacheKey);
-  if (cached) return { ...cached, cached: true };
+function makeBbox4326(lat, lon, radiusM) {
+  const dLat = radiusM / 111320;
+  const dLon = radiusM / (111320 * Math.cos(toRad(lat)));
+  return { minLon: lon - dLon, minLat: lat - dLat, maxLon: lon + dLon, maxLat: lat + dLat };
+}
+
+function bboxContains(bbox, lat, lon, marginM = 0) {
+  if (!bbox) return false;
+  const dLat = marginM / 111320;
+  const dLon = marginM / (111320 * Math.cos(toRad(lat)));
+  return (
+    lat - dLat >= bbox.minLat && lat + dLat <= bbox.maxLat &&
+    lon - dLon >= bbox.minLon && lon + dLon <= bbox.maxLon
+  );
+}
 
-  const bbox = makeBbox3857(lat, lon, GFI_HALFBOX_M);
+function buildWfsUrl(baseUrl, layerName, bbox, maxFeatures = WFS_MAX_FEATURES) {
+  const params = new URLSearchParams({
+    SERVICE: "WFS",
+    VERSION: "1.0.0",
+    REQUEST: "GetFeature",
+    TYPENAME: layerName,
+    OUTPUTFORMAT: "application/json",
+    SRSNAME: WFS_BBOX_CRS,
+    BBOX: `${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat},${WFS_BBOX_CRS}`,
+    MAXFEATURES: String(maxFeatures),
+  });
 
-  // 1) JSON
-  try {
-    const res = await fetch(buildGfiUrl(baseUrl, layerName, bbox, "application/json"), { cache: "no-cache", signal });
-    if (res.ok) {
-      const js = await res.json();
-      const hit = Array.isArray(js?.features) ? js.features.length > 0 : false;
-      const out = { level: hit ? "hit" : "none", raw: js, format: "json", cached: false };
-      cacheSet(cacheKey, out);
-      return out;
-    }
-  } catch (_) {}
+  const url = `${baseUrl}?${params.toString()}`;
+  return PROXY ? PROXY + encodeURIComponent(url) : url;
+}
 
-  // 2) XML
-  try {
-    const xml = await fetchText(buildGfiUrl(baseUrl, layerName, bbox, "text/xml"), signal);
-    const level = aviationLevelFromXml(xml);
-    const out = { level, raw: xml, format: "xml", cached: false };
-    cacheSet(cacheKey, out);
-    return out;
-  } catch (_) {}
+// Antwort am MAXFEATURES-Limit (oder laut totalFeatures/numberMatched gekürzt) = Fenster unvollständig
+function wfsTruncated(js, maxFeatures) {
+  const n = js.features.length;
+  const total = Number(js.totalFeatures ?? js.numberMatched);
+  return n >= maxFeatures || (Number.isFinite(total) && total > n);
+}
 
-  // 3) text/plain
-  const txt = await fetchText(buildGfiUrl(baseUrl, layerName, bbox, "text/plain"), signal);
-  const level = aviationLevelFromText(txt);
-  const out = { level, raw: txt, format: "text", cached: false };
-  cacheSet(cacheKey, out);
+// Manche Server liefern trotz EPSG:4326 lat/lon statt lon/lat – für Island leicht erkennbar.
+function normalizeRingLonLat(ring) {
+  const out = [];
+  for (const c of (ring || [])) {
+    if (!Array.isArray(c) || c.length < 2) continue;
+    let x = Number(c[0]);
+    let y = Number(c[1]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    if (x > 0 && y < 0) { const t = x; x = y; y = t; }
+    out.push([x, y]);
+  }
   return out;
 }
 
-async function queryProtected(baseUrl, layerName, lat, lon, signal) {
-  const cacheKey = makeCacheKey(baseUrl, layerName, lat, lon) + "|prot";
-  const cached = cacheGet(cacheKey);
-  if (cached) return { ...cached, cached: true };
-
-  const bbox = makeBbox3857(lat, lon, GFI_HALFBOX_M);
+// Liefert Polygone als Array<Array<Ring>> (Ring = [[lon, lat], ...]); Linien/Punkte werden ignoriert.
+function geometryToPolygons(geom) {
+  if (!geom || !geom.type) return [];
+  if (geom.type === "Polygon") {
+    return [(geom.coordinates || []).map(normalizeRingLonLat)];
+  }
+  if (geom.type === "MultiPolygon") {
+    return (geom.coordinates || []).map((poly) => (poly || []).map(normalizeRingLonLat));
+  }
+  if (geom.type === "GeometryCollection") {
+    return (geom.geometries || []).flatMap(geometryToPolygons);
+  }
+  return [];
+}
 
-  // 1) JSON
-  try {
-    const res = await fetch(buildGfiUrl(baseUrl, layerName, bbox, "application/json"), { cache: "no-cache", signal });
-    if (res.ok) {
-      const js = await res.json();
-      const hit = Array.isArray(js?.features) ? js.features.length > 0 : false;
-      const out = { hit, raw: js, format: "json", cached: false };
-      cacheSet(cacheKey, out);
-      return out;
-    }
-  } catch (_) {}
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    const crosses = (yi > lat) !== (yj > lat);
+    if (crosses && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
 
-  // 2) XML
-  const xml = await fetchText(buildGfiUrl(baseUrl, layerName, bbox, "text/xml"), signal);
-  const hit = parseFeatureCount(xml) > 0;
-  const out = { hit, raw: xml, format: "xml", cached: false };
-  cacheSet(cacheKey, out);
-  return out;
+// Even-odd über alle Ringe: Löcher (innere Ringe) werden korrekt ausgespart.
+function pointInPolygon(lon, lat, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    if (ring.length >= 3 && pointInRing(lon, lat, ring)) inside = !inside;
+  }
+  return inside;
 }
 
-// =============================
-// Near-Check (Radar)
-// =============================
-function offsetMeters(lat, lon, eastMeters, northMeters) {
-  const dLat = northMeters / 111320;
-  const dLon = eastMeters / (111320 * Math.cos((lat * Math.PI) / 180));
-  return { lat: lat + dLat, lon: lon + dLon };
+// Gleiche Zone? (GetFeatureInfo liefert bei jeder Abfrage neue Objekte)
+function sameFeature(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  if (a.id != null && a.id === b.id) return true;
+  try { return JSON.stringify(a.properties || null) === JSON.stringify(b.properties || null); } catch (_) { return false; }
 }
 
-function makeRadarPoints(lat, lon, radiusM, n) {
-  const pts = [];
-  for (let i = 0; i < n; i++) {
-    const a = (2 * Math.PI * i) / n;
-    const east = Math.cos(a) * radiusM;
-    const north = Math.sin(a) * radiusM;
-    pts.push(offsetMeters(lat, lon, east, north));
+function featureContainsPoint(feature, lat, lon) {
+  const polys = feature && feature._polys ? feature._polys : geometryToPolygons(feature?.geometry);
+  for (const rings of polys) {
+    if (pointInPolygon(lon, lat, rings)) return true;
   }
-  return pts;
+  return false;
+}
+
+function featuresAtPoint(features, lat, lon) {
+  return (features || []).filter((f) => featureContainsPoint(f, lat, lon));
 }
 
 // =============================
-// Layer Checks
+// Grenz-Abstand (exakt, aus WFS-Geometrie)
+// - lokale Meter-Projektion um den Punkt (für < ~20 km ausreichend genau)
+// - Richtung = Kompassrichtung vom Punkt zum nächsten Punkt auf dem Zonenrand
 // =============================
-async function checkBothLayers(lat, lon, signal) {
-  const [avi, prot] = await Promise.allSettled([
-    queryAviation(WMS_BASE, LAYER, lat, lon, signal),
-    queryProtected(PROTECTED_WMS_BASE, PROTECTED_LAYER, lat, lon, signal),
-  ]);
+function toLocalMeters(lat0, lon0, lat, lon) {
+  return {
+    x: (lon - lon0) * 111320 * Math.cos(toRad(lat0)),
+    y: (lat - lat0) * 111320,
+  };
+}
 
-  const aviOk = avi.status === "fulfilled" ? avi.value : null;
-  const protOk = prot.status === "fulfilled" ? prot.value : null;
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  const x = ax + t * dx;
+  const y = ay + t * dy;
+  return { x, y, d: Math.hypot(px - x, py - y) };
+}
 
-  const aviErr = avi.status === "rejected" ? (avi.reason?.message || String(avi.reason)) : null;
-  const protErr = prot.status === "rejected" ? (prot.reason?.message || String(prot.reason)) : null;
+// Nächster Punkt auf dem Rand eines der Features (egal ob Punkt innen oder außen liegt).
+// Ergebnis: { distanceM, bearingDeg, feature, inside } oder null
+function nearestBoundary(features, lat, lon) {
+  let best = null;
+  for (const f of (features || [])) {
+    const polys = f && f._polys ? f._polys : geometryToPolygons(f?.geometry);
+    for (const rings of polys) {
+      for (const ring of rings) {
+        for (let i = 1; i < ring.length; i++) {
+          const a = toLocalMeters(lat, lon, ring[i - 1][1], ring[i - 1][0]);
+          const b = toLocalMeters(lat, lon, ring[i][1], ring[i][0]);
+          const c = closestPointOnSegment(0, 0, a.x, a.y, b.x, b.y);
+          if (!best || c.d < best.distanceM) {
+            best = { distanceM: c.d, x: c.x, y: c.y, feature: f };
+          }
+        }
+      }
+    }
+  }
+  if (!best) return null;
 
+  const bearingDeg = ((Math.atan2(best.x, best.y) * 180 / Math.PI) + 360) % 360;
   return {
-    aviationLevel: aviOk ? aviOk.level : "none",
-    protectedHit: protOk ? protOk.hit : false,
-    aviOk,
-    protOk,
-    aviErr,
-    protErr,
+    distanceM: best.distanceM,
+    bearingDeg,
+    feature: best.feature,
+    inside: featureContainsPoint(best.feature, lat, lon),
   };
 }
 
-function summarizeErrors(aviErr, protErr) {
-  const parts = [];
-  if (aviErr) parts.push(`Aviation: ${aviErr}`);
-  if (protErr) parts.push(`Schutzgebiete: ${protErr}`);
-  return parts.join(" | ");
+// Radius um den Punkt, in dem das WFS-Fenster garantiert vollständig ist.
+function coverageRadiusM(bbox, lat, lon) {
+  if (!bboxContains(bbox, lat, lon)) return 0;
+  const mLat = 111320;
+  const mLon = 111320 * Math.cos(toRad(lat));
+  return Math.min(
+    (lat - bbox.minLat) * mLat,
+    (bbox.maxLat - lat) * mLat,
+    (lon - bbox.minLon) * mLon,
+    (bbox.maxLon - lon) * mLon
+  );
 }
 
-function confidenceLabel(aviErr, protErr) {
-  const a = !!aviErr;
-  const p = !!protErr;
-  if (!a && !p) return "hoch";
-  if (a && p) return "niedrig";
-  return "mittel";
+function fmtDistance(m) {
+  const d = Math.round(Number(m));
+  if (!Number.isFinite(d)) return "—";
+  return d < 1000 ? `${d} m` : `${(d / 1000).toFixed(1)} km`;
 }
 
-async function nearCheck(lat, lon, signal) {
-  const pts = makeRadarPoints(lat, lon, NEAR_DISTANCE_M, RADAR_POINTS);
-  const checks = pts.map((p) => checkBothLayers(p.lat, p.lon, signal));
-  const results = await Promise.allSettled(checks);
-
-  let nearAviationHit = false;
-  let nearProtected = false;
-  let hadErrors = false;
+// z.B. "Schutzgebiet 320 m NO" / "Schutzgebiet > 2.0 km"
+function describeNearest(label, info) {
+  if (!info) return `${label}: —`;
+  if (info.beyondM != null) return Number.isFinite(info.beyondM) ? `${label} > ${fmtDistance(info.beyondM)}` : `${label}: keine`;
+  const name = tryExtractZoneNameFromProps(info.feature?.properties);
+  if (info.approx) {
+    return `${label}${name ? ` (${name})` : ""} ca. ${fmtDistance(info.distanceM)} ${windDirFromDeg(info.bearingDeg)} (±${fmtDistance(info.uncertaintyM)}, geschätzt)`;
+  }
+  return `${label}${name ? ` (${name})` : ""} ${fmtDistance(info.distanceM)} ${windDirFromDeg(info.bearingDeg)}`;
+}
 
-  for (const r of results) {
-    if (r.status === "fulfilled") {
-      const v = r.value;
-      if (v.aviErr || v.protErr) hadErrors = true;
-      if (v.aviationLevel === "hit") nearAviationHit = true;
-      if (v.protectedHit) nearProtected = true;
-    } else {
-      hadErrors = true;
+// Liefert auch veraltete Fenster (bis PERSIST_MAX_AGE_MS) – der Aufrufer entscheidet über Erneuerung.
+function wfsCoverageGet(baseUrl, layerName, lat, lon, marginM = 0) {
+  const now = Date.now();
+  let best = null;
+  for (let i = wfsCoverage.length - 1; i >= 0; i--) {
+    const it = wfsCoverage[i];
+    if ((now - it.ts) > PERSIST_MAX_AGE_MS) {
+      wfsCoverage.splice(i, 1);
+      continue;
+    }
+    if (it.baseUrl === baseUrl && it.layerName === layerName && bboxContains(it.bbox, lat, lon, marginM)) {
+      if (!best || it.ts > best.ts) best = it;
     }
   }
+  return best;
+}
 
-  return { nearAviationHit, nearProtected, hadErrors };
+function wfsCoverageKey(entry) {
+  const b = entry.bbox;
+  return `${entry.baseUrl}|${entry.layerName}|${[b.minLon, b.minLat, b.maxLon, b.maxLat].map((x) => roundDec(x, 5)).join(",")}`;
 }
 
-// =============================
-// Main Check
-// =============================
-async function runCheckWithCoords(lat, lon, accuracyText = "—", accuracyMeters = null) {
-  const myToken = ++lastRunToken;
+function wfsCoverageSet(entry, persist = true) {
+  wfsCoverage.push(entry);
+  while (wfsCoverage.length > WFS_CACHE_MAX_ENTRIES) wfsCoverage.shift();
+  if (persist) {
+    // _polys wird beim Laden neu berechnet
+    const features = entry.features.map(({ _polys, ...f }) => f);
+    persistSet("zones", `wfs|${wfsCoverageKey(entry)}`, { baseUrl: entry.baseUrl, layerName: entry.layerName, bbox: entry.bbox, crs: WFS_BBOX_CRS, features }, entry.ts);
+  }
+}
 
-  // Cancel previous
-  if (activeController) {
-    try { activeController.abort(); } catch (_) {}
+let gfiPersistWrites = 0;
+
+// Punkt-Ergebnisse (GetFeatureInfo) auf GFI_PERSIST_MAX_ENTRIES begrenzen, älteste zuerst raus
+async function gfiPersistPrune() {
+  const rows = (await persistAll("zones")).filter((r) => String(r.key).startsWith("gfi|"));
+  if (rows.length <= GFI_PERSIST_MAX_ENTRIES) return;
+  rows.sort((a, b) => a.ts - b.ts);
+  for (const r of rows.slice(0, rows.length - GFI_PERSIST_MAX_ENTRIES)) persistDelete("zones", r.key);
+}
+
+// Beim Start: gespeicherte Zonen-Fenster (neueste zuerst) in den Speicher-Cache holen
+async function wfsCoverageRestore() {
+  const rows = (await persistAll("zones")).filter((r) => String(r.key).startsWith("wfs|"));
+  rows.sort((a, b) => a.ts - b.ts);
+  for (const r of rows.slice(0, -WFS_CACHE_MAX_ENTRIES)) persistDelete("zones", r.key);
+  for (const r of rows.slice(-WFS_CACHE_MAX_ENTRIES)) {
+    const v = r.value || {};
+    // Fenster ohne BBOX-CRS (ältere Version) können leer sein, obwohl Zonen existieren
+    if (!Array.isArray(v.features) || !v.bbox || v.crs !== WFS_BBOX_CRS) {
+      persistDelete("zones", r.key);
+      continue;
+    }
+    const features = v.features.map((f) => ({ ...f, _polys: geometryToPolygons(f?.geometry) }));
+    wfsCoverageSet({ baseUrl: v.baseUrl, layerName: v.layerName, bbox: v.bbox, ts: r.ts, features }, false);
   }
-  activeController = new AbortController();
-  const signal = activeController.signal;
+}
 
-  const stopIfStale = () => (myToken !== lastRunToken);
+async function fetchWfsJson(baseUrl, layerName, bbox, signal, stats = null) {
+  const res = await schedFetch(buildWfsUrl(baseUrl, layerName, bbox), { cache: "no-cache", signal }, stats);
+  if (!res.ok) throw new Error(`WFS HTTP ${res.status}`);
 
-  if (zoneEl) zoneEl.textContent = "Zone: —";
-  updatePills(lat, lon, accuracyText);
-  setInputs(lat, lon);
-  updateMap(lat, lon, accuracyMeters);
-  updateExpertPill();
+  const text = await res.text();
+  if (isWmsException(text)) throw new Error("WFS ServiceException");
 
-  // 0) Flughafen-Policy (nur im Standardmodus)
-  //    => konservativ ROT, bevor wir überhaupt Daten abfragen
-  const ap = nearestAirport(lat, lon);
-  if (!expertMode && ap && ap.distanceM <= AIRPORT_POLICY_RADIUS_M) {
-    const d = Math.round(ap.distanceM);
-    if (zoneEl) zoneEl.textContent = `Zone: Flughafen-Nähe (${ap.airport.code})`;
+  let js = null;
+  try { js = JSON.parse(text); } catch (_) { throw new Error("WFS: keine GeoJSON-Antwort"); }
+  if (!js || !Array.isArray(js.features)) throw new Error("WFS: keine FeatureCollection");
+  return js;
+}
 
-    setState(
-      "no",
-      "ROT",
-      `${ap.airport.name}: ${d} m. Konservativer 5km-Sicherheitsring (Policy). Bitte nicht fliegen ohne explizite Freigabe/Regelprüfung.`
-    );
+// Einmal je Sitzung: ein bekannter Zonenpunkt der Quelle (wfsProbe) muss im WFS einen Treffer
+// liefern. Sonst (BBOX/Achsen falsch interpretiert) gilt WFS für die Quelle als unbrauchbar.
+const wfsProbeChecks = new Map(); // baseUrl|layerName -> Promise<boolean>
 
-    // Aviation-Overlay automatisch an (damit man Kontext sieht)
-    prepareOverlays();
-    if (!overlayIsVisible(aviationOverlay) && aviationOverlay) aviationOverlay.addTo(map);
-    updateOverlayPill();
-    return;
+function wfsProbeOk(baseUrl, layerName) {
+  const src = RULE_SOURCES.find((s) => s.baseUrl === baseUrl && s.layer === layerName);
+  const probe = src && src.wfsProbe;
+  if (!probe) return Promise.resolve(true);
+  const key = `${baseUrl}|${layerName}`;
+  if (!wfsProbeChecks.has(key)) {
+    const p = fetchWfsJson(baseUrl, layerName, makeBbox4326(probe.lat, probe.lon, 500), null).then((js) => {
+      const features = js.features.map((f) => ({ ...f, _polys: geometryToPolygons(f?.geometry) }));
+      return featuresAtPoint(features, probe.lat, probe.lon).length > 0;
+    });
+    // Netzfehler: beim nächsten Mal erneut prüfen
+    p.catch(() => wfsProbeChecks.delete(key));
+    wfsProbeChecks.set(key, p);
   }
+  return wfsProbeChecks.get(key);
+}
 
-  setState("warn", "…", "Frage Server (Aviation + Schutzgebiete)…");
+async function fetchZoneWindow(baseUrl, layerName, lat, lon, signal, marginM = 0, stats = null) {
+  const downKey = `${baseUrl}|${layerName}`;
+  if ((wfsDownUntil.get(downKey) || 0) > Date.now()) throw new Error("WFS zuletzt nicht erreichbar");
 
+  const bbox = makeBbox4326(lat, lon, Math.max(WFS_SEARCH_RADIUS_M, marginM * 2));
+  let js = null;
+  let probeOk = true;
   try {
-    const base = await checkBothLayers(lat, lon, signal);
-    if (stopIfStale()) return;
-
-    const errSum = summarizeErrors(base.aviErr, base.protErr);
-    const conf = confidenceLabel(base.aviErr, base.protErr);
+    [js, probeOk] = await Promise.all([fetchWfsJson(baseUrl, layerName, bbox, signal, stats), wfsProbeOk(baseUrl, layerName)]);
+  } catch (e) {
+    if (e?.name !== "AbortError") wfsDownUntil.set(downKey, Date.now() + WFS_RETRY_AFTER_MS);
+    throw e;
+  }
+  if (!probeOk) throw new Error(`WFS: kein Treffer am bekannten Zonenpunkt (${layerName}) – Geometrie nicht vertrauenswürdig`);
+  // Gekürztes Fenster würde Zonen verschweigen -> nicht cachen, Aufrufer fällt auf GetFeatureInfo/Radar zurück
+  if (wfsTruncated(js, WFS_MAX_FEATURES)) throw new Error(`WFS: Fenster gekürzt (≥ ${WFS_MAX_FEATURES} Features)`);
+
+  const features = js.features.map((f) => ({ ...f, _polys: geometryToPolygons(f?.geometry) }));
+  const entry = { baseUrl, layerName, bbox, ts: Date.now(), features };
+  wfsCoverageSet(entry);
+  return entry;
+}
+
+// Hintergrund-Erneuerung eines veralteten Fensters; das alte wird danach verworfen.
+function wfsRefresh(stale, lat, lon, marginM = 0) {
+  const key = wfsCoverageKey(stale);
+  if (wfsRefreshing.has(key)) return;
+  wfsRefreshing.add(key);
+  fetchZoneWindow(stale.baseUrl, stale.layerName, lat, lon, null, marginM)
+    .then(() => {
+      const i = wfsCoverage.indexOf(stale);
+      if (i >= 0) wfsCoverage.splice(i, 1);
+      persistDelete("zones", `wfs|${key}`);
+    })
+    .catch(() => {})
+    .finally(() => wfsRefreshing.delete(key));
+}
+
+// Holt alle Zonen-Features im Suchfenster um (lat, lon).
+// Ergebnis: { features, bbox, cached, ts, stale } – features enthalten vorberechnete Polygone (_polys).
+// Veraltete Fenster werden sofort geliefert (stale: true) und im Hintergrund neu geladen.
+// stats (optional): { retries } – Wiederholungen des Schedulers werden aufaddiert.
+async function fetchZoneFeatures(baseUrl, layerName, lat, lon, signal, marginM = 0, stats = null) {
+  const hit = wfsCoverageGet(baseUrl, layerName, lat, lon, marginM);
+  if (hit && persistIsFresh("zones", hit.ts)) return { features: hit.features, bbox: hit.bbox, cached: true, ts: hit.ts, stale: false };
+  if (hit) {
+    wfsRefresh(hit, lat, lon, marginM);
+    return { features: hit.features, bbox: hit.bbox, cached: true, ts: hit.ts, stale: true };
+  }
 
-    // 1) ROT: Aviation HIT (regelrelevant)
-    if (base.aviationLevel === "hit") {
-      let name = null;
-      if (base.aviOk?.format === "xml") name = tryExtractZoneNameFromXml(base.aviOk.raw);
-      if (zoneEl) zoneEl.textContent = `Zone: ${name ? name : "Aviation-Zone"}`;
+  const entry = await fetchZoneWindow(baseUrl, layerName, lat, lon, signal, marginM, stats);
+  return { features: entry.features, bbox: entry.bbox, cached: false, ts: entry.ts, stale: false };
+}
 
-      setState("no", "ROT", `Treffer: Aviation/Luftraum (regelrelevant). Vertrauen: ${conf}.`);
-      if (errSum) detailEl.textContent += ` | Hinweis: ${errSum}`;
+function zoneNameFromResult(res) {
+  return zoneNamesFromResult(res)[0] || null;
+}
 
-      prepareOverlays();
-      if (!overlayIsVisible(aviationOverlay) && aviationOverlay) aviationOverlay.addTo(map);
-      updateOverlayPill();
-      return;
-    }
+// Namen aller zurückgegebenen Features (ohne Duplikate)
+function zoneNamesFromResult(res) {
+  if (!res) return [];
+  const names = [];
+  for (const f of (res.hits || [])) {
+    const n = tryExtractZoneNameFromProps(f?.properties);
+    if (n && !names.includes(n)) names.push(n);
+  }
+  if (!names.length && res.format === "xml") {
+    const n = tryExtractZoneNameFromXml(res.raw);
+    if (n) names.push(n);
+  }
+  return names;
+}
 
-    // 2) GELB: Schutzgebiet HIT
-    if (base.protectedHit) {
-      let name = null;
-      if (base.protOk?.format === "xml") name = tryExtractZoneNameFromXml(base.protOk.raw);
-      if (zoneEl) zoneEl.textContent = `Zone: ${name ? name : "Schutzgebiet"}`;
+// =============================
+// Aviation-Attribute (dronemap) – Zonentyp, Kennung, Höhengrenzen, Verbot vs. Beschränkung
+// Feldnamen sind nicht garantiert stabil -> tolerant (case-insensitiv, mehrere Kandidaten).
+// =============================
+function propPick(props, keys) {
+  if (!props || typeof props !== "object") return undefined;
+  const lower = {};
+  for (const k of Object.keys(props)) lower[k.toLowerCase()] = props[k];
+  for (const k of keys) {
+    const v = lower[k.toLowerCase()];
+    if (v !== null && v !== undefined && String(v).trim() !== "") return v;
+  }
+  return undefined;
+}
 
-      setState("warn", "GELB", `Schutzgebiet: sensibler Bereich. Vertrauen: ${conf}. Regeln können variieren – bitte amtlich prüfen.`);
-      if (errSum) detailEl.textContent += ` | Hinweis: ${errSum}`;
-      return;
-    }
+// "50 m AGL", "400 ft", "FL65", "GND", 120 -> { m, ref: "AGL"|"AMSL"|"FL"|null, text }
+function parseHeightLimit(value, unitHint = "") {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+  const t = `${raw} ${unitHint || ""}`.toUpperCase();
+
+  // "0" nur als ganze Zahl – "0.5", "0,3" sind echte Werte
+  if (/^(GND|SFC)\b|^0+(\s*(M|FT))?$/.test(raw.toUpperCase())) return { m: 0, ref: "AGL", text: "GND" };
+  if (/\bUNL/.test(t)) return { m: Infinity, ref: "AMSL", text: "UNL" };
+
+  const fl = /FL\s*(\d+)/.exec(t);
+  if (fl) return { m: Number(fl[1]) * 100 * 0.3048, ref: "FL", text: `FL${fl[1]}` };
+
+  const num = /(-?\d+(?:[.,]\d+)?)/.exec(raw);
+  if (!num) return null;
+  const n = Number(num[1].replace(",", "."));
+  if (!Number.isFinite(n)) return null;
+
+  const feet = /\bFT\b|FEET|FOOT|\d\s*FT/.test(t);
+  const m = feet ? n * 0.3048 : n;
+  const ref = /AMSL|\bMSL\b|\bALT\b/.test(t) ? "AMSL" : (/AGL|\bSFC\b|\bGND\b/.test(t) ? "AGL" : null);
+  return { m, ref, text: `${Math.round(m)} m${ref ? " " + ref : ""}` };
+}
+
+function _truthyFlag(v) {
+  if (v === true || v === 1) return true;
+  const t = String(v ?? "").trim().toLowerCase();
+  return t === "true" || t === "1" || t === "yes" || t === "ja" || t === "já" || t === "y";
+}
+
+// Für dronemap_ice_json gibt es kein dokumentiertes Attribut-Schema: herabgestuft (Höhenbegrenzung,
+// GELB) wird nur bei einem eindeutigen Feld (Flag oder Typ-/Regelwert aus AVIATION_RESTRICTED_VALUES).
+// Freitext (Name, Beschreibung, Kennung) oder die Höhenwerte allein lassen die Zone ROT; die
+// Grenzen erscheinen dann nur als Information (limitsUnconfirmed).
+const AVIATION_RESTRICTED_VALUES = ["restricted", "restriction", "height_limit", "height limit", "takmarkað", "takmarkad", "hæðartakmörkun", "haedartakmorkun"];
+
+// Ergebnis: { name, designation, type, restriction: "prohibited"|"restricted"|"unknown",
+//             lower, upper, maxAglM, limitsUnconfirmed, aboveOpenCategory, severity }
+function parseAviationProperties(props) {
+  const p = props || {};
+  const name = tryExtractZoneNameFromProps(p);
+  const designation = propPick(p, ["designation", "ident", "identifier", "code", "kodi", "auðkenni", "zone_id"]);
+  const type = propPick(p, ["type", "zone_type", "zonetype", "category", "class", "flokkur", "tegund", "svaedi_tegund"]);
+  const unit = propPick(p, ["unit", "uom", "units", "eining", "height_unit"]) || "";
+
+  const lower = parseHeightLimit(propPick(p, ["lower", "lower_limit", "lowerlimit", "lower_m", "floor", "min_alt", "min_height", "nedri_mork", "lagmark"]), unit);
+  const upper = parseHeightLimit(propPick(p, ["upper", "upper_limit", "upperlimit", "upper_m", "ceiling", "max_alt", "max_height", "maxheight", "haed", "hamark", "efri_mork"]), unit);
+
+  const rule = propPick(p, ["restriction", "status", "rule", "regla"]);
+  const text = [type, designation, name, rule, propPick(p, ["description", "lysing"])]
+    .filter((x) => x !== undefined && x !== null)
+    .join(" ")
+    .toLowerCase();
+  const restrictedValue = (v) => v !== undefined && AVIATION_RESTRICTED_VALUES.includes(String(v).trim().toLowerCase());
+
+  let restriction = "unknown";
+  let limitsUnconfirmed = false;
+  if (_truthyFlag(propPick(p, ["prohibited", "forbidden", "no_fly", "nofly", "bann", "bannad"]))) restriction = "prohibited";
+  else if (/prohib|forbid|bann|no[\s_-]?fly|flugverbot|\bp[\s-]?\d/.test(text)) restriction = "prohibited";
+  else if (_truthyFlag(propPick(p, ["restricted", "takmarkad"])) || restrictedValue(type) || restrictedValue(rule)) restriction = "restricted";
+  else if (/restrict|takmark|limit|heimild|permission|hæð|\br[\s-]?\d/.test(text) || (upper && lower && lower.m === 0 && upper.m < OPEN_CATEGORY_MAX_AGL_M)) {
+    // nur geraten -> kein Herabstufen
+    limitsUnconfirmed = true;
+  }
 
-    // 3) INFO: Aviation KONTEXT (Hinweis, kein Feature-Hit)
-    if (base.aviationLevel === "context") {
-      if (zoneEl) zoneEl.textContent = "Zone: Aviation-Kontext";
-      setState(
-        "info",
-        "INFO",
-        `Aviation-Umfeld (Hinweis). Kein explizites Verbot als Feature. Vertrauen: ${conf}. Bitte besonders aufmerksam (lokale Regeln, Start-/Landeachsen, NOTAM, Menschen).`
-      );
-      if (errSum) detailEl.textContent += ` | Hinweis: ${errSum}`;
-      return;
-    }
+  // Höhenbegrenzung für Drohnen: Zone ab Boden mit Obergrenze unterhalb 120 m AGL
+  const fromGround = !lower || lower.m === 0;
+  const maxAglM = (restriction === "restricted" && fromGround && upper && upper.ref !== "AMSL" && upper.ref !== "FL" && upper.m < OPEN_CATEGORY_MAX_AGL_M)
+    ? upper.m
+    : null;
 
-    // 4) Kein Treffer am Punkt -> Grenznähe prüfen
-    setState("warn", "…", `Kein Treffer am Punkt. Prüfe Grenznähe (${NEAR_DISTANCE_M} m)…`);
-    const near = await nearCheck(lat, lon, signal);
-    if (stopIfStale()) return;
+  // Zone beginnt oberhalb der Open-Category-Grenze -> für Drohnen nur Hinweis
+  const aboveOpenCategory = !!(lower && lower.ref === "AGL" && lower.m > OPEN_CATEGORY_MAX_AGL_M && restriction !== "prohibited");
 
-    const reasons = [];
-    if (near.nearAviationHit) reasons.push(`Grenzbereich Aviation (<${NEAR_DISTANCE_M} m)`);
-    if (near.nearProtected) reasons.push(`nahe Schutzgebiet (<${NEAR_DISTANCE_M} m)`);
-    if (errSum) reasons.push("Quellen nicht vollständig erreichbar");
+  let severity = "no";
+  if (aboveOpenCategory) severity = "info";
+  else if (restriction === "restricted" && maxAglM !== null) severity = "warn";
 
-    if (reasons.length) {
-      setState("warn", "GELB", `Vorsicht: ${reasons.join(" | ")}. Vertrauen: ${conf}.`);
-      if (near.hadErrors) detailEl.textContent += " | Hinweis: Grenz-Check evtl. unvollständig.";
-      return;
-    }
+  return {
+    name,
+    designation: designation !== undefined ? String(designation) : null,
+    type: type !== undefined ? String(type) : null,
+    restriction,
+    lower,
+    upper,
+    maxAglM,
+    limitsUnconfirmed,
+    aboveOpenCategory,
+    severity,
+  };
+}
 
-    // 5) GRÜN (nur wenn nicht total blind)
-    if (conf === "niedrig") {
-      setState("warn", "GELB", "Keine Treffer – aber Quellen waren nicht erreichbar. Bitte später erneut prüfen. Vertrauen: niedrig.");
-      return;
-    }
+function formatZoneInfo(info) {
+  if (!info) return "";
+  const parts = [];
+  if (info.type) parts.push(`Typ: ${info.type}`);
+  if (info.designation && info.designation !== info.name) parts.push(`Kennung: ${info.designation}`);
+  if (info.lower) parts.push(`Untergrenze: ${info.lower.text}`);
+  if (info.upper) parts.push(`Obergrenze: ${info.upper.text}`);
+  if (info.restriction === "prohibited") parts.push("Flugverbot");
+  else if (info.maxAglM !== null) parts.push(`Höhenbegrenzung max ${Math.round(info.maxAglM)} m AGL`);
+  else if (info.restriction === "restricted") parts.push("beschränkt (Genehmigung)");
+  else if (info.limitsUnconfirmed) parts.push("Höhenwerte nur zur Information (Beschränkung nicht als Attribut ausgewiesen)");
+  if (info.aboveOpenCategory) parts.push(`beginnt oberhalb ${OPEN_CATEGORY_MAX_AGL_M} m AGL`);
+  return parts.join(" · ");
+}
+
+// Ampel einer Zone für eine geplante Flughöhe (m AGL); ohne Höhe gilt die Ortsbewertung.
+//   unterhalb der Zonen-Untergrenze / innerhalb der Höhenbegrenzung -> "ok", knapp darunter -> "warn", darüber -> "no"
+function zoneSeverityAt(info, altM = null) {
+  if (altM === null || altM === undefined || !info) return info ? info.severity : "ok";
+  if (info.lower && info.lower.ref === "AGL" && info.lower.m > 0 && altM < info.lower.m) {
+    return altM > info.lower.m - ALTITUDE_MARGIN_M ? "warn" : "ok";
+  }
+  if (info.restriction === "prohibited") return "no";
+  if (info.maxAglM !== null) {
+    if (altM > info.maxAglM) return "no";
+    return altM > info.maxAglM - ALTITUDE_MARGIN_M ? "warn" : "ok";
+  }
+  return "no";
+}
 
-    // Optional: im Expertenmodus trotzdem Flughafen-Hinweistext als Info in Detail (nicht als Ampel)
-    if (expertMode && ap && ap.distanceM <= AIRPORT_POLICY_RADIUS_M) {
-      setState("info", "INFO", `Expertenmodus: im 5km-Ring von ${ap.airport.name} (${Math.round(ap.distanceM)} m) – Ampel bleibt datengestützt.`);
-      return;
-    }
+// Entscheidende Zone: höchste Stufe; bei Höhenbegrenzungen die niedrigste Grenze.
+function decisiveZoneInfo(infos, altM = null) {
+  let best = null;
+  let bestSev = null;
+  for (const i of (infos || [])) {
+    const sev = zoneSeverityAt(i, altM);
+    if (!best || SEVERITY_RANK[sev] > SEVERITY_RANK[bestSev]) { best = i; bestSev = sev; continue; }
+    if (sev === bestSev && i.maxAglM !== null && (best.maxAglM === null || i.maxAglM < best.maxAglM)) best = i;
+  }
+  return best ? { ...best, severity: bestSev } : null;
+}
 
-    setState("ok", "GRÜN", `Keine Zone laut Servern. Vertrauen: ${conf}. (Aviation + Schutzgebiete)`);
-  } catch (e) {
-    if (e?.name === "AbortError") return;
-    setState("warn", "—", `Abfrage fehlgeschlagen: ${e.message}`);
+function aviationHitText(conf, infos, altM = null) {
+  const info = decisiveZoneInfo(infos, altM);
+  const label = info && (info.name || info.designation) ? ` (${info.name || info.designation})` : "";
+  if (altM !== null && altM !== undefined && info && info.severity === "no" && info.maxAglM !== null && info.restriction !== "prohibited") {
+    return `Geplante Höhe ${Math.round(altM)} m AGL liegt über der Höhenbegrenzung${label}: max ${Math.round(info.maxAglM)} m AGL hier. Vertrauen: ${conf}.`;
+  }
+  if (altM !== null && altM !== undefined && info && info.severity === "warn") {
+    const limit = info.maxAglM !== null ? `Höhenbegrenzung max ${Math.round(info.maxAglM)} m AGL` : `Zonen-Untergrenze ${info.lower.text}`;
+    return `Geplante Höhe ${Math.round(altM)} m AGL liegt knapp unter der ${limit}${label} (Puffer < ${ALTITUDE_MARGIN_M} m). Vertrauen: ${conf}.`;
   }
+  if (info && info.restriction === "prohibited") {
+    return `Treffer: Aviation – Flugverbotszone${label}. Vertrauen: ${conf}.`;
+  }
+  if (info && info.severity === "warn" && info.maxAglM !== null) {
+    return `Aviation-Zone mit Höhenbegrenzung${label}: max ${Math.round(info.maxAglM)} m AGL hier. Nur darunter und mit Auflagen fliegen. Vertrauen: ${conf}.`;
+  }
+  if (info && info.severity === "info") {
+    return `Aviation-Zone${label} beginnt erst ab ${info.lower.text} – unterhalb ${OPEN_CATEGORY_MAX_AGL_M} m AGL nicht betroffen. Vertrauen: ${conf}.`;
+  }
+  const extra = info && info.restriction === "restricted" ? " Beschränktes Gebiet – Flug nur mit Genehmigung." : "";
+  return `Treffer: Aviation/Luftraum (regelrelevant).${extra} Vertrauen: ${conf}.`;
 }
 
 // =============================
-// Detail Query (Map-Klick Popup)
+// Cache helpers
 // =============================
-async function runDetailQuery(lat, lon) {
-  const controller = new AbortController();
-  const signal = controller.signal;
-
-  const base = await checkBothLayers(lat, lon, signal);
-
-  const errSum = summarizeErrors(base.aviErr, base.protErr);
-  const conf = confidenceLabel(base.aviErr, base.protErr);
+function roundDec(x, d) {
+  const p = 10 ** d;
+  return Math.round(x * p) / p;
+}
 
-  let aviName = null;
-  if (base.aviOk?.format === "xml" && base.aviationLevel === "hit") {
-    aviName = tryExtractZoneNameFromXml(base.aviOk.raw);
-  }
+function makeCacheKey(baseUrl, layerName, lat, lon) {
+  const rLat = roundDec(lat, CACHE_ROUND_DECIMALS);
+  const rLon = roundDec(lon, CACHE_ROUND_DECIMALS);
+  return `${baseUrl}|${layerName}|${rLat},${rLon}|${GFI_CRS}|${GFI_HALFBOX_M}`;
+}
 
-  let protName = null;
-  if (base.protOk?.format === "xml" && base.protectedHit) {
-    protName = tryExtractZoneNameFromXml(base.protOk.raw);
+function cacheGet(key) {
+  const it = wmsCache.get(key);
+  if (!it) return null;
+  if ((Date.now() - it.ts) > CACHE_TTL_MS) {
+    wmsCache.delete(key);
+    return null;
   }
+  return it.value;
+}
 
-  return {
-    aviationLevel: base.aviationLevel,
-    protectedHit: base.protectedHit,
-    aviName,
-    protName,
-    confidence: conf,
-    errSum,
-  };
+function cacheSet(key, value) {
+  wmsCache.set(key, { ts: Date.now(), value });
 }
 
 // =============================
-// GPS / Manual
+// Regel-Quellen (Registry)
+// Jede Quelle beschreibt Endpoint, Layer, Klassifizierung der Antwort und welche Ampel sie
+// bei einem Treffer erzeugen kann. Der Haupt-Check iteriert nur über RULE_SOURCES –
+// eine weitere Quelle (Nationalpark-Regeln, temporäre Sperren, lokales GeoJSON) ist nur
+// ein weiterer registerRuleSource()-Aufruf.
+//
+// Felder:
+//   id, label              – Schlüssel + Kurzname (Hinweise/Fehler)
+//   kind                   – "wms" (WFS-Geometrie, Fallback GetFeatureInfo) | "geojson" (lokal, features[])
+//   baseUrl, layer         – nur "wms"
+//   formats                – GetFeatureInfo INFO_FORMATs in Reihenfolge (letzter Versuch wirft)
+//   classify(format, raw)  – GetFeatureInfo-Antwort -> "hit" | "context" | "none"
+//   severity               – Ampel bei Treffer: "no" (ROT) | "warn" (GELB) | "info" (INFO)
+//   contextSeverity        – Ampel bei "context" (nur Hinweis, kein Feature)
+//   featureInfo(props)     – optional: Feature-Attribute -> { severity, … } (Ampel je Zone)
+//   profileSeverity(p)     – optional: Ampel bei Treffer je Policy-Profil (null = severity/featureInfo)
+//   wfsProbe               – optional: { lat, lon } sicher in einer Zone; prüft, ob WFS-Fenster stimmen
+//   zoneLabel, hitText(conf, infos, altM), contextText(conf), edgeLabel, nearPrefix, overlay()
 // =============================
-async function checkGps() {
-  try { _clearSelectedSpotName(); } catch (_) {}
-  if (!navigator.geolocation) {
-    setState("warn", "—", "GPS nicht verfügbar.");
-    return;
-  }
+const SEVERITY_RANK = { no: 3, warn: 2, info: 1, ok: 0 };
+const SEVERITY_TITLE = { no: "ROT", warn: "GELB", info: "INFO", ok: "GRÜN" };
+const SEVERITY_COLOR = { no: "#ff6b6b", warn: "#ffc04d", info: "#7fb2ff", ok: "#6fdc6f" };
+
+const RULE_SOURCES = [];
+
+function registerRuleSource(def) {
+  if (!def || !def.id) throw new Error("Regel-Quelle ohne id");
+  if (RULE_SOURCES.some((s) => s.id === def.id)) throw new Error(`Regel-Quelle doppelt: ${def.id}`);
+
+  const src = {
+    kind: "wms",
+    label: def.id,
+    formats: ["application/json", "text/xml"],
+    classify: classifyFeatureResponse,
+    severity: "warn",
+    contextSeverity: "info",
+    zoneLabel: def.label || def.id,
+    hitText: (conf) => `Treffer: ${def.label || def.id}. Vertrauen: ${conf}.`,
+    contextText: (conf) => `${def.label || def.id}: Hinweis (kein Feature). Vertrauen: ${conf}.`,
+    edgeLabel: "Rand",
+    nearPrefix: "nahe",
+    near: true,
+    ...def,
+  };
+  RULE_SOURCES.push(src);
+  return src;
+}
 
-  setMode("gps");
-  setState("warn", "…", "Standort wird geholt…");
+function getRuleSource(id) {
+  return RULE_SOURCES.find((s) => s.id === id) || null;
+}
 
-  navigator.geolocation.getCurrentPosition(
-    async (pos) => {
-      const { latitude, longitude, accuracy } = pos.coords;
-      const accText = accuracy ? `±${Math.round(accuracy)} m` : "—";
-      const g = guardToIceland(latitude, longitude, "Island-only: GPS liegt außerhalb Islands – ich klemme den Punkt zurück.");
-    updateMap(g.lat, g.lon, accuracy);
-    await runCheckWithCoords(g.lat, g.lon, accText, accuracy);
-    },
-    (err) => setState("warn", "—", `Standortfehler: ${err.message}`),
-    { enableHighAccuracy: true, timeout: 12000, maximumAge: 2000 }
-  );
+// Standard: JSON/XML mit Features = Treffer
+function classifyFeatureResponse(format, raw) {
+  if (format === "json") return Array.isArray(raw?.features) && raw.features.length > 0 ? "hit" : "none";
+  if (format === "xml") return parseFeatureCount(raw) > 0 ? "hit" : "none";
+  return "none";
 }
 
-function parseManualInputs() {
-  const lat = Number(String(latInput?.value ?? "").replace(",", "."));
-  const lon = Number(String(lonInput?.value ?? "").replace(",", "."));
+// Aviation: FeatureInfoResponse/FIELDS/Text ohne FeatureMember = Kontext (Hinweis)
+function classifyAviationResponse(format, raw) {
+  if (format === "json") return classifyFeatureResponse(format, raw);
+  if (format === "xml") return aviationLevelFromXml(raw);
+  if (format === "text") return aviationLevelFromText(raw);
+  return "none";
+}
 
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    throw new Error("Bitte gültige Latitude/Longitude eingeben (Zahlen).");
+// --- 1) Aviation (Samgöngustofa) => ROT
+registerRuleSource({
+  id: "aviation",
+  label: "Aviation",
+  baseUrl: WMS_BASE,
+  layer: LAYER,
+  formats: ["application/json", "text/xml", "text/plain"],
+  classify: classifyAviationResponse,
+  featureInfo: parseAviationProperties,
+  wfsProbe: { lat: 64.1300, lon: -21.9406 }, // Flugplatz Reykjavík (BIRK)
+  severity: "no",
+  contextSeverity: "info",
+  zoneLabel: "Aviation-Zone",
+  contextZoneLabel: "Aviation-Kontext",
+  hitText: aviationHitText,
+  contextText: (conf) => `Aviation-Umfeld (Hinweis). Kein explizites Verbot als Feature. Vertrauen: ${conf}. Bitte besonders aufmerksam (lokale Regeln, Start-/Landeachsen, NOTAM, Menschen).`,
+  edgeLabel: "Zonenrand",
+  edgeHint: " (kürzester Weg hinaus)",
+  nearPrefix: "Grenzbereich",
+  overlay: () => aviationOverlay,
+});
+
+// --- 2) Schutzgebiete (UST) => GELB
+registerRuleSource({
+  id: "protected",
+  label: "Schutzgebiete",
+  baseUrl: PROTECTED_WMS_BASE,
+  layer: PROTECTED_LAYER,
+  wfsProbe: { lat: 63.9925, lon: -19.0600 }, // Landmannalaugar (Friðland að Fjallabaki)
+  severity: "warn",
+  zoneLabel: "Schutzgebiet",
+  hitText: (conf) => `Schutzgebiet: sensibler Bereich. Vertrauen: ${conf}. Regeln können variieren – bitte amtlich prüfen.`,
+  edgeLabel: "Gebietsrand",
+  nearPrefix: "nahe",
+  profileSeverity: (profile) => profile.protectedSeverity || null,
+  vectorKind: "protected",
+  overlay: () => protectedOverlay,
+});
+
+// Lokale GeoJSON-Quelle: Features einmalig normalisieren (Polygone vorberechnen)
+function ruleSourceFeatures(src) {
+  if (!src._features) {
+    const raw = Array.isArray(src.features) ? src.features : (src.features?.features || []);
+    src._features = raw.map((f) => ({ ...f, _polys: geometryToPolygons(f?.geometry) }));
   }
-  if (lat < -90 || lat > 90) throw new Error("Latitude muss zwischen -90 und 90 liegen.");
-  if (lon < -180 || lon > 180) throw new Error("Longitude muss zwischen -180 und 180 liegen.");
-  return { lat, lon };
+  return src._features;
 }
 
-async function checkManual() {
-  try { _clearSelectedSpotName(); } catch (_) {}
-  setMode("manual");
-  try {
-    manualCoords = parseManualInputs();
-    const g = guardToIceland(manualCoords.lat, manualCoords.lon, "Island-only: Manuelle Koordinaten außerhalb Islands – ich klemme sie zurück.");
-    manualCoords = { lat: g.lat, lon: g.lon };
-    setInputs(g.lat, g.lon);
-    updateMap(g.lat, g.lon, "manuell");
-    await runCheckWithCoords(g.lat, g.lon, "manuell", null);
-  } catch (e) {
-    setState("warn", "—", e.message);
+// =============================
+// Zonen als Vektor-Layer (WFS-Geometrie im Kartenausschnitt)
+// - Farbe/Strich nach Zonen-Art (ZONE_VECTOR_KINDS), Tooltip mit Name und Grenzen
+// - Klick auf ein Polygon zeigt dessen Attribute direkt (keine GetFeatureInfo-Runde)
+// - Raster (WMS GetMap) bleibt Fallback: kleiner Zoom, WFS nicht erreichbar oder Ausschnitt abgeschnitten
+// =============================
+const ZONE_VECTOR_MIN_ZOOM = 8;
+const ZONE_VECTOR_MAX_FEATURES = 500;
+const ZONE_VECTOR_SYNC_MS = 350;
+const ZONE_VECTOR_KINDS = {
+  prohibited: { label: "Flugverbot", color: SEVERITY_COLOR.no, fill: 0.55, weight: 2 },
+  restricted: { label: "Beschränkt (Genehmigung)", color: "#ff9f43", fill: 0.45, weight: 2 },
+  height: { label: "Höhenbegrenzung", color: SEVERITY_COLOR.warn, fill: 0.4, weight: 2 },
+  context: { label: `Beginnt oberhalb ${OPEN_CATEGORY_MAX_AGL_M} m AGL`, color: SEVERITY_COLOR.info, fill: 0.2, weight: 1, dashArray: "4 4" },
+  protected: { label: "Schutzgebiet", color: SEVERITY_COLOR.warn, fill: 0.3, weight: 2, dashArray: "6 4" },
+};
+
+// src.id -> { on, mode: "vector"|"raster"|null, group, bbox, truncated, controller, error }
+const zoneOverlayState = new Map();
+let zoneVectorRenderer = null;
+let zoneVectorTimer = null;
+
+function zoneOverlayEntry(src) {
+  let e = zoneOverlayState.get(src.id);
+  if (!e) {
+    e = { on: false, mode: null, group: null, bbox: null, truncated: false, controller: null, error: null, retryAt: 0 };
+    zoneOverlayState.set(src.id, e);
   }
+  return e;
 }
 
-async function checkCurrentMode() {
-  if (currentMode === "manual") return checkManual();
-  return checkGps();
+function zoneVectorKind(src, props) {
+  if (typeof src.featureInfo !== "function") return src.vectorKind || (src.severity === "no" ? "restricted" : "protected");
+  const info = src.featureInfo(props);
+  if (info.restriction === "prohibited") return "prohibited";
+  if (info.aboveOpenCategory) return "context";
+  if (info.maxAglM !== null) return "height";
+  return "restricted";
 }
 
-// =============================
+function zoneVectorStyle(kind) {
+  const k = ZONE_VECTOR_KINDS[kind] || ZONE_VECTOR_KINDS.restricted;
+  return {
+    color: k.color,
+    weight: k.weight,
+    dashArray: k.dashArray || null,
+    opacity: Math.max(0.5, overlayOpacityValue),
+    fillColor: k.color,
+    fillOpacity: k.fill * overlayOpacityValue,
+  };
+}
 
-function getIcelandBounds() {
-  return L.latLngBounds(
-    [ICELAND_MIN_LAT, ICELAND_MIN_LON],
-    [ICELAND_MAX_LAT, ICELAND_MAX_LON]
-  );
+// z.B. "GND – 120 m"
+function zoneLimitsText(info) {
+  if (!info || (!info.lower && !info.upper)) return "";
+  return `${info.lower ? info.lower.text : "GND"} – ${info.upper ? info.upper.text : "?"}`;
 }
 
-function isInsideIceland(lat, lon) {
-  try {
-    return getIcelandBounds().contains([lat, lon]);
-  } catch (_) {
-    return (
-      lat >= ICELAND_MIN_LAT && lat <= ICELAND_MAX_LAT &&
-      lon >= ICELAND_MIN_LON && lon <= ICELAND_MAX_LON
-    );
+// Eine Vektor-Zone als Block für das Detail-Popup
+function zoneVectorPopupHtml(src, props, kind) {
+  const info = typeof src.featureInfo === "function" ? src.featureInfo(props) : null;
+  const name = tryExtractZoneNameFromProps(props) || src.zoneLabel;
+  const lines = [`<b>${escapeHtml(name)}</b>`, `${escapeHtml(src.label)} · <span style="color:${ZONE_VECTOR_KINDS[kind].color};">■</span> ${escapeHtml(ZONE_VECTOR_KINDS[kind].label)}`];
+  const zoneText = formatZoneInfo(info);
+  if (zoneText) lines.push(escapeHtml(zoneText));
+  for (const [k, v] of featureKeyAttributes(props, 12)) lines.push(`<span style="opacity:.85">${escapeHtml(k)}: ${escapeHtml(v)}</span>`);
+  return `<div style="margin:4px 0; padding-left:6px; border-left:2px solid ${ZONE_VECTOR_KINDS[kind].color};">${lines.join("<br/>")}</div>`;
+}
+
+// Alle sichtbaren Vektor-Zonen unter einem Punkt (auch überlappende, die der Canvas verdeckt)
+function zoneVectorFeaturesAt(lat, lon) {
+  const out = [];
+  for (const e of zoneOverlayState.values()) {
+    if (e.mode !== "vector" || !e.group || !map || !map.hasLayer(e.group)) continue;
+    e.group.eachLayer((l) => {
+      if (l._zoneFeature && featureContainsPoint(l._zoneFeature, lat, lon)) {
+        out.push({ src: l._zoneSrc, props: l._zoneFeature.properties || {}, kind: l._zoneKind });
+      }
+    });
   }
+  return out;
 }
 
-function clampToIceland(lat, lon) {
-  const clampedLat = Math.min(ICELAND_MAX_LAT, Math.max(ICELAND_MIN_LAT, lat));
-  const clampedLon = Math.min(ICELAND_MAX_LON, Math.max(ICELAND_MIN_LON, lon));
-  return { lat: clampedLat, lon: clampedLon };
+function zoneVectorBuild(src, features) {
+  if (!zoneVectorRenderer) zoneVectorRenderer = L.canvas({ padding: 0.5 });
+  const group = L.featureGroup();
+  for (const f of features) {
+    const polys = f._polys || geometryToPolygons(f?.geometry);
+    if (!polys.length) continue;
+    const props = f?.properties || {};
+    const kind = zoneVectorKind(src, props);
+    const latlngs = polys.map((rings) => rings.map((ring) => ring.map(([x, y]) => [y, x])));
+    const layer = L.polygon(latlngs, { ...zoneVectorStyle(kind), renderer: zoneVectorRenderer });
+    layer._zoneKind = kind;
+    layer._zoneSrc = src;
+    layer._zoneFeature = f._polys ? f : { ...f, _polys: polys };
+
+    const info = typeof src.featureInfo === "function" ? src.featureInfo(props) : null;
+    const limits = zoneLimitsText(info);
+    const name = tryExtractZoneNameFromProps(props) || src.zoneLabel;
+    layer.bindTooltip(`<b>${escapeHtml(name)}</b><br/>${escapeHtml(ZONE_VECTOR_KINDS[kind].label)}${limits ? ` · ${escapeHtml(limits)}` : ""}`, { sticky: true });
+    // Klick läuft zur Karte durch: Popup mit allen Vektor-Zonen am Punkt (zoneVectorFeaturesAt) + Detailabfrage
+    group.addLayer(layer);
+  }
+  return group;
 }
 
-function guardToIceland(lat, lon, message) {
-  if (!ENFORCE_ICELAND_ONLY) return { lat, lon, inside: true };
+function zoneVectorViewBbox() {
+  const b = map.getBounds().pad(0.25);
+  return { minLon: b.getWest(), minLat: b.getSouth(), maxLon: b.getEast(), maxLat: b.getNorth() };
+}
 
-  if (isInsideIceland(lat, lon)) {
-    lastInsideCoords = { lat, lon };
-    return { lat, lon, inside: true };
+function _bboxInside(inner, outer) {
+  return !!outer && inner.minLon >= outer.minLon && inner.minLat >= outer.minLat && inner.maxLon <= outer.maxLon && inner.maxLat <= outer.maxLat;
+}
+
+async function zoneVectorLoad(src, e, bbox) {
+  if (e.controller) { try { e.controller.abort(); } catch (_) {} }
+  const controller = new AbortController();
+  e.controller = controller;
+
+  const res = await schedFetch(buildWfsUrl(src.baseUrl, src.layer, bbox, ZONE_VECTOR_MAX_FEATURES), { cache: "no-cache", signal: controller.signal });
+  if (!res.ok) throw new Error(`WFS HTTP ${res.status}`);
+  const text = await res.text();
+  if (isWmsException(text)) throw new Error("WFS ServiceException");
+  let js = null;
+  try { js = JSON.parse(text); } catch (_) { throw new Error("WFS: keine GeoJSON-Antwort"); }
+  if (!js || !Array.isArray(js.features)) throw new Error("WFS: keine FeatureCollection");
+  if (e.controller === controller) e.controller = null;
+
+  if (e.group) { try { map.removeLayer(e.group); } catch (_) {} }
+  e.group = zoneVectorBuild(src, js.features);
+  e.bbox = bbox;
+  e.truncated = wfsTruncated(js, ZONE_VECTOR_MAX_FEATURES);
+  e.error = null;
+}
+
+function _zoneOverlayShow(src, e, mode) {
+  const raster = typeof src.overlay === "function" ? src.overlay() : null;
+  const wantVector = mode === "vector" && e.group;
+  if (raster) {
+    if (mode === "raster" && !overlayIsVisible(raster)) raster.addTo(map);
+    if (mode !== "raster" && overlayIsVisible(raster)) map.removeLayer(raster);
+  }
+  if (e.group) {
+    if (wantVector && !map.hasLayer(e.group)) e.group.addTo(map);
+    if (!wantVector && map.hasLayer(e.group)) map.removeLayer(e.group);
   }
+  e.mode = mode;
+}
 
-  const c = clampToIceland(lat, lon);
+// Vektor wenn möglich, sonst Raster; lädt nur nach, wenn der Ausschnitt das geladene Fenster verlässt
+async function zoneOverlaySync(src) {
+  if (!map) return;
+  prepareOverlays();
+  const e = zoneOverlayEntry(src);
+  if (!e.on) {
+    _zoneOverlayShow(src, e, null);
+    overlaysChanged();
+    return;
+  }
+  const downKey = `${src.baseUrl}|${src.layer}`;
+  // Anzeige-Fehler bleiben am Overlay (e.retryAt) – die exakte WFS-Prüfung (wfsDownUntil) läuft davon unberührt weiter
+  const canVector = src.kind === "wms" && map.getZoom() >= ZONE_VECTOR_MIN_ZOOM
+    && (wfsDownUntil.get(downKey) || 0) <= Date.now() && (e.retryAt || 0) <= Date.now();
+  if (!canVector) {
+    _zoneOverlayShow(src, e, "raster");
+    overlaysChanged();
+    return;
+  }
 
-  const now = Date.now();
-  if (SHOW_OUTSIDE_WARNING && (now - lastOutsideWarnAt > 1200)) {
-    lastOutsideWarnAt = now;
-    setState("info", "—", message || "Island-only: Punkt außerhalb Islands – ich klemme ihn zurück in den gültigen Bereich.");
+  const view = zoneVectorViewBbox();
+  if (!e.group || !_bboxInside(view, e.bbox)) {
+    try {
+      await zoneVectorLoad(src, e, view);
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      e.error = err.message || String(err);
+      e.retryAt = Date.now() + WFS_RETRY_AFTER_MS;
+    }
   }
+  if (!e.on) return;
+  // abgeschnittene Antwort würde Zonen verschweigen -> Raster zeigt den ganzen Ausschnitt
+  _zoneOverlayShow(src, e, e.group && !e.error && !e.truncated ? "vector" : "raster");
+  overlaysChanged();
+}
 
-  return { lat: c.lat, lon: c.lon, inside: false };
+// Pill + Legende nach jeder Änderung an Sichtbarkeit oder Darstellung
+function overlaysChanged() {
+  updateOverlayPill();
+  try { legendRender(); } catch (_) {}
 }
 
+function zoneOverlaySyncAll() {
+  for (const src of RULE_SOURCES) {
+    if (zoneOverlayEntry(src).on) zoneOverlaySync(src);
+  }
+}
 
-// Utils
-// =============================
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
+function zoneOverlaySet(src, on) {
+  if (!src) return;
+  initMap();
+  zoneOverlayEntry(src).on = !!on;
+  zoneOverlaySync(src);
+}
+
+function zoneOverlayIsOn(id) {
+  const e = zoneOverlayState.get(id);
+  return !!(e && e.on);
+}
+
+function zoneVectorRestyle() {
+  for (const e of zoneOverlayState.values()) {
+    if (!e.group) continue;
+    e.group.eachLayer((l) => { try { l.setStyle(zoneVectorStyle(l._zoneKind)); } catch (_) {} });
+  }
+}
+
+function zoneVectorInstall() {
+  if (!map || map._zoneVectorHooked) return;
+  map._zoneVectorHooked = true;
+  map.on("moveend", () => {
+    clearTimeout(zoneVectorTimer);
+    zoneVectorTimer = setTimeout(zoneOverlaySyncAll, ZONE_VECTOR_SYNC_MS);
+  });
 }
 
 // =============================
-// Maps handoff (optional)
-// - Opens a coordinate in the user's maps app (usually Google Maps; falls back to browser)
-// - No routing, no navigation logic inside this app
+// Dienst-Erkennung (WMS GetCapabilities) – einmal pro Sitzung je Quelle
+// Lernt INFO_FORMATs (Reihenfolge der GetFeatureInfo-Versuche), Layer-Titel, BBox und TIME-Dimension.
+// Fehlt der konfigurierte Layer im Dienst, meldet die Quelle einen Fehler statt still "kein Treffer"
+// und die Ampel zeigt eine Warnung. Abfragen warten nicht auf die Erkennung (läuft parallel).
 // =============================
-function openInMaps(lat, lon, name = "") {
-  const n = Number(lat);
-  const e = Number(lon);
-  if (!Number.isFinite(n) || !Number.isFinite(e)) return;
+const CAPS_SESSION_KEY = "da_wms_caps_v1";
+// je Kategorie das bevorzugte Format (in dieser Reihenfolge abgefragt)
+const CAPS_FORMAT_CATEGORIES = [
+  [/^application\/json$/i, /json/i],
+  [/^text\/xml$/i, /^application\/vnd\.ogc\.gml$/i, /gml|xml/i],
+  [/^text\/plain$/i],
+];
+const capsBySource = new Map(); // src.id -> Promise<discovery|null>
 
-  const label = String(name || "").trim();
-  // Universal: works on iOS + Android, opens installed app when available
-  const url = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(`${n},${e}${label ? ` (${label})` : ""}`)}`;
-  try {
-    window.open(url, "_blank", "noopener,noreferrer");
-  } catch (_) {
-    window.location.href = url;
-  }
+function buildCapabilitiesUrl(baseUrl, layerName) {
+  const params = new URLSearchParams({ SERVICE: "WMS", VERSION: "1.3.0", REQUEST: "GetCapabilities" });
+  const parts = String(layerName || "").split(":");
+  if (parts.length > 1) params.set("NAMESPACE", parts[0]); // GeoServer: nur Layer dieses Workspace
+  const url = `${baseUrl}?${params.toString()}`;
+  return PROXY ? PROXY + encodeURIComponent(url) : url;
+}
+
+function _xmlChildren(el, localName) {
+  return Array.from(el.children || []).filter((c) => c.localName === localName);
+}
+
+function _xmlText(el, localName) {
+  const c = _xmlChildren(el, localName)[0];
+  return c ? (c.textContent || "").trim() : "";
+}
+
+function _capsBbox(layerEl) {
+  const ex = _xmlChildren(layerEl, "EX_GeographicBoundingBox")[0];
+  if (ex) {
+    const n = (k) => Number(_xmlText(ex, k));
+    return { minLon: n("westBoundLongitude"), minLat: n("southBoundLatitude"), maxLon: n("eastBoundLongitude"), maxLat: n("northBoundLatitude") };
+  }
+  const ll = _xmlChildren(layerEl, "LatLonBoundingBox")[0]; // WMS 1.1.1
+  if (ll) {
+    const a = (k) => Number(ll.getAttribute(k));
+    return { minLon: a("minx"), minLat: a("miny"), maxLon: a("maxx"), maxLat: a("maxy") };
+  }
+  return null;
+}
+
+// erste LegendURL der Layer-Styles (xlink:href)
+function _capsLegendUrl(layerEl) {
+  for (const style of _xmlChildren(layerEl, "Style")) {
+    for (const legend of _xmlChildren(style, "LegendURL")) {
+      const res = _xmlChildren(legend, "OnlineResource")[0];
+      const href = res ? (res.getAttribute("xlink:href") || res.getAttributeNS("http://www.w3.org/1999/xlink", "href")) : null;
+      if (href) return href;
+    }
+  }
+  return null;
+}
+
+function _capsTime(layerEl) {
+  for (const c of Array.from(layerEl.children || [])) {
+    if (c.localName !== "Dimension" && c.localName !== "Extent") continue;
+    if (String(c.getAttribute("name") || "").toLowerCase() !== "time") continue;
+    return {
+      default: c.getAttribute("default") || null,
+      values: (c.textContent || "").trim() || null,
+      units: c.getAttribute("units") || null,
+    };
+  }
+  return null;
+}
+
+// -> { infoFormats: [], layers: [{ name, title, bbox, time, legendUrl }] }
+function parseWmsCapabilities(xmlText) {
+  if (!xmlText || isWmsException(xmlText)) throw new Error("GetCapabilities: ServiceException");
+  const xml = new DOMParser().parseFromString(xmlText, "text/xml");
+  if (xml.getElementsByTagName("parsererror").length) throw new Error("GetCapabilities: kein XML");
+  const all = Array.from(xml.getElementsByTagName("*"));
+  if (!all.some((e) => /Capabilities$/.test(e.localName))) throw new Error("GetCapabilities: unerwartete Antwort");
+
+  const gfi = all.find((e) => e.localName === "GetFeatureInfo" && e.parentNode && e.parentNode.localName === "Request");
+  const infoFormats = gfi ? _xmlChildren(gfi, "Format").map((f) => (f.textContent || "").trim()).filter(Boolean) : [];
+  const layers = [];
+  for (const el of all) {
+    if (el.localName !== "Layer") continue;
+    const name = _xmlText(el, "Name");
+    if (name) layers.push({ name, title: _xmlText(el, "Title"), bbox: _capsBbox(el), time: _capsTime(el), legendUrl: _capsLegendUrl(el) });
+  }
+  return { infoFormats, layers };
+}
+
+// "ws:layer" == "layer" (Workspace-Dienste listen Layer teils ohne Präfix)
+function capsFindLayer(layers, layerName) {
+  const bare = (n) => String(n).split(":").pop();
+  return layers.find((l) => l.name === layerName) || layers.find((l) => bare(l.name) === bare(layerName)) || null;
+}
+
+function capsInfoFormats(infoFormats, fallback) {
+  const picked = [];
+  for (const patterns of CAPS_FORMAT_CATEGORIES) {
+    for (const re of patterns) {
+      const f = infoFormats.find((x) => re.test(x));
+      if (f) {
+        picked.push(f);
+        break;
+      }
+    }
+  }
+  return picked.length ? picked : fallback;
+}
+
+function capsSessionLoad() {
+  try { return JSON.parse(sessionStorage.getItem(CAPS_SESSION_KEY) || "{}") || {}; } catch (_) { return {}; }
+}
+
+function capsSessionStore(key, value) {
+  try {
+    const all = capsSessionLoad();
+    all[key] = value;
+    sessionStorage.setItem(CAPS_SESSION_KEY, JSON.stringify(all));
+  } catch (_) {}
+}
+
+// Ergebnis (auch in src.discovery):
+//   { ok, missing, title, bbox, time, legendUrl, infoFormats[], formats[] (Abfrage-Reihenfolge), layerCount, error }
+function discoverRuleSource(src) {
+  if (!src || src.kind !== "wms") return Promise.resolve(null);
+  if (capsBySource.has(src.id)) return capsBySource.get(src.id);
+
+  const key = `${src.baseUrl}|${src.layer}`;
+  const p = (async () => {
+    let d = capsSessionLoad()[key] || null;
+    if (!d) {
+      try {
+        const res = await schedFetch(buildCapabilitiesUrl(src.baseUrl, src.layer), { cache: "no-cache" });
+        if (!res.ok) throw new Error(`GetCapabilities HTTP ${res.status}`);
+        const caps = parseWmsCapabilities(await res.text());
+        const layer = capsFindLayer(caps.layers, src.layer);
+        d = {
+          ok: !!layer,
+          missing: !layer && caps.layers.length > 0,
+          title: layer ? layer.title : "",
+          bbox: layer ? layer.bbox : null,
+          time: layer ? layer.time : null,
+          legendUrl: layer ? layer.legendUrl : null,
+          infoFormats: caps.infoFormats,
+          formats: capsInfoFormats(caps.infoFormats, src.formats),
+          layerCount: caps.layers.length,
+          error: null,
+        };
+        capsSessionStore(key, d);
+      } catch (e) {
+        // Erkennung ist optional: konfigurierte Formate bleiben, nächste Sitzung versucht es erneut
+        d = { ok: false, missing: false, title: "", bbox: null, time: null, legendUrl: null, infoFormats: [], formats: src.formats, layerCount: 0, error: e.message || String(e) };
+      }
+    }
+    src.discovery = d;
+    try { healthRender(); } catch (_) {}
+    // Ampel mit Warnung neu bewerten (das letzte Ergebnis kam evtl. vor der Erkennung)
+    if (d.missing) refreshLastVerdict();
+    return d;
+  })();
+  capsBySource.set(src.id, p);
+  return p;
+}
+
+// Quellen, deren konfigurierter Layer laut GetCapabilities fehlt -> Warntext für die Ampel
+function missingLayerWarning() {
+  const missing = RULE_SOURCES.filter((s) => s.discovery && s.discovery.missing);
+  if (!missing.length) return "";
+  return `⚠️ Layer fehlt im Dienst: ${missing.map((s) => `${s.label} („${s.layer}“)`).join(", ")} – diese Quelle liefert keine Zonen, Ergebnis unvollständig.`;
+}
+
+function ruleSourceFormats(src) {
+  return (src.discovery && src.discovery.formats && src.discovery.formats.length) ? src.discovery.formats : src.formats;
+}
+
+// =============================
+// Query einer Regel-Quelle
+// - WFS (exakte Geometrie) => level: hit/none
+// - Fallback GetFeatureInfo => level laut src.classify (hit/context/none)
+// =============================
+async function queryRuleSource(src, lat, lon, signal) {
+  if (src.kind === "geojson") {
+    const features = ruleSourceFeatures(src);
+    const hits = featuresAtPoint(features, lat, lon);
+    return withFeatureInfos(src, { level: hits.length ? "hit" : "none", raw: { features, bbox: null }, hits, format: "geojson", exact: true, cached: true });
+  }
+
+  // Erkennung läuft parallel; bis sie fertig ist, gelten die konfigurierten Formate
+  discoverRuleSource(src);
+  if (src.discovery && src.discovery.missing) throw new Error(`Layer „${src.layer}“ fehlt im Dienst (GetCapabilities)`);
+
+  const baseUrl = src.baseUrl;
+  const layerName = src.layer;
+  const cacheKey = makeCacheKey(baseUrl, layerName, lat, lon) + "|" + src.id;
+  const cached = cacheGet(cacheKey);
+  if (cached) return { ...cached, cached: true, retries: 0 };
+
+  // Wiederholungen (Scheduler) dieser Abfrage -> confidenceLabel()
+  const stats = { retries: 0 };
+
+  // 0) WFS: echte Geometrie, exakter Punkt-in-Polygon-Test
+  try {
+    const zones = await fetchZoneFeatures(baseUrl, layerName, lat, lon, signal, 0, stats);
+    const hits = featuresAtPoint(zones.features, lat, lon);
+    if (!zones.cached) healthNoteFormat(src.id, "wfs");
+    const out = withFeatureInfos(src, { level: hits.length ? "hit" : "none", raw: zones, hits, format: "wfs", exact: true, cached: false, ts: zones.ts, stale: zones.stale, retries: stats.retries });
+    if (!zones.stale) cacheSet(cacheKey, out);
+    return { ...out, cached: zones.cached };
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+  }
+
+  // Fallback: GetFeatureInfo (Näherung über 300m-Box), Formate in Reihenfolge – persistent gecacht
+  const gfi = await cachedFetch("zones", `gfi|${cacheKey}`, (sig) => queryRuleSourceGfi(src, lat, lon, sig, stats), { signal });
+  if (!gfi.cached && ++gfiPersistWrites % GFI_PERSIST_PRUNE_EVERY === 0) gfiPersistPrune().catch(() => {});
+  const out = { ...gfi.value, cached: gfi.cached, ts: gfi.ts, stale: gfi.stale, retries: stats.retries };
+  if (!gfi.stale) cacheSet(cacheKey, out);
+  return out;
+}
+
+async function queryRuleSourceGfi(src, lat, lon, signal, stats = null) {
+  const bbox = makeBbox3857(lat, lon, GFI_HALFBOX_M);
+  const formats = ruleSourceFormats(src) || ["application/json", "text/xml"];
+
+  for (let i = 0; i < formats.length; i++) {
+    const infoFormat = formats[i];
+    const last = i === formats.length - 1;
+    const format = infoFormat.includes("json") ? "json" : (/xml|gml/i.test(infoFormat) ? "xml" : "text");
+    try {
+      const url = buildGfiUrl(src.baseUrl, src.layer, bbox, infoFormat);
+      let raw = null;
+      if (format === "json") {
+        const res = await schedFetch(url, { cache: "no-cache", signal }, stats);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        raw = await res.json();
+      } else {
+        raw = await fetchText(url, signal, stats);
+      }
+      const hits = format === "json" && Array.isArray(raw?.features) ? raw.features
+        : format === "xml" ? parseGmlFeatureProps(raw).map((properties) => ({ type: "Feature", properties, geometry: null }))
+        : null;
+      healthNoteFormat(src.id, format);
+      return withFeatureInfos(src, { level: src.classify(format, raw), raw, hits, format, exact: false, cached: false });
+    } catch (e) {
+      if (last || e?.name === "AbortError") throw e;
+    }
+  }
+
+  throw new Error("keine Abfrage möglich");
+}
+
+// Feature-Attribute der Treffer auswerten (nur wenn die Quelle featureInfo() definiert)
+function withFeatureInfos(src, out) {
+  if (typeof src.featureInfo === "function" && out.level === "hit" && out.hits && out.hits.length) {
+    out.infos = out.hits.map((f) => src.featureInfo(f?.properties || {}));
+  }
+  return out;
+}
+
+// =============================
+// Near-Check (Radar)
+// =============================
+function offsetMeters(lat, lon, eastMeters, northMeters) {
+  const dLat = northMeters / 111320;
+  const dLon = eastMeters / (111320 * Math.cos((lat * Math.PI) / 180));
+  return { lat: lat + dLat, lon: lon + dLon };
+}
+
+// Punkt in Richtung bearingDeg (0 = N, im Uhrzeigersinn), distanceM entfernt
+function radarPoint(lat, lon, bearingDeg, distanceM) {
+  const a = toRad(bearingDeg);
+  return offsetMeters(lat, lon, Math.sin(a) * distanceM, Math.cos(a) * distanceM);
+}
+
+function circularMeanDeg(degs) {
+  let x = 0;
+  let y = 0;
+  for (const d of degs) {
+    x += Math.cos(toRad(d));
+    y += Math.sin(toRad(d));
+  }
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+// =============================
+// Layer Checks
+// =============================
+// Ergebnis: { results: [{ src, ok, err, level }] } – Reihenfolge wie RULE_SOURCES
+async function checkRuleSources(lat, lon, signal, sources = RULE_SOURCES) {
+  const settled = await Promise.allSettled(sources.map((src) => queryRuleSource(src, lat, lon, signal)));
+
+  const results = sources.map((src, i) => {
+    const r = settled[i];
+    const ok = r.status === "fulfilled" ? r.value : null;
+    const err = r.status === "rejected" ? (r.reason?.message || String(r.reason)) : null;
+    return { src, ok, err, level: ok ? ok.level : "none" };
+  });
+
+  return { results };
+}
+
+// Profil-Vorgabe der Quelle für Treffer (z.B. Schutzgebiete ROT für Einsteiger)
+function sourceProfileSeverity(src, profile) {
+  if (!profile || typeof src.profileSeverity !== "function") return null;
+  return src.profileSeverity(profile) || null;
+}
+
+function resultSeverity(r, altM = null, profile = null) {
+  if (r.level === "hit") {
+    const bySource = sourceProfileSeverity(r.src, profile);
+    if (bySource) return bySource;
+    const infos = r.ok && r.ok.infos;
+    if (infos && infos.length) return decisiveZoneInfo(infos, altM).severity;
+    return r.src.severity;
+  }
+  if (r.level === "context") return r.src.contextSeverity;
+  return "ok";
+}
+
+// Entscheidendes Ergebnis = höchste Ampel-Stufe; bei Gleichstand gewinnt die Registry-Reihenfolge.
+function decisiveResult(base, altM = null, profile = null) {
+  let best = null;
+  for (const r of (base?.results || [])) {
+    const sev = resultSeverity(r, altM, profile);
+    if (sev === "ok") continue;
+    if (!best || SEVERITY_RANK[sev] > SEVERITY_RANK[best.severity]) best = { ...r, severity: sev };
+  }
+  return best;
+}
+
+function summarizeErrors(base) {
+  return (base?.results || [])
+    .filter((r) => r.err)
+    .map((r) => `${r.src.label}: ${r.err}`)
+    .join(" | ");
+}
+
+// Kürzester Weg aus der getroffenen Zone (nur bei Geometrie-Ergebnis bekannt).
+function exitBoundary(res, lat, lon) {
+  if (!res || !res.exact || !res.hits || !res.hits.length) return null;
+  return nearestBoundary(res.hits, lat, lon);
+}
+
+// Grundlage des Ergebnisses: exakte Geometrie (WFS) oder GetFeatureInfo-Näherung (300m-Box)
+function basisLabel(base) {
+  const oks = (base?.results || []).filter((r) => r.ok);
+  if (!oks.length) return "";
+  if (oks.every((r) => r.ok.exact)) return "Grundlage: Zonen-Geometrie (WFS)";
+  if (oks.every((r) => !r.ok.exact)) return `Grundlage: Näherung (GetFeatureInfo, ${GFI_HALFBOX_M * 2} m Box)`;
+  return "Grundlage: teils Geometrie (WFS), teils Näherung (GetFeatureInfo)";
+}
+
+// "Stand: vor 3 h", wenn mindestens eine Quelle aus veraltetem Cache beantwortet wurde (ältester Stand)
+function dataAgeLabel(base) {
+  const stale = (base?.results || []).filter((r) => r.ok && r.ok.stale && Number.isFinite(r.ok.ts));
+  if (!stale.length) return "";
+  return fmtDataAge(Math.min(...stale.map((r) => r.ok.ts)));
+}
+
+// Wiederholungen (Scheduler) aller Quellen dieser Abfrage
+function retryCount(base) {
+  return (base?.results || []).reduce((n, r) => n + ((r.ok && r.ok.retries) || 0), 0);
+}
+
+// Alle Quellen erreichbar, aber nur mit Wiederholungen -> Verbindung wackelig -> "mittel"
+// Zonen aus veraltetem Cache (bis PERSIST_MAX_AGE_MS) -> ebenfalls nur "mittel"
+function confidenceLabel(base) {
+  const results = base?.results || [];
+  const failed = results.filter((r) => r.err).length;
+  if (!failed) return retryCount(base) || dataAgeLabel(base) ? "mittel" : "hoch";
+  if (failed === results.length) return "niedrig";
+  return "mittel";
+}
+
+// Nächste Zone einer Quelle (außerhalb des Punktes).
+// Zonen, in denen der Punkt selbst liegt (z.B. für die Flughöhe unkritisch), zählen nicht –
+// ihr eigener Rand ist keine "Grenznähe".
+// Ergebnis: { distanceM, bearingDeg, feature } | { beyondM } (nichts im garantierten Fenster)
+async function queryNearestZone(src, lat, lon, signal, radiusM = NEAR_DISTANCE_M) {
+  const outside = (features) => (features || []).filter((f) => !featureContainsPoint(f, lat, lon));
+  if (src.kind === "geojson") {
+    const nb = nearestBoundary(outside(ruleSourceFeatures(src)), lat, lon);
+    return nb || { beyondM: Infinity };
+  }
+  const zones = await fetchZoneFeatures(src.baseUrl, src.layer, lat, lon, signal, radiusM);
+  const covered = coverageRadiusM(zones.bbox, lat, lon);
+  const nb = nearestBoundary(outside(zones.features), lat, lon);
+  if (!nb || nb.distanceM > covered) return { beyondM: covered };
+  return nb;
+}
+
+// Exakter Grenz-Check über Geometrie; Quellen ohne WFS -> Radar-Fallback (nur für diese).
+// exclude: Map(sourceId -> Features am Punkt) – im Radar nicht als "nahe Zone" werten
+// Ergebnis: { perSource: [{ src, near, nearest, samples? }], hadErrors, exact, samples }
+// nearest aus dem Radar ist geschätzt (approx: true, uncertaintyM).
+async function nearCheck(lat, lon, signal, nearM = NEAR_DISTANCE_M, budget = RADAR_REQUEST_BUDGET, exclude = null) {
+  const sources = RULE_SOURCES.filter((s) => s.near);
+  const settled = await Promise.allSettled(sources.map((src) => queryNearestZone(src, lat, lon, signal, nearM)));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+  const perSource = sources.map((src, i) => {
+    const nearest = settled[i].status === "fulfilled" ? settled[i].value : null;
+    const near = !!nearest && nearest.beyondM == null && nearest.distanceM <= nearM;
+    return { src, near, nearest };
+  });
+
+  const missing = perSource.filter((p) => !p.nearest).map((p) => p.src);
+  if (!missing.length) return { perSource, hadErrors: false, exact: true, samples: 0 };
+
+  const radar = await radarNearCheck(lat, lon, signal, missing, nearM, budget, exclude);
+  for (const p of perSource) {
+    if (p.nearest) continue;
+    const r = radar.perSource.get(p.src.id);
+    if (r) p.samples = r.samples;
+    if (!r || !r.near) continue;
+    p.near = true;
+    p.nearest = r.nearest;
+  }
+  return { perSource, hadErrors: radar.hadErrors, exact: false, samples: radar.used };
+}
+
+// Adaptive Stichproben für eine Quelle (GetFeatureInfo).
+// Ergebnis: { near, nearest: { distanceM, bearingDeg, uncertaintyM, approx, feature } | null, used, hadErrors, incomplete,
+//            samples: [{ bearingDeg, distanceM, hit, error }] }
+async function radarSampleSource(src, lat, lon, signal, nearM, budget, excluded = []) {
+  let used = 0;
+  let hadErrors = false;
+  let incomplete = false;
+  const samples = [];
+
+  // Ringe dürfen das für das Nachschärfen reservierte Budget nicht aufbrauchen
+  const ringBudget = Math.max(1, budget - RADAR_REFINE_RESERVE);
+  const probe = async (pts, limit = budget) => {
+    const take = pts.slice(0, Math.max(0, limit - used));
+    if (take.length < pts.length) incomplete = true;
+    used += take.length;
+    const settled = await Promise.allSettled(take.map((p) => {
+      const q = radarPoint(lat, lon, p.bearingDeg, p.distanceM);
+      return queryRuleSource(src, q.lat, q.lon, signal);
+    }));
+    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+    return take.map((p, i) => {
+      const r = settled[i];
+      if (r.status !== "fulfilled") hadErrors = true;
+      // nur Zonen, in denen der Ausgangspunkt nicht selbst liegt
+      const others = r.status === "fulfilled" && r.value.level === "hit"
+        ? (r.value.hits || []).filter((h) => !excluded.some((e) => sameFeature(e, h)))
+        : [];
+      const hit = r.status === "fulfilled" && r.value.level === "hit" && (!r.value.hits || others.length > 0);
+      const error = r.status === "fulfilled" ? null : (r.reason?.message || String(r.reason));
+      samples.push({ bearingDeg: p.bearingDeg, distanceM: p.distanceM, hit, error });
+      return { ...p, hit, feature: hit ? (others[0] || null) : null };
+    });
+  };
+
+  // 1) Ringe von innen nach außen – der erste Ring mit Treffern begrenzt den Grenzabstand
+  const step = 360 / RADAR_POINTS;
+  let inner = 0;
+  let ringHits = null;
+  let ringR = 0;
+  for (let k = 1; k <= RADAR_RINGS && !ringHits; k++) {
+    const r = (nearM * k) / RADAR_RINGS;
+    const offset = ((k - 1) * step) / RADAR_RINGS;
+    const pts = [];
+    for (let i = 0; i < RADAR_POINTS; i++) pts.push({ bearingDeg: (offset + i * step) % 360, distanceM: r });
+    const res = await probe(pts, ringBudget);
+    const hits = res.filter((x) => x.hit);
+    if (hits.length) {
+      ringHits = hits;
+      ringR = r;
+    } else {
+      inner = r;
+    }
+    if (incomplete) break;
+  }
+  if (!ringHits) return { near: false, nearest: null, used, hadErrors, incomplete, samples };
+
+  // 2) Richtung nachschärfen: Nachbarwinkel des ersten Treffers auf demselben Ring
+  const b0 = ringHits[0].bearingDeg;
+  const side = await probe([
+    { bearingDeg: (b0 - step / 2 + 360) % 360, distanceM: ringR },
+    { bearingDeg: (b0 + step / 2) % 360, distanceM: ringR },
+  ]);
+  const cluster = [...ringHits, ...side.filter((x) => x.hit)]
+    .filter((x) => Math.abs(((x.bearingDeg - b0 + 540) % 360) - 180) <= step);
+  let bearing = circularMeanDeg(cluster.map((x) => x.bearingDeg));
+  let feature = ringHits[0].feature;
+
+  // 3) Abstand nachschärfen: Halbierung zwischen letztem freien Ring und Treffer-Ring
+  let lo = inner;
+  let hi = ringR;
+  if (cluster.length > 1) {
+    const check = await probe([{ bearingDeg: bearing, distanceM: ringR }]);
+    if (!check.length || !check[0].hit) bearing = b0;
+    else feature = check[0].feature || feature;
+  }
+  for (let i = 0; i < RADAR_REFINE_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    const res = await probe([{ bearingDeg: bearing, distanceM: mid }]);
+    if (!res.length) break;
+    if (res[0].hit) {
+      hi = mid;
+      feature = res[0].feature || feature;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return {
+    near: true,
+    nearest: {
+      distanceM: (lo + hi) / 2,
+      bearingDeg: bearing,
+      uncertaintyM: Math.max((hi - lo) / 2, (ringR * toRad(step)) / 4),
+      approx: true,
+      feature,
+    },
+    used,
+    hadErrors,
+    incomplete,
+    samples,
+  };
+}
+
+// Radar-Fallback: Budget wird gleichmäßig auf die Quellen verteilt.
+// Ergebnis: { perSource: Map(id -> radarSampleSource-Ergebnis), nearIds, hadErrors, used }
+async function radarNearCheck(lat, lon, signal, sources = RULE_SOURCES, nearM = NEAR_DISTANCE_M, budget = RADAR_REQUEST_BUDGET, exclude = null) {
+  const share = Math.max(1, Math.floor(budget / Math.max(1, sources.length)));
+  const settled = await Promise.allSettled(sources.map((src) =>
+    radarSampleSource(src, lat, lon, signal, nearM, share, (exclude && exclude.get(src.id)) || [])));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+  const perSource = new Map();
+  const nearIds = new Set();
+  let hadErrors = false;
+  let used = 0;
+
+  sources.forEach((src, i) => {
+    const r = settled[i];
+    if (r.status !== "fulfilled") {
+      hadErrors = true;
+      return;
+    }
+    perSource.set(src.id, r.value);
+    used += r.value.used;
+    if (r.value.hadErrors || r.value.incomplete) hadErrors = true;
+    if (r.value.near) nearIds.add(src.id);
+  });
+
+  return { perSource, nearIds, hadErrors, used };
+}
+
+function showSourceOverlay(src) {
+  if (src && !zoneOverlayIsOn(src.id)) zoneOverlaySet(src, true);
+}
+
+// =============================
+// evaluateLocation – reine Auswertung (kein DOM, keine Karte)
+// Ein Ergebnis-Objekt für Ampel, Map-Klick-Popup und spätere Exporte/Automatisierung.
+//
+// options:
+//   signal       – AbortSignal
+//   profile      – Policy-Profil (Objekt oder id, Default: aktives Profil), siehe POLICY_PROFILES
+//   expertMode   – Flughafen-Policy nur als Hinweis (Default: aus dem Profil)
+//   airportPolicy– Flughafen-Policy anwenden (Default: true)
+//   nearCheck    – Grenznähe prüfen, wenn kein Treffer am Punkt (Default: true)
+//   onProgress   – (text) => void, Zwischenstände für die UI
+//   plannedAltitudeM – geplante max. Flughöhe (m AGL); null = nur Ortsbewertung
+//   nearBudget   – max. Radar-Abfragen für Quellen ohne WFS (Default: RADAR_REQUEST_BUDGET)
+//   accuracyM    – GPS-Genauigkeit (m); berührt der Kreis eine Zone => GELB (decision "accuracy"),
+//                  berührt er Flugplatz-Ring oder Pistentrichter => Flugplatz-Policy wie am Punkt
+//
+// Ergebnis:
+//   { lat, lon, verdict: "ROT"|"GELB"|"INFO"|"GRÜN", kind: "no"|"warn"|"info"|"ok",
+//     decision, detail, reasons[], zoneNames[], zoneLabel, sources[], airport, plannedAltitudeM, near,
+//     accuracyM, accuracy ({ radiusM, checkedM, touches, complete } oder null),
+//     confidence, retries (Wiederholungen im Scheduler), basis,
+//     dataAge ("Stand: vor …" bei veralteten Cache-Daten), errors, warnings[] (z.B. Layer fehlt im Dienst), showOverlay,
+//     trace[] ("Warum diese Farbe?", siehe DECISION_LABEL), timings: { totalMs, sourcesMs, nearMs } }
+// =============================
+function _nowMs() {
+  try { return performance.now(); } catch (_) { return Date.now(); }
+}
+
+function _sourceSummary(r, lat, lon, altM = null, profile = null) {
+  const names = r.ok && r.level === "hit" ? zoneNamesFromResult(r.ok) : [];
+  const hits = r.ok && r.level === "hit" && r.ok.hits ? r.ok.hits : [];
+  return {
+    id: r.src.id,
+    label: r.src.label,
+    level: r.level,
+    severity: resultSeverity(r, altM, profile),
+    format: r.ok ? r.ok.format : null,
+    exact: r.ok ? !!r.ok.exact : false,
+    cached: r.ok ? !!r.ok.cached : false,
+    stale: r.ok ? !!r.ok.stale : false,
+    retries: r.ok ? (r.ok.retries || 0) : 0,
+    dataTs: r.ok && Number.isFinite(r.ok.ts) ? r.ok.ts : null,
+    error: r.err,
+    names,
+    zones: (r.ok && r.ok.infos) ? r.ok.infos.map((i) => ({ ...i, severityAtAltitude: zoneSeverityAt(i, altM), text: formatZoneInfo(i) })) : [],
+    // alle Features am Punkt mit Kern-Attributen (Aviation: Zonen-Info, sonst Feldwerte)
+    features: hits.map((f, i) => {
+      const info = r.ok.infos ? r.ok.infos[i] : null;
+      const attributes = featureKeyAttributes(f?.properties);
+      return {
+        name: tryExtractZoneNameFromProps(f?.properties),
+        attributes,
+        text: info ? formatZoneInfo(info) : attributes.map(([k, v]) => `${k}: ${v}`).join(" · "),
+      };
+    }),
+    edge: r.level === "hit" ? _plainNearest(exitBoundary(r.ok, lat, lon)) : null,
+  };
+}
+
+const AIRPORT_POLICY_LABEL = {
+  core: "im Pistenbereich",
+  funnel: "im An-/Abflugtrichter",
+  circle: "im Policy-Ring",
+  side: "seitlich der Pisten (GELB)",
+};
+
+// z.B. "Flughafen Reykjavík (RKV): Anflugtrichter Piste 13 (2.1 km vor der Schwelle)."
+function airportPolicyText(airport) {
+  const text = _airportPolicyText(airport);
+  if (!airport.byAccuracyM) return text;
+  return `${text.replace(/\.$/, "")} – Punkt knapp außerhalb, aber innerhalb der GPS-Genauigkeit ±${fmtDistance(airport.byAccuracyM)}.`;
+}
+
+function _airportPolicyText(airport) {
+  const head = `${airport.typeLabel} ${airport.name}`;
+  if (airport.policy === "funnel") {
+    return `${head}: An-/Abflugtrichter Piste ${airport.runwayEnd} (${fmtDistance(airport.alongM)} vor der Schwelle).`;
+  }
+  if (airport.policy === "core") {
+    return `${head}: Pistenbereich ${airport.runway} (${Math.round(airport.distanceM)} m zum Bezugspunkt).`;
+  }
+  if (airport.policy === "side") {
+    return `${head}: ${Math.round(airport.distanceM)} m, seitlich der Pistenachsen (${fmtDistance(airport.policyRadiusM)}-Ring).`;
+  }
+  return `${head}: ${Math.round(airport.distanceM)} m. Konservativer ${fmtDistance(airport.policyRadiusM)}-Sicherheitsring (Policy).`;
+}
+
+// Nur serialisierbare Felder (kein Feature/Geometrie-Objekt im Ergebnis)
+function _plainNearest(n) {
+  if (!n) return null;
+  if (n.beyondM != null) return { beyondM: n.beyondM };
+  return {
+    distanceM: Math.round(n.distanceM),
+    bearingDeg: Math.round(n.bearingDeg),
+    compass: windDirFromDeg(n.bearingDeg),
+    name: tryExtractZoneNameFromProps(n.feature?.properties),
+    ...(n.approx ? { approx: true, uncertaintyM: Math.round(n.uncertaintyM) } : {}),
+  };
+}
+
+// =============================
+// Trace ("Warum diese Farbe?") – jede ausgewertete Regel in Reihenfolge
+// Eintrag: { rule, result, kind: "no"|"warn"|"info"|"ok"|null, detail, items[] }
+// =============================
+const DECISION_LABEL = {
+  "airport-policy": "Flugplatz-Policy greift (vor der Server-Abfrage)",
+  "altitude-ceiling": "Geplante Höhe über der Open-Category-Grenze (vor der Server-Abfrage)",
+  "source-hit": "Treffer am Punkt – höchste Stufe aller Quellen",
+  "source-context": "Kontext-Hinweis am Punkt (kein Feature)",
+  "accuracy": "Kein Treffer am Punkt, aber der GPS-Unsicherheitskreis berührt eine Zone",
+  "near": "Kein Treffer am Punkt, aber Grenznähe / Vorsichtsgründe",
+  "low-confidence": "Kein Treffer, aber keine Quelle erreichbar",
+  "expert-airport": "Flugplatz nur als Hinweis (Profil ohne Flugplatz-Policy)",
+  "altitude-clear": "Zonen am Punkt, für die geplante Höhe aber frei",
+  "clear": "Keine Zone, keine Grenznähe",
+};
+const LEVEL_LABEL = { hit: "Treffer", context: "Hinweis (kein Feature)", none: "kein Treffer" };
+
+function _traceAirport(airport, profile, expert, airportPolicy) {
+  const rule = "Flugplatz-Policy";
+  if (!airport) return { rule, result: "kein Flugplatz in Reichweite", kind: "ok" };
+  const where = airport.policy ? AIRPORT_POLICY_LABEL[airport.policy] : "außerhalb des Policy-Bereichs";
+  const entry = {
+    rule,
+    result: `${airport.typeLabel} ${airport.name}${airport.name.includes(airport.code) ? "" : ` (${airport.code})`} ${fmtDistance(airport.distanceM)} – ${where}`,
+    kind: airport.inPolicy ? "no" : (airport.policy === "side" ? "warn" : "ok"),
+    detail: `Policy-Radius ${fmtDistance(airport.policyRadiusM)}${airport.runway ? ` · Piste ${airport.runway}` : ""} · Flugplatzdaten ${airport.dataset}`,
+  };
+  if (!airportPolicy) {
+    entry.kind = null;
+    entry.detail += " · nicht angewendet (Detailabfrage)";
+  } else if (expert && airport.policy) {
+    entry.kind = "info";
+    entry.detail += ` · nur Hinweis (Profil ${profile.label})`;
+  }
+  return entry;
+}
+
+function _traceSource(sum) {
+  if (sum.error) return { rule: sum.label, result: "nicht erreichbar", kind: null, detail: sum.error };
+  const how = sum.format === "wfs" ? "WFS-Geometrie, exakt"
+    : sum.format === "geojson" ? "lokale Geometrie, exakt"
+    : `GetFeatureInfo ${sum.format || "?"}, Näherung ${GFI_HALFBOX_M * 2} m Box`;
+  const cache = !sum.cached ? "live" : (sum.stale && sum.dataTs ? `Cache, veraltet (${fmtDataAge(sum.dataTs)})` : "Cache");
+  const parts = [how, cache];
+  if (sum.retries) parts.push(`${sum.retries}× wiederholt`);
+  return {
+    rule: sum.label,
+    result: `${LEVEL_LABEL[sum.level] || sum.level}${sum.names.length ? `: ${sum.names.join(", ")}` : ""} → ${SEVERITY_TITLE[sum.severity]}`,
+    kind: sum.severity,
+    detail: parts.join(" · "),
+    items: sum.zones.map((z) => `${z.text || z.name || "Zone"} → ${SEVERITY_TITLE[z.severityAtAltitude]}`),
+  };
+}
+
+function _traceNear(p, nearM) {
+  const rule = `Grenznähe ${p.src.label}`;
+  const samples = p.samples || [];
+  const items = samples.map((x) => `${windDirFromDeg(x.bearingDeg)} ${Math.round(x.bearingDeg)}° · ${fmtDistance(x.distanceM)}: ${x.error ? `Fehler (${x.error})` : (x.hit ? "Treffer" : "frei")}`);
+  const result = p.nearest ? describeNearest(p.src.zoneLabel, p.nearest)
+    : (samples.length ? `keine Zone in ${fmtDistance(nearM)} (Stichproben)` : "nicht ermittelbar");
+  return {
+    rule,
+    result: `${result} → ${p.near ? "GELB" : "frei"}`,
+    kind: p.near ? "warn" : "ok",
+    detail: samples.length ? `${samples.length} Stichproben (GetFeatureInfo)` : "aus WFS-Geometrie",
+    items,
+  };
+}
+
+async function evaluateLocation(lat, lon, options = {}) {
+  const {
+    signal = null,
+    profile: profileOpt = null,
+    expertMode: expertOpt = null,
+    airportPolicy = true,
+    nearCheck: doNearCheck = true,
+    onProgress = null,
+    plannedAltitudeM = null,
+    nearBudget = RADAR_REQUEST_BUDGET,
+    accuracyM = null,
+  } = options;
+  const altM = Number.isFinite(plannedAltitudeM) && plannedAltitudeM >= 0 ? plannedAltitudeM : null;
+  const accM = Number.isFinite(accuracyM) && accuracyM > 0 ? Math.round(accuracyM) : null;
+  const profile = typeof profileOpt === "string" ? getPolicyProfile(profileOpt) : (profileOpt || activeProfile);
+  const expert = expertOpt === null ? !profile.airportPolicy : !!expertOpt;
+  const nearM = profile.nearDistanceM || NEAR_DISTANCE_M;
+
+  const t0 = _nowMs();
+  const progress = (text) => { try { if (onProgress) onProgress(text); } catch (_) {} };
+
+  // Unsicherheitskreis wie bei den Zonen: berührt er Ring oder Trichter, gilt die Policy (bis GPS_ACCURACY_MAX_CHECK_M)
+  const apSlackM = accM ? Math.min(accM, GPS_ACCURACY_MAX_CHECK_M) : 0;
+  const ap = airportPolicyAt(lat, lon, profile.airportRadiusScale || 1, apSlackM);
+  const apExact = apSlackM ? airportPolicyAt(lat, lon, profile.airportRadiusScale || 1) : ap;
+  const airport = ap ? {
+    code: ap.airport.code,
+    icao: ap.airport.icao,
+    name: ap.airport.name,
+    type: ap.airport.type,
+    typeLabel: AERODROME_TYPE_LABEL[ap.airport.type] || "Flugplatz",
+    distanceM: ap.distanceM,
+    policyRadiusM: ap.policyRadiusM,
+    policy: ap.policy,
+    runway: ap.runway,
+    runwayEnd: ap.end,
+    alongM: ap.alongM,
+    inPolicy: ap.policy === "core" || ap.policy === "funnel" || ap.policy === "circle"
+      || (ap.policy === "side" && profile.runwaySideSeverity === "no"),
+    // nur über die GPS-Genauigkeit in diesen Bereich geraten (Punkt selbst liegt außerhalb)
+    byAccuracyM: ap.policy && (!apExact || apExact.policy !== ap.policy) ? apSlackM : null,
+    dataset: AERODROMES_VERSION,
+  } : null;
+
+  const out = {
+    lat,
+    lon,
+    verdict: "GRÜN",
+    kind: "ok",
+    decision: "clear",
+    detail: "",
+    reasons: [],
+    zoneNames: [],
+    zoneLabel: "—",
+    sources: [],
+    airport,
+    profile: profile.id,
+    plannedAltitudeM: altM,
+    accuracyM: accM,
+    accuracy: null,
+    near: null,
+    confidence: "hoch",
+    retries: 0,
+    basis: "",
+    dataAge: "",
+    errors: "",
+    warnings: [],
+    showOverlay: null,
+    trace: [],
+    timings: { totalMs: 0, sourcesMs: 0, nearMs: 0 },
+  };
+  const finish = (kind, decision, detail) => {
+    out.kind = kind;
+    out.verdict = SEVERITY_TITLE[kind];
+    out.decision = decision;
+    out.trace.push({ rule: "Entscheidung", result: `${DECISION_LABEL[decision] || decision} → ${SEVERITY_TITLE[kind]}`, kind, detail: `Zweig: ${decision} · Profil: ${profile.label}` });
+    out.detail = out.dataAge ? `${detail} ${out.dataAge} (wird aktualisiert).` : detail;
+    const layerWarning = missingLayerWarning();
+    if (layerWarning) {
+      out.warnings.push(layerWarning);
+      out.detail = `${layerWarning} ${out.detail}`;
+    }
+    out.timings.totalMs = Math.round(_nowMs() - t0);
+    return out;
+  };
+
+  out.trace.push(_traceAirport(airport, profile, expert, airportPolicy));
+  out.trace.push(altM === null
+    ? { rule: "Flughöhe", result: "keine Höhe angegeben – nur Ortsbewertung", kind: null }
+    : { rule: "Flughöhe", result: `${Math.round(altM)} m AGL (Grenze ${OPEN_CATEGORY_MAX_AGL_M} m)`, kind: altM > OPEN_CATEGORY_MAX_AGL_M ? "no" : "ok" });
+
+  // 0) Flughafen-Policy (nur im Standardmodus)
+  //    => konservativ ROT, bevor wir überhaupt Daten abfragen
+  if (airportPolicy && !expert && airport && airport.inPolicy) {
+    out.zoneLabel = `Flughafen-Nähe (${airport.code})`;
+    out.reasons.push(`Flughafen-Policy: ${airport.name} ${Math.round(airport.distanceM)} m`);
+    out.showOverlay = "aviation"; // Aviation-Overlay automatisch an (damit man Kontext sieht)
+    return finish("no", "airport-policy", `${airportPolicyText(airport)} Bitte nicht fliegen ohne explizite Freigabe/Regelprüfung. (Flugplatzdaten ${airport.dataset})`);
+  }
+
+  // 0b) Open-Category-Obergrenze: über 120 m AGL ist unabhängig vom Ort ROT
+  if (altM !== null && altM > OPEN_CATEGORY_MAX_AGL_M) {
+    out.zoneLabel = `Höhe > ${OPEN_CATEGORY_MAX_AGL_M} m AGL`;
+    out.reasons.push(`Geplante Höhe ${Math.round(altM)} m AGL über Open-Category-Grenze`);
+    return finish(
+      "no",
+      "altitude-ceiling",
+      `Geplante Höhe ${Math.round(altM)} m AGL liegt über der Open-Category-Grenze von ${OPEN_CATEGORY_MAX_AGL_M} m AGL. Höhe reduzieren oder Specific-Genehmigung einholen.`
+    );
+  }
+
+  progress(`Frage Server (${RULE_SOURCES.map((s) => s.label).join(" + ")})…`);
+
+  const tSources = _nowMs();
+  const base = await checkRuleSources(lat, lon, signal);
+  out.timings.sourcesMs = Math.round(_nowMs() - tSources);
+
+  out.sources = base.results.map((r) => _sourceSummary(r, lat, lon, altM, profile));
+  for (const sum of out.sources) out.trace.push(_traceSource(sum));
+  out.zoneNames = out.sources.flatMap((s) => s.names);
+  out.errors = summarizeErrors(base);
+  out.confidence = confidenceLabel(base);
+  out.retries = retryCount(base);
+  out.basis = basisLabel(base);
+  out.dataAge = dataAgeLabel(base);
+
+  const conf = out.confidence;
+  const errSuffix = out.errors ? ` | Hinweis: ${out.errors}` : "";
+
+  // Zonen am Punkt, die für die geplante Höhe keine Rolle spielen (unterhalb Untergrenze / innerhalb Höhenbegrenzung)
+  const altitudeNotes = altM === null ? [] : out.sources.flatMap((sum) => sum.zones
+    .filter((z) => z.severityAtAltitude === "ok")
+    .map((z) => {
+      const label = z.name || z.designation || sum.label;
+      return z.maxAglM !== null
+        ? `${label}: max ${Math.round(z.maxAglM)} m AGL eingehalten (Auflagen der Zone beachten)`
+        : `${label}: beginnt erst ab ${z.lower.text}`;
+    }));
+
+  // 1) Treffer am Punkt: höchste Ampel-Stufe aller Quellen (ROT > GELB > INFO)
+  const top = decisiveResult(base, altM, profile);
+  if (top) {
+    const src = top.src;
+    const sum = out.sources.find((x) => x.id === src.id);
+    if (top.severity === "no") out.showOverlay = src.id;
+
+    out.trace.push({ rule: "Grenznähe", result: "nicht geprüft – Ergebnis am Punkt entscheidet", kind: null });
+    if (top.level === "hit") {
+      const names = sum ? sum.names : [];
+      out.zoneLabel = names.length ? `${names[0]}${names.length > 1 ? ` +${names.length - 1}` : ""}` : src.zoneLabel;
+      out.reasons.push(`${src.zoneLabel}${names.length ? `: ${names.join(", ")}` : ""}`);
+
+      let detail = src.hitText(conf, top.ok ? top.ok.infos : null, altM);
+      const zoneInfo = sum && sum.zones.length ? sum.zones.map((z) => z.text).filter(Boolean).join(" | ") : "";
+      if (zoneInfo) detail += ` Zone: ${zoneInfo}.`;
+      const edge = sum ? sum.edge : null;
+      if (edge) detail += ` ${src.edgeLabel}: ${fmtDistance(edge.distanceM)} ${windDirFromDeg(edge.bearingDeg)}${src.edgeHint || ""}.`;
+      // Überlappungen: Punkt liegt zugleich in Zonen anderer Quellen
+      const others = out.sources.filter((x) => x.id !== src.id && x.level === "hit");
+      for (const x of others) out.reasons.push(`${x.label}${x.names.length ? `: ${x.names.join(", ")}` : ""}`);
+      if (others.length) {
+        detail += ` Zusätzlich: ${others.map((x) => `${x.label}${x.names.length ? ` (${x.names.join(", ")})` : ""} → ${SEVERITY_TITLE[x.severity]}`).join(" | ")}.`;
+      }
+      if (out.basis) detail += ` ${out.basis}.`;
+      return finish(top.severity, "source-hit", detail + errSuffix);
+    }
+
+    out.zoneLabel = src.contextZoneLabel || src.zoneLabel;
+    out.reasons.push(out.zoneLabel);
+    return finish(top.severity, "source-context", src.contextText(conf) + errSuffix);
+  }
+
+  // 2) Kein Treffer am Punkt -> Grenznähe prüfen
+  //    (Suchradius mindestens so groß wie der GPS-Unsicherheitskreis)
+  if (doNearCheck) {
+    const searchM = accM ? Math.max(nearM, Math.min(accM, GPS_ACCURACY_MAX_CHECK_M)) : nearM;
+    progress(`Kein Treffer am Punkt. Prüfe Grenznähe (${searchM} m)…`);
+    const tNear = _nowMs();
+    // Zonen am Punkt (für die Höhe unkritisch) sind keine "nahen" Zonen
+    const atPoint = new Map(base.results.filter((r) => r.ok && r.ok.hits && r.ok.hits.length).map((r) => [r.src.id, r.ok.hits]));
+    const near = await nearCheck(lat, lon, signal, searchM, nearBudget, atPoint);
+    out.timings.nearMs = Math.round(_nowMs() - tNear);
+
+    const touched = [];
+    for (const p of near.perSource) {
+      const d = p.nearest && p.nearest.beyondM == null ? p.nearest.distanceM : null;
+      if (searchM > nearM) p.near = d !== null && d <= nearM;
+      // geschätzte Abstände (Radar) zugunsten der Vorsicht um ihre Unsicherheit verkürzt
+      p.touchesAccuracy = accM !== null && d !== null && d - (p.nearest.uncertaintyM || 0) <= accM;
+      if (p.touchesAccuracy) touched.push(describeNearest(p.src.zoneLabel, p.nearest));
+    }
+    if (accM !== null) {
+      out.accuracy = { radiusM: accM, checkedM: searchM, touches: touched.length > 0, complete: accM <= searchM };
+      if (touched.length) {
+        out.reasons.push(`GPS-Genauigkeit ±${accM} m: der Unsicherheitskreis berührt ${touched.join(" und ")} – die tatsächliche Position kann in der Zone liegen`);
+      } else if (accM > searchM) {
+        out.reasons.push(`GPS-Genauigkeit ±${fmtDistance(accM)}: Position zu ungenau, Zonen nur bis ${fmtDistance(searchM)} geprüft`);
+      }
+      out.trace.push({
+        rule: "GPS-Genauigkeit",
+        result: touched.length ? `±${accM} m – Unsicherheitskreis berührt ${touched.join(", ")} → GELB`
+          : (accM > searchM ? `±${fmtDistance(accM)} – nur ${fmtDistance(searchM)} geprüft → GELB` : `±${accM} m – Unsicherheitskreis frei`),
+        kind: touched.length || accM > searchM ? "warn" : "ok",
+        detail: "Der Kreis um den GPS-Fix zählt wie die Fläche, in der man tatsächlich stehen kann.",
+      });
+    }
+
+    for (const p of near.perSource) {
+      if (!p.near || p.touchesAccuracy) continue;
+      out.reasons.push(p.nearest?.distanceM != null
+        ? `${p.src.nearPrefix} ${describeNearest(p.src.zoneLabel, p.nearest)} – Abstand nach ${windDirFromDeg((p.nearest.bearingDeg + 180) % 360)} vergrößern`
+        : `${p.src.nearPrefix} ${p.src.zoneLabel} (<${nearM} m)`);
+    }
+
+    for (const p of near.perSource) out.trace.push(_traceNear(p, nearM));
+    out.near = {
+      exact: near.exact,
+      hadErrors: near.hadErrors,
+      samples: near.samples,
+      perSource: near.perSource.map((p) => ({
+        id: p.src.id,
+        near: p.near,
+        nearest: _plainNearest(p.nearest),
+        text: p.nearest ? describeNearest(p.src.zoneLabel, p.nearest) : null,
+      })),
+    };
+  } else {
+    out.trace.push({ rule: "Grenznähe", result: "nicht geprüft (abgeschaltet)", kind: null });
+  }
+  const accuracyDecision = out.accuracy && (out.accuracy.touches || !out.accuracy.complete);
+  // Seitlich der Pisten im Policy-Radius: kein Pauschal-ROT mehr, aber Vorsicht
+  if (airportPolicy && !expert && airport && airport.policy === "side" && !airport.inPolicy) {
+    out.reasons.push(airportPolicyText(airport).replace(/\.$/, ""));
+  }
+  // Teilausfall: je nach Profil GELB oder (Profi) GRÜN mit Hinweis
+  if (!profileAllowsGreen(profile, conf, !!out.errors, !!out.dataAge)) {
+    out.reasons.push(out.errors
+      ? "Quellen nicht vollständig erreichbar"
+      : out.dataAge
+        ? `Zonen-Daten aus älterem Cache (${out.dataAge}) – ohne aktuelle Daten kein GRÜN`
+        : `Verbindung instabil (${out.retries}× wiederholt) – Profil ${profile.label}: GRÜN nur bei Vertrauen „hoch“`);
+  }
+
+  if (out.reasons.length) {
+    const hint = out.near && out.near.hadErrors ? " | Hinweis: Grenz-Check evtl. unvollständig." : "";
+    return finish("warn", accuracyDecision ? "accuracy" : "near", `Vorsicht: ${out.reasons.join(" | ")}. Vertrauen: ${conf}.${hint}`);
+  }
+
+  // 3) GRÜN (nur wenn nicht total blind)
+  if (conf === "niedrig") {
+    return finish("warn", "low-confidence", "Keine Treffer – aber Quellen waren nicht erreichbar. Bitte später erneut prüfen. Vertrauen: niedrig.");
+  }
+
+  // Optional: Profil ohne Flugplatz-Policy -> trotzdem Flughafen-Hinweistext als Info in Detail (nicht als Ampel)
+  if (airportPolicy && expert && airport && airport.policy) {
+    return finish("info", "expert-airport", `${profile.label}: ${airportPolicyText(airport).replace(/\.$/, "")} – Ampel bleibt datengestützt.`);
+  }
+
+  // Abstände zu den nächsten Zonen (nur wenn exakt bekannt)
+  const nearestText = (out.near ? out.near.perSource : [])
+    .map((p) => p.text)
+    .filter(Boolean)
+    .join(" · ");
+
+  if (altitudeNotes.length) {
+    return finish(
+      "ok",
+      "altitude-clear",
+      `Für ${Math.round(altM)} m AGL frei: ${altitudeNotes.join(" | ")}. Vertrauen: ${conf}.${out.basis ? ` ${out.basis}.` : ""}`
+    );
+  }
+
+  const nearHint = out.near && out.near.hadErrors ? " | Hinweis: Grenz-Check unvollständig (Fehler oder Abfrage-Budget erschöpft)." : "";
+  return finish(
+    "ok",
+    "clear",
+    `Keine Zone laut Servern. Vertrauen: ${conf}. (${RULE_SOURCES.map((s) => s.label).join(" + ")})${nearestText ? ` Nächste: ${nearestText}.` : ""}${out.basis ? ` ${out.basis}.` : ""}${errSuffix}${nearHint}`
+  );
+}
+
+// =============================
+// Main Check (UI) – rendert das Ergebnis von evaluateLocation()
+// =============================
+function renderVerdict(result) {
+  if (zoneEl) zoneEl.textContent = `Zone: ${result.zoneLabel}`;
+  setState(result.kind, result.verdict, result.detail);
+  renderFeatureList(result.sources);
+  renderTrace(result.trace);
+  if (result.showOverlay) showSourceOverlay(getRuleSource(result.showOverlay));
+}
+
+// Alle Features am Punkt (beide Layer) mit Kern-Attributen – unter dem Detailtext
+function renderFeatureList(sources) {
+  let box = document.getElementById("verdictFeatures");
+  if (!box) {
+    if (!detailEl || !detailEl.parentNode) return;
+    box = document.createElement("div");
+    box.id = "verdictFeatures";
+    box.style.marginTop = "6px";
+    box.style.fontSize = "12px";
+    detailEl.parentNode.insertBefore(box, detailEl.nextSibling);
+  }
+  const withFeatures = (sources || []).filter((s) => s.features && s.features.length);
+  if (!withFeatures.length) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+  box.style.display = "";
+  box.innerHTML = withFeatures.map((s) => {
+    const items = s.features.map((f) => `<li><b>${escapeHtml(f.name || s.label)}</b>${f.text ? `<div style="opacity:.75;">${escapeHtml(f.text)}</div>` : ""}</li>`).join("");
+    return `<div style="margin-top:4px;"><span style="color:${SEVERITY_COLOR[s.severity]};">●</span> ${escapeHtml(s.label)} (${s.features.length})`
+      + `<ul style="margin:2px 0 0; padding-left:18px;">${items}</ul></div>`;
+  }).join("");
+}
+
+// "Warum diese Farbe?" – aufklappbarer Trace unter der Ampel (Auf/Zu bleibt zwischen Läufen erhalten)
+function renderTrace(trace) {
+  let box = document.getElementById("verdictTrace");
+  if (!box) {
+    if (!detailEl || !detailEl.parentNode) return;
+    box = document.createElement("details");
+    box.id = "verdictTrace";
+    box.style.marginTop = "6px";
+    box.style.fontSize = "12px";
+    box.innerHTML = `<summary style="cursor:pointer; opacity:.85;">Warum diese Farbe?</summary><ol id="verdictTraceList" style="margin:6px 0 0; padding-left:20px;"></ol>`;
+    const after = document.getElementById("verdictFeatures") || detailEl;
+    after.parentNode.insertBefore(box, after.nextSibling);
+  }
+  const list = document.getElementById("verdictTraceList");
+  if (!trace || !trace.length) {
+    box.style.display = "none";
+    if (list) list.innerHTML = "";
+    return;
+  }
+  box.style.display = "";
+  if (!list) return;
+
+  list.innerHTML = trace.map((t) => {
+    const color = t.kind ? SEVERITY_COLOR[t.kind] : "rgba(255,255,255,.35)";
+    const items = t.items && t.items.length
+      ? `<ul style="margin:2px 0 0; padding-left:16px; opacity:.75;">${t.items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`
+      : "";
+    return `<li style="margin-bottom:4px;"><span style="color:${color};">●</span> <b>${escapeHtml(t.rule)}</b>: ${escapeHtml(t.result)}`
+      + `${t.detail ? `<div style="opacity:.7;">${escapeHtml(t.detail)}</div>` : ""}${items}</li>`;
+  }).join("");
+}
+
+async function runCheckWithCoords(lat, lon, accuracyText = "—", accuracyMeters = null) {
+  const myToken = ++lastRunToken;
+
+  // Cancel previous
+  if (activeController) {
+    try { activeController.abort(); } catch (_) {}
+  }
+  activeController = new AbortController();
+  const signal = activeController.signal;
+
+  const stopIfStale = () => (myToken !== lastRunToken);
+  lastCheck = { lat, lon, accuracyText, accuracyMeters };
+
+  if (zoneEl) zoneEl.textContent = "Zone: —";
+  renderFeatureList(null);
+  renderTrace(null);
+  updatePills(lat, lon, accuracyText);
+  setInputs(lat, lon);
+  updateMap(lat, lon, accuracyMeters);
+  updateExpertPill();
+
+  try {
+    const result = await evaluateLocation(lat, lon, {
+      signal,
+      profile: activeProfile,
+      plannedAltitudeM: readPlannedAltitude(),
+      accuracyM: accuracyMeters,
+      onProgress: (text) => { if (!stopIfStale()) setState("warn", "…", text); },
+    });
+    if (stopIfStale()) return null;
+
+    renderVerdict(result);
+    return result;
+  } catch (e) {
+    if (e?.name === "AbortError") return null;
+    setState("warn", "—", `Abfrage fehlgeschlagen: ${e.message}`);
+    return null;
+  }
+}
+
+// Zuletzt geprüften Punkt erneut bewerten (z.B. nach Höhen- oder Profilwechsel)
+function rerunLastCheck() {
+  if (!lastCheck) return;
+  runCheckWithCoords(lastCheck.lat, lastCheck.lon, lastCheck.accuracyText, lastCheck.accuracyMeters);
+}
+
+// Nur das Ergebnis des zuletzt geprüften Punkts neu bewerten (z.B. nach Layer-Discovery im Hintergrund):
+// Karte, Eingabefelder und Marker bleiben unverändert, der Nutzer kann woanders hingescrollt haben
+async function refreshLastVerdict() {
+  if (!lastCheck) return null;
+  const { lat, lon, accuracyMeters } = lastCheck;
+  const myToken = ++lastRunToken;
+
+  if (activeController) {
+    try { activeController.abort(); } catch (_) {}
+  }
+  activeController = new AbortController();
+
+  try {
+    const result = await evaluateLocation(lat, lon, {
+      signal: activeController.signal,
+      profile: activeProfile,
+      plannedAltitudeM: readPlannedAltitude(),
+      accuracyM: accuracyMeters,
+    });
+    if (myToken !== lastRunToken) return null;
+
+    renderVerdict(result);
+    return result;
+  } catch (e) {
+    if (e?.name === "AbortError") return null;
+    setState("warn", "—", `Abfrage fehlgeschlagen: ${e.message}`);
+    return null;
+  }
+}
+
+// =============================
+// Detail Query (Map-Klick Popup)
+// =============================
+async function runDetailQuery(lat, lon) {
+  return await evaluateLocation(lat, lon, { profile: activeProfile, airportPolicy: false, nearCheck: false, plannedAltitudeM: readPlannedAltitude() });
+}
+
+// =============================
+// Einsatzgebiet (Fläche) – Worst-Case über Kreis oder Polygon (DOM-frei)
+// - Fläche wird immer als Ring behandelt (Kreis -> AREA_CIRCLE_SEGMENTS-Eck)
+// - Zonen: WFS-Geometrie im Umkreis, Schnitt lokal (Ecke-in-Polygon + Kantenschnitt)
+// - ohne WFS: Stichproben (Mitte, Ecken, Kantenmitten) über queryRuleSource
+// - Flugplätze: Policy-Ring, Pisten-Kernbereich und Trichter als Ringe
+// - Grenznähe wie beim Punkt: Zonen bis nearDistanceM (Profil) außerhalb der Fläche -> GELB
+//
+// area: { type: "circle", lat, lon, radiusM } | { type: "polygon", points: [[lat, lon], ...] }
+// Ergebnis: { verdict, kind, decision, detail, parts[], confidence, exact, errors, timings }
+//   parts[]: { type: "zone"|"airport"|"altitude", sourceId, label, name, severity, text, sampled, geometry? }
+// =============================
+const AREA_CIRCLE_SEGMENTS = 48;
+const AREA_MAX_EXTENT_M = 10_000;
+const AREA_SAMPLE_MAX = 16;
+
+function fromLocalMeters(lat0, lon0, x, y) {
+  return {
+    lat: lat0 + y / 111320,
+    lon: lon0 + x / (111320 * Math.cos(toRad(lat0))),
+  };
+}
+
+// Ring als [[lon, lat], ...] (geschlossen), wie geometryToPolygons
+function circleRing(lat, lon, radiusM, segments = AREA_CIRCLE_SEGMENTS) {
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    const a = (i / segments) * 2 * Math.PI;
+    const p = fromLocalMeters(lat, lon, Math.sin(a) * radiusM, Math.cos(a) * radiusM);
+    ring.push([p.lon, p.lat]);
+  }
+  return ring;
+}
+
+function areaToRing(area) {
+  if (!area) return [];
+  if (area.type === "circle") return circleRing(area.lat, area.lon, area.radiusM);
+  const ring = (area.points || []).map(([lat, lon]) => [lon, lat]);
+  if (ring.length && (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])) ring.push(ring[0]);
+  return ring;
+}
+
+function ringCenter(ring) {
+  const pts = ring.length > 1 ? ring.slice(0, -1) : ring;
+  let lat = 0, lon = 0;
+  for (const [x, y] of pts) { lon += x; lat += y; }
+  return { lat: lat / Math.max(1, pts.length), lon: lon / Math.max(1, pts.length) };
+}
+
+function ringExtentM(ring, c) {
+  let max = 0;
+  for (const [lon, lat] of ring) max = Math.max(max, haversineMeters(c.lat, c.lon, lat, lon));
+  return max;
+}
+
+function segmentsCross(a, b, c, d) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function ringEdgesCross(ringA, ringB) {
+  const lat0 = ringA[0][1], lon0 = ringA[0][0];
+  const A = ringA.map(([lon, lat]) => toLocalMeters(lat0, lon0, lat, lon));
+  const B = ringB.map(([lon, lat]) => toLocalMeters(lat0, lon0, lat, lon));
+  for (let i = 1; i < A.length; i++) {
+    for (let j = 1; j < B.length; j++) {
+      if (segmentsCross(A[i - 1], A[i], B[j - 1], B[j])) return true;
+    }
+  }
+  return false;
+}
+
+// Schnitt zweier Ringe (lon/lat): Ecke innen oder Kanten kreuzen sich
+function ringsIntersect(ringA, ringB) {
+  if (ringA.length < 3 || ringB.length < 3) return false;
+  for (const [lon, lat] of ringA) if (pointInRing(lon, lat, ringB)) return true;
+  for (const [lon, lat] of ringB) if (pointInRing(lon, lat, ringA)) return true;
+  return ringEdgesCross(ringA, ringB);
+}
+
+// Feature schneidet die Fläche (Löcher: Fläche komplett in einem Loch zählt nicht)
+function featureIntersectsRing(feature, ring) {
+  const polys = feature && feature._polys ? feature._polys : geometryToPolygons(feature?.geometry);
+  for (const rings of polys) {
+    const [outer, ...holes] = rings;
+    if (!outer || !ringsIntersect(ring, outer)) continue;
+    const inHole = holes.some((h) => h.length >= 3
+      && ring.every(([lon, lat]) => pointInRing(lon, lat, h))
+      && !ringEdgesCross(ring, h));
+    if (!inHole) return true;
+  }
+  return false;
+}
+
+// Abstand Punkt -> Fläche (0, wenn innen)
+function distanceToRingM(ring, lat, lon) {
+  if (pointInRing(lon, lat, ring)) return 0;
+  let best = Infinity;
+  for (let i = 1; i < ring.length; i++) {
+    const a = toLocalMeters(lat, lon, ring[i - 1][1], ring[i - 1][0]);
+    const b = toLocalMeters(lat, lon, ring[i][1], ring[i][0]);
+    best = Math.min(best, closestPointOnSegment(0, 0, a.x, a.y, b.x, b.y).d);
+  }
+  return best;
+}
+
+// Abstand Fläche -> Zone (0, wenn sie sich schneiden); Minimum liegt immer an einer Ecke einer der beiden
+function ringFeatureDistanceM(ring, feature) {
+  if (featureIntersectsRing(feature, ring)) return 0;
+  let best = Infinity;
+  const polys = feature && feature._polys ? feature._polys : geometryToPolygons(feature?.geometry);
+  for (const rings of polys) {
+    for (const r of rings) {
+      for (const [lon, lat] of r) best = Math.min(best, distanceToRingM(ring, lat, lon));
+    }
+  }
+  for (const [lon, lat] of ring) {
+    const nb = nearestBoundary([feature], lat, lon);
+    if (nb) best = Math.min(best, nb.distanceM);
+  }
+  return best;
+}
+
+// Pisten-Kernbereich (Kapsel um die Piste) und Trichter als Ringe [[lon, lat], ...]
+function runwayPolicyRings(ap) {
+  const out = [];
+  for (const rw of (ap.runways || [])) {
+    const [t1, t2] = rw.thresholds;
+    const lat0 = t1[0], lon0 = t1[1];
+    const a = toLocalMeters(lat0, lon0, t1[0], t1[1]);
+    const b = toLocalMeters(lat0, lon0, t2[0], t2[1]);
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!(len > 0)) continue;
+    const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+    const toRing = (pts) => {
+      const ring = pts.map((p) => { const q = fromLocalMeters(lat0, lon0, p.x, p.y); return [q.lon, q.lat]; });
+      ring.push(ring[0]);
+      return ring;
+    };
+
+    // Kapsel: Halbkreise um beide Schwellen
+    const capsule = [];
+    const base = Math.atan2(uy, ux);
+    for (let i = 0; i <= 12; i++) {
+      const ang = base - Math.PI / 2 + (i / 12) * Math.PI;
+      capsule.push({ x: b.x + Math.cos(ang) * RUNWAY_CORE_M, y: b.y + Math.sin(ang) * RUNWAY_CORE_M });
+    }
+    for (let i = 0; i <= 12; i++) {
+      const ang = base + Math.PI / 2 + (i / 12) * Math.PI;
+      capsule.push({ x: a.x + Math.cos(ang) * RUNWAY_CORE_M, y: a.y + Math.sin(ang) * RUNWAY_CORE_M });
+    }
+    out.push({ kind: "core", runway: rw.id, ring: toRing(capsule) });
+
+    const ends = String(rw.id).split("/");
+    for (const [thr, dir, endId] of [[a, -1, ends[0]], [b, 1, ends[1] || ends[0]]]) {
+      const dx = ux * dir, dy = uy * dir;        // nach außen
+      const nx = -dy, ny = dx;
+      const w0 = RUNWAY_FUNNEL_HALF_WIDTH_M;
+      const w1 = RUNWAY_FUNNEL_HALF_WIDTH_M + RUNWAY_FUNNEL_LENGTH_M * RUNWAY_FUNNEL_DIVERGENCE;
+      const far = { x: thr.x + dx * RUNWAY_FUNNEL_LENGTH_M, y: thr.y + dy * RUNWAY_FUNNEL_LENGTH_M };
+      out.push({
+        kind: "funnel",
+        runway: rw.id,
+        end: endId,
+        ring: toRing([
+          { x: thr.x + nx * w0, y: thr.y + ny * w0 },
+          { x: far.x + nx * w1, y: far.y + ny * w1 },
+          { x: far.x - nx * w1, y: far.y - ny * w1 },
+          { x: thr.x - nx * w0, y: thr.y - ny * w0 },
+        ]),
+      });
+    }
+  }
+  return out;
+}
+
+function areaAirportParts(ring, center, extentM, profile) {
+  const parts = [];
+  const scale = profile.airportRadiusScale || 1;
+  const policySev = profile.airportPolicy ? "no" : "info";
+  for (const ap of AERODROMES) {
+    const dCenter = haversineMeters(center.lat, center.lon, ap.lat, ap.lon);
+    const radius = aerodromePolicyRadius(ap) * scale;
+    if (dCenter > extentM + Math.max(radius, RUNWAY_FUNNEL_LENGTH_M + 5000)) continue;
+
+    const base = { type: "airport", sourceId: "airport", label: AERODROME_TYPE_LABEL[ap.type] || "Flugplatz", name: ap.name, sampled: false };
+    if (ap.runways) {
+      const hits = runwayPolicyRings(ap).filter((r) => ringsIntersect(ring, r.ring));
+      const core = hits.find((h) => h.kind === "core");
+      if (core) { parts.push({ ...base, severity: policySev, text: `Pistenbereich ${core.runway}` }); continue; }
+      if (hits.length) {
+        parts.push({ ...base, severity: policySev, text: `An-/Abflugtrichter Piste ${hits.map((h) => h.end).join(", ")}` });
+        continue;
+      }
+      if (distanceToRingM(ring, ap.lat, ap.lon) <= radius) {
+        const sev = profile.airportPolicy ? (profile.runwaySideSeverity || "warn") : "info";
+        parts.push({ ...base, severity: sev, text: `${fmtDistance(radius)}-Ring, seitlich der Pisten` });
+      }
+      continue;
+    }
+    if (distanceToRingM(ring, ap.lat, ap.lon) <= radius) {
+      parts.push({ ...base, severity: policySev, text: `${fmtDistance(radius)}-Policy-Ring` });
+    }
+  }
+  return parts;
+}
+
+function _areaZoneSeverity(src, feature, altM, profile) {
+  const bySource = sourceProfileSeverity(src, profile);
+  if (bySource) return bySource;
+  if (typeof src.featureInfo === "function") return zoneSeverityAt(src.featureInfo(feature?.properties || {}), altM);
+  return src.severity;
+}
+
+// Stichproben-Punkte einer Fläche: Mitte, Ecken, Kantenmitten (max. AREA_SAMPLE_MAX)
+function areaSamplePoints(ring, center) {
+  const pts = [center];
+  const verts = ring.slice(0, -1);
+  const step = Math.max(1, Math.ceil((verts.length * 2) / (AREA_SAMPLE_MAX - 1)));
+  for (let i = 0; i < verts.length; i++) {
+    const a = verts[i], b = verts[(i + 1) % verts.length];
+    const cand = [{ lat: a[1], lon: a[0] }, { lat: (a[1] + b[1]) / 2, lon: (a[0] + b[0]) / 2 }];
+    for (let k = 0; k < cand.length; k++) {
+      if (((i * 2 + k) % step) === 0 && pts.length < AREA_SAMPLE_MAX) pts.push(cand[k]);
+    }
+  }
+  return pts;
+}
+
+// Stichproben für die Grenznähe: Randpunkte um nearM vom Mittelpunkt weg nach außen geschoben
+function areaNearSamplePoints(ring, center, nearM) {
+  return areaSamplePoints(ring, center).slice(1).map((p) => {
+    const v = toLocalMeters(center.lat, center.lon, p.lat, p.lon);
+    const len = Math.hypot(v.x, v.y);
+    if (!(len > 0)) return p;
+    const k = (len + nearM) / len;
+    return fromLocalMeters(center.lat, center.lon, v.x * k, v.y * k);
+  });
+}
+
+// Zonen einer Quelle, die die Fläche schneiden – und wie beim Punkt-Check: Zonen
+// innerhalb der Grenznähe-Schwelle des Profils als GELB ("Grenznähe").
+async function areaSourceParts(src, ring, center, extentM, signal, altM, profile) {
+  const base = { type: "zone", sourceId: src.id, label: src.zoneLabel };
+  const nearM = (profile && profile.nearDistanceM) || NEAR_DISTANCE_M;
+  const nearText = (d) => `Grenznähe: ${fmtDistance(d)} (< ${fmtDistance(nearM)})`;
+  let features = null;
+  let stale = false;
+  if (src.kind === "geojson") {
+    features = ruleSourceFeatures(src);
+  } else {
+    try {
+      const zones = await fetchZoneFeatures(src.baseUrl, src.layer, center.lat, center.lon, signal, extentM + nearM);
+      features = zones.features;
+      stale = !!zones.stale;
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+    }
+  }
+
+  if (features) {
+    const parts = [];
+    for (const f of features) {
+      const d = ringFeatureDistanceM(ring, f);
+      if (d > nearM) continue;
+      const name = tryExtractZoneNameFromProps(f.properties) || null;
+      if (d > 0) {
+        parts.push({ ...base, name, severity: "warn", text: nearText(d), sampled: false, near: true, geometry: f.geometry || null });
+        continue;
+      }
+      const info = typeof src.featureInfo === "function" ? src.featureInfo(f.properties || {}) : null;
+      parts.push({
+        ...base,
+        name,
+        severity: _areaZoneSeverity(src, f, altM, profile),
+        text: info ? formatZoneInfo(info) : "",
+        sampled: false,
+        geometry: f.geometry || null,
+      });
+    }
+    return { parts, exact: true, error: null, stale };
+  }
+
+  // Fallback: Stichproben (nur Treffer an den Punkten sind sicher), außen herum die Grenznähe
+  const pts = areaSamplePoints(ring, center);
+  const nearPts = areaNearSamplePoints(ring, center, nearM);
+  const all = await Promise.allSettled([...pts, ...nearPts].map((p) => queryRuleSource(src, p.lat, p.lon, signal)));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+  const settled = all.slice(0, pts.length);
+
+  const byName = new Map();
+  let failed = 0;
+  for (const r of settled) {
+    if (r.status !== "fulfilled") { failed++; continue; }
+    const ok = r.value;
+    if (ok.level !== "hit" && ok.level !== "context") continue;
+    const sev = resultSeverity({ src, level: ok.level, ok }, altM, profile);
+    if (sev === "ok") continue;
+    const name = zoneNameFromResult(ok) || (ok.level === "context" ? src.contextZoneLabel || src.zoneLabel : null);
+    const key = name || src.zoneLabel;
+    const prev = byName.get(key);
+    if (!prev || SEVERITY_RANK[sev] > SEVERITY_RANK[prev.severity]) {
+      byName.set(key, { ...base, name, severity: sev, text: ok.level === "context" ? "Kontext (kein Feature)" : "", sampled: true });
+    }
+  }
+  for (const r of all.slice(pts.length)) {
+    if (r.status !== "fulfilled" || r.value.level !== "hit") continue;
+    const name = zoneNameFromResult(r.value);
+    const key = name || src.zoneLabel;
+    if (!byName.has(key)) byName.set(key, { ...base, name, severity: "warn", text: `Grenznähe (< ${fmtDistance(nearM)})`, sampled: true, near: true });
+  }
+  const error = failed === pts.length ? "nicht erreichbar" : (failed ? `${failed}/${pts.length} Stichproben fehlgeschlagen` : null);
+  stale = all.some((r) => r.status === "fulfilled" && r.value.stale);
+  return { parts: [...byName.values()], exact: false, error, stale };
+}
+
+// Kern für Fläche und Route: alle Teile (Flugplätze, Zonen, Höhe), die einen Ring schneiden.
+// Ergebnis: { parts (sortiert, schlimmste zuerst), errors[], exact, confidence, stale }
+async function checkRingParts(ring, { signal = null, profile, altM = null, airportPolicy = true } = {}) {
+  const center = ringCenter(ring);
+  const extentM = ringExtentM(ring, center);
+
+  const parts = [];
+  if (airportPolicy) parts.push(...areaAirportParts(ring, center, extentM, profile));
+  if (altM !== null && altM > OPEN_CATEGORY_MAX_AGL_M) {
+    parts.push({ type: "altitude", sourceId: "altitude", label: "Flughöhe", name: null, severity: "no", text: `${Math.round(altM)} m AGL über ${OPEN_CATEGORY_MAX_AGL_M} m`, sampled: false });
+  }
+
+  const settled = await Promise.allSettled(RULE_SOURCES.map((src) => areaSourceParts(src, ring, center, extentM, signal, altM, profile)));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+
+  const errors = [];
+  let exact = true;
+  let stale = false;
+  settled.forEach((r, i) => {
+    const src = RULE_SOURCES[i];
+    if (r.status !== "fulfilled") { errors.push(`${src.label}: ${r.reason?.message || "Fehler"}`); return; }
+    parts.push(...r.value.parts);
+    if (!r.value.exact) exact = false;
+    if (r.value.stale) stale = true;
+    if (r.value.error) errors.push(`${src.label}: ${r.value.error}`);
+  });
+
+  const failed = settled.filter((r) => r.status !== "fulfilled" || (r.value.error && r.value.error === "nicht erreichbar")).length;
+  const confidence = !errors.length ? (stale ? "mittel" : "hoch") : (failed === RULE_SOURCES.length ? "niedrig" : "mittel");
+
+  parts.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+  return { parts, errors, exact, confidence, stale };
+}
+
+// Worst-Case-Stufe aus den Teilen; ohne Treffer entscheidet die Datenlage (nie GRÜN bei Stichproben
+// oder Zonen-Daten aus veraltetem Cache)
+function worstCaseKind(parts, { errors, exact, confidence, stale }, profile) {
+  let kind = parts.length ? parts[0].severity : "ok";
+  let reason = parts.length ? "parts" : "clear";
+  if (kind === "ok" || kind === "info") {
+    if (stale) { kind = "warn"; reason = "stale"; }
+    else if (!profileAllowsGreen(profile, confidence, errors.length > 0)) { kind = "warn"; reason = "low-confidence"; }
+    else if (!exact) { kind = "warn"; reason = "sampled"; }
+  }
+  return { kind, reason };
+}
+
+function describePart(p) {
+  return `${SEVERITY_TITLE[p.severity]}: ${p.label}${p.name ? ` ${p.name}` : ""}${p.text ? ` (${p.text})` : ""}`;
+}
+
+async function evaluateArea(area, options = {}) {
+  const {
+    signal = null,
+    profile: profileOpt = null,
+    plannedAltitudeM = null,
+    airportPolicy = true,
+  } = options;
+  const t0 = _nowMs();
+  const profile = typeof profileOpt === "string" ? getPolicyProfile(profileOpt) : (profileOpt || activeProfile);
+  const altM = Number.isFinite(plannedAltitudeM) && plannedAltitudeM >= 0 ? plannedAltitudeM : null;
+
+  const ring = areaToRing(area);
+  if (ring.length < 4) throw new Error("Fläche braucht mindestens 3 Punkte");
+  const extentM = ringExtentM(ring, ringCenter(ring));
+  if (extentM > AREA_MAX_EXTENT_M) throw new Error(`Fläche zu groß (max. ${fmtDistance(AREA_MAX_EXTENT_M)} Radius)`);
+
+  const res = await checkRingParts(ring, { signal, profile, altM, airportPolicy });
+  const { parts, errors, exact, confidence, stale } = res;
+  const { kind, reason } = worstCaseKind(parts, res, profile);
+
+  const shape = area.type === "circle" ? `Kreis ${fmtDistance(area.radiusM)}` : `Polygon (${ring.length - 1} Ecken)`;
+  const list = parts.filter((p) => p.severity !== "ok").map(describePart);
+  const detail = [
+    `Einsatzgebiet ${shape}: ${list.length ? `${list.length} betroffene Bereiche` : "keine Zone, kein Flugplatz-Ring"}.`,
+    list.join(" | "),
+    `Vertrauen: ${confidence}.`,
+    exact ? "" : "Teilweise nur Stichproben (kein WFS).",
+    stale ? "Zonen-Daten aus älterem Cache – ohne aktuelle Daten kein GRÜN." : "",
+    errors.length ? `Hinweis: ${errors.join(" | ")}` : "",
+  ].filter(Boolean).join(" ");
+
+  return {
+    area,
+    verdict: SEVERITY_TITLE[kind],
+    kind,
+    decision: `area-${reason}`,
+    detail,
+    parts,
+    confidence,
+    exact,
+    errors: errors.join(" | "),
+    timings: { totalMs: Math.round(_nowMs() - t0) },
+  };
+}
+
+// =============================
+// Flugroute (Wegpunkte) – Ampel je Segment (DOM-frei)
+// - Segment = Korridor ±ROUTE_CORRIDOR_HALF_WIDTH_M um die Verbindungslinie
+// - lange Segmente werden in Abschnitte ≤ ROUTE_CHUNK_M geteilt (WFS-Fenster bleiben klein)
+// - gleiche Logik wie Fläche und Punkt: Zonen, Schutzgebiete, Flugplatz-Policy, Höhe, Grenznähe (Korridor + nearDistanceM)
+//
+// waypoints: [[lat, lon], ...] (mind. 2)
+// Ergebnis: { verdict, kind, detail, segments[], confidence, exact, errors, timings }
+//   segments[]: { index, from, to, lengthM, verdict, kind, parts[], text }
+// =============================
+const ROUTE_CORRIDOR_HALF_WIDTH_M = 50;
+const ROUTE_CHUNK_M = 3000;
+const ROUTE_MAX_WAYPOINTS = 50;
+
+function corridorRing(a, b, halfWidthM = ROUTE_CORRIDOR_HALF_WIDTH_M) {
+  const lat0 = a[0], lon0 = a[1];
+  const pb = toLocalMeters(lat0, lon0, b[0], b[1]);
+  const len = Math.hypot(pb.x, pb.y);
+  const ux = len > 0 ? pb.x / len : 1, uy = len > 0 ? pb.y / len : 0;
+  const nx = -uy * halfWidthM, ny = ux * halfWidthM;
+  // Enden um die halbe Breite verlängert, damit Wegpunkte selbst abgedeckt sind
+  const ex = ux * halfWidthM, ey = uy * halfWidthM;
+  const pts = [
+    { x: -ex + nx, y: -ey + ny },
+    { x: pb.x + ex + nx, y: pb.y + ey + ny },
+    { x: pb.x + ex - nx, y: pb.y + ey - ny },
+    { x: -ex - nx, y: -ey - ny },
+  ];
+  const ring = pts.map((p) => { const q = fromLocalMeters(lat0, lon0, p.x, p.y); return [q.lon, q.lat]; });
+  ring.push(ring[0]);
+  return ring;
+}
+
+function _mergeParts(target, parts) {
+  for (const p of parts) {
+    const key = `${p.sourceId}|${p.name || ""}|${p.text || ""}`;
+    const prev = target.get(key);
+    if (!prev || SEVERITY_RANK[p.severity] > SEVERITY_RANK[prev.severity]) target.set(key, p);
+  }
+}
+
+async function evaluateRoute(waypoints, options = {}) {
+  const {
+    signal = null,
+    profile: profileOpt = null,
+    plannedAltitudeM = null,
+    airportPolicy = true,
+    onProgress = null,
+  } = options;
+  const t0 = _nowMs();
+  const profile = typeof profileOpt === "string" ? getPolicyProfile(profileOpt) : (profileOpt || activeProfile);
+  const altM = Number.isFinite(plannedAltitudeM) && plannedAltitudeM >= 0 ? plannedAltitudeM : null;
+  const progress = (text) => { try { if (onProgress) onProgress(text); } catch (_) {} };
+
+  const pts = (waypoints || []).filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  if (pts.length < 2) throw new Error("Route braucht mindestens 2 Wegpunkte");
+  if (pts.length > ROUTE_MAX_WAYPOINTS) throw new Error(`Zu viele Wegpunkte (max. ${ROUTE_MAX_WAYPOINTS})`);
+
+  const segments = [];
+  const allErrors = new Set();
+  let exact = true;
+  let stale = false;
+  let worstConfidence = "hoch";
+  const confRank = { hoch: 0, mittel: 1, niedrig: 2 };
+
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const lengthM = haversineMeters(a[0], a[1], b[0], b[1]);
+    progress(`Prüfe Segment ${i}/${pts.length - 1}…`);
+
+    const chunks = Math.max(1, Math.ceil(lengthM / ROUTE_CHUNK_M));
+    const merged = new Map();
+    const segRes = { errors: [], exact: true, confidence: "hoch", stale: false };
+    for (let c = 0; c < chunks; c++) {
+      const f0 = c / chunks, f1 = (c + 1) / chunks;
+      const ca = [a[0] + (b[0] - a[0]) * f0, a[1] + (b[1] - a[1]) * f0];
+      const cb = [a[0] + (b[0] - a[0]) * f1, a[1] + (b[1] - a[1]) * f1];
+      const r = await checkRingParts(corridorRing(ca, cb), { signal, profile, altM, airportPolicy });
+      _mergeParts(merged, r.parts);
+      segRes.errors.push(...r.errors);
+      if (!r.exact) segRes.exact = false;
+      if (r.stale) segRes.stale = true;
+      if (confRank[r.confidence] > confRank[segRes.confidence]) segRes.confidence = r.confidence;
+    }
+
+    const parts = [...merged.values()].sort((x, y) => SEVERITY_RANK[y.severity] - SEVERITY_RANK[x.severity]);
+    const { kind } = worstCaseKind(parts, segRes, profile);
+    const list = parts.filter((p) => p.severity !== "ok").map(describePart);
+    segments.push({
+      index: i,
+      from: a,
+      to: b,
+      lengthM,
+      verdict: SEVERITY_TITLE[kind],
+      kind,
+      parts,
+      confidence: segRes.confidence,
+      text: list.length ? list.join(" | ") : (kind === "ok" ? "frei" : "Datenlage unvollständig"),
+    });
+
+    segRes.errors.forEach((e) => allErrors.add(e));
+    if (!segRes.exact) exact = false;
+    if (segRes.stale) stale = true;
+    if (confRank[segRes.confidence] > confRank[worstConfidence]) worstConfidence = segRes.confidence;
+  }
+
+  let worst = segments[0];
+  for (const sg of segments) if (SEVERITY_RANK[sg.kind] > SEVERITY_RANK[worst.kind]) worst = sg;
+  const conflicts = segments.filter((sg) => sg.kind === "no" || sg.kind === "warn");
+  const totalM = segments.reduce((sum, sg) => sum + sg.lengthM, 0);
+  const detail = [
+    `Route ${pts.length} Wegpunkte, ${fmtDistance(totalM)}: ${conflicts.length ? `${conflicts.length} von ${segments.length} Segmenten mit Konflikt` : "alle Segmente frei"}.`,
+    conflicts.map((sg) => `Segment ${sg.index} (${sg.verdict}): ${sg.text}`).join(" | "),
+    `Vertrauen: ${worstConfidence}.`,
+    exact ? "" : "Teilweise nur Stichproben (kein WFS).",
+    stale ? "Zonen-Daten aus älterem Cache – ohne aktuelle Daten kein GRÜN." : "",
+    allErrors.size ? `Hinweis: ${[...allErrors].join(" | ")}` : "",
+  ].filter(Boolean).join(" ");
+
+  return {
+    waypoints: pts,
+    verdict: worst.verdict,
+    kind: worst.kind,
+    decision: conflicts.length ? "route-conflicts" : "route-clear",
+    detail,
+    segments,
+    confidence: worstConfidence,
+    exact,
+    errors: [...allErrors].join(" | "),
+    timings: { totalMs: Math.round(_nowMs() - t0) },
+  };
+}
+
+// =============================
+// GPS / Manual
+// =============================
+async function checkGps() {
+  try { _clearSelectedSpotName(); } catch (_) {}
+  if (!navigator.geolocation) {
+    setState("warn", "—", "GPS nicht verfügbar.");
+    return;
+  }
+
+  setMode("gps");
+  setState("warn", "…", "Standort wird geholt…");
+
+  navigator.geolocation.getCurrentPosition(
+    async (pos) => {
+      const { latitude, longitude, accuracy } = pos.coords;
+      const accText = accuracy ? `±${Math.round(accuracy)} m` : "—";
+      const g = guardToIceland(latitude, longitude, "Island-only: GPS liegt außerhalb Islands – ich klemme den Punkt zurück.");
+    updateMap(g.lat, g.lon, accuracy);
+    await runCheckWithCoords(g.lat, g.lon, accText, accuracy);
+    },
+    (err) => setState("warn", "—", `Standortfehler: ${err.message}`),
+    { enableHighAccuracy: true, timeout: 12000, maximumAge: 2000 }
+  );
+}
+
+function parseManualInputs() {
+  const lat = Number(String(latInput?.value ?? "").replace(",", "."));
+  const lon = Number(String(lonInput?.value ?? "").replace(",", "."));
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error("Bitte gültige Latitude/Longitude eingeben (Zahlen).");
+  }
+  if (lat < -90 || lat > 90) throw new Error("Latitude muss zwischen -90 und 90 liegen.");
+  if (lon < -180 || lon > 180) throw new Error("Longitude muss zwischen -180 und 180 liegen.");
+  return { lat, lon };
+}
+
+async function checkManual() {
+  try { _clearSelectedSpotName(); } catch (_) {}
+  setMode("manual");
+  try {
+    manualCoords = parseManualInputs();
+    const g = guardToIceland(manualCoords.lat, manualCoords.lon, "Island-only: Manuelle Koordinaten außerhalb Islands – ich klemme sie zurück.");
+    manualCoords = { lat: g.lat, lon: g.lon };
+    setInputs(g.lat, g.lon);
+    updateMap(g.lat, g.lon, "manuell");
+    await runCheckWithCoords(g.lat, g.lon, "manuell", null);
+  } catch (e) {
+    setState("warn", "—", e.message);
+  }
+}
+
+async function checkCurrentMode() {
+  if (currentMode === "manual") return checkManual();
+  return checkGps();
+}
+
+// =============================
+
+function getIcelandBounds() {
+  return L.latLngBounds(
+    [ICELAND_MIN_LAT, ICELAND_MIN_LON],
+    [ICELAND_MAX_LAT, ICELAND_MAX_LON]
+  );
+}
+
+function isInsideIceland(lat, lon) {
+  try {
+    return getIcelandBounds().contains([lat, lon]);
+  } catch (_) {
+    return (
+      lat >= ICELAND_MIN_LAT && lat <= ICELAND_MAX_LAT &&
+      lon >= ICELAND_MIN_LON && lon <= ICELAND_MAX_LON
+    );
+  }
+}
+
+function clampToIceland(lat, lon) {
+  const clampedLat = Math.min(ICELAND_MAX_LAT, Math.max(ICELAND_MIN_LAT, lat));
+  const clampedLon = Math.min(ICELAND_MAX_LON, Math.max(ICELAND_MIN_LON, lon));
+  return { lat: clampedLat, lon: clampedLon };
+}
+
+function guardToIceland(lat, lon, message) {
+  if (!ENFORCE_ICELAND_ONLY) return { lat, lon, inside: true };
+
+  if (isInsideIceland(lat, lon)) {
+    lastInsideCoords = { lat, lon };
+    return { lat, lon, inside: true };
+  }
+
+  const c = clampToIceland(lat, lon);
+
+  const now = Date.now();
+  if (SHOW_OUTSIDE_WARNING && (now - lastOutsideWarnAt > 1200)) {
+    lastOutsideWarnAt = now;
+    setState("info", "—", message || "Island-only: Punkt außerhalb Islands – ich klemme ihn zurück in den gültigen Bereich.");
+  }
+
+  return { lat: c.lat, lon: c.lon, inside: false };
+}
+
+
+// Utils
+// =============================
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// =============================
+// Maps handoff (optional)
+// - Opens a coordinate in the user's maps app (usually Google Maps; falls back to browser)
+// - No routing, no navigation logic inside this app
+// =============================
+function openInMaps(lat, lon, name = "") {
+  const n = Number(lat);
+  const e = Number(lon);
+  if (!Number.isFinite(n) || !Number.isFinite(e)) return;
+
+  const label = String(name || "").trim();
+  // Universal: works on iOS + Android, opens installed app when available
+  const url = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(`${n},${e}${label ? ` (${label})` : ""}`)}`;
+  try {
+    window.open(url, "_blank", "noopener,noreferrer");
+  } catch (_) {
+    window.location.href = url;
+  }
 }
 
 // iOS/Leaflet: Popups sometimes swallow taps. We route the "In Maps öffnen" action
@@ -1156,141 +4624,1318 @@ function _mapsBtnHandle(ev) {
     const btn = target.closest(".maps-btn");
     if (!btn) return;
 
-    _mapsBtnLastTs = t;
+    _mapsBtnLastTs = t;
+
+    if (ev.preventDefault) ev.preventDefault();
+    if (ev.stopPropagation) ev.stopPropagation();
+    if (ev.stopImmediatePropagation) ev.stopImmediatePropagation();
+
+    const lat = btn.getAttribute("data-lat");
+    const lon = btn.getAttribute("data-lon");
+    const rawName = btn.getAttribute("data-name") || "";
+    let name = rawName;
+    try { name = JSON.parse(rawName); } catch (_) {}
+
+    openInMaps(lat, lon, name);
+  } catch (_) {}
+}
+
+document.addEventListener("click", _mapsBtnHandle, true);
+document.addEventListener("touchend", _mapsBtnHandle, { capture: true, passive: false });
+
+// =============================
+// Copy-to-Clipboard (Spot Koordinaten)
+// - bewusst neutral: nur Koordinaten, keine Navigation
+// - iOS-safe: delegated handler + clipboard fallback
+// =============================
+function _copyTextToClipboard(text) {
+  const t = String(text || "").trim();
+  if (!t) return Promise.reject(new Error("empty"));
+
+  // Modern API
+  try {
+    if (navigator && navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+      return navigator.clipboard.writeText(t);
+    }
+  } catch (_) {}
+
+  // Fallback (iOS/older browsers)
+  return new Promise((resolve, reject) => {
+    try {
+      const ta = document.createElement("textarea");
+      ta.value = t;
+      ta.setAttribute("readonly", "");
+      ta.style.position = "fixed";
+      ta.style.top = "-1000px";
+      ta.style.left = "-1000px";
+      ta.style.opacity = "0";
+      document.body.appendChild(ta);
+      ta.select();
+      ta.setSelectionRange(0, ta.value.length);
+      const ok = document.execCommand("copy");
+      document.body.removeChild(ta);
+      ok ? resolve() : reject(new Error("execCommand failed"));
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+let _copyBtnLastTs = 0;
+function _copyBtnHandle(ev) {
+  try {
+    const t = Date.now();
+    if (t - _copyBtnLastTs < 700) return; // guard double-trigger (touch + click)
+    const target = ev && ev.target;
+    if (!target || !target.closest) return;
+    const btn = target.closest(".copy-btn");
+    if (!btn) return;
+
+    _copyBtnLastTs = t;
+
+    if (ev.preventDefault) ev.preventDefault();
+    if (ev.stopPropagation) ev.stopPropagation();
+    if (ev.stopImmediatePropagation) ev.stopImmediatePropagation();
+
+    const coords = btn.getAttribute("data-coords") || "";
+    const before = btn.textContent;
+    _copyTextToClipboard(coords).then(() => {
+      try {
+        btn.textContent = "Kopiert ✓";
+        setTimeout(() => { try { btn.textContent = before; } catch (_) {} }, 1200);
+      } catch (_) {}
+    }).catch(() => {
+      // leise bleiben – kein Popup-Spam
+      try {
+        btn.textContent = "Nicht kopiert";
+        setTimeout(() => { try { btn.textContent = before; } catch (_) {} }, 1200);
+      } catch (_) {}
+    });
+  } catch (_) {}
+}
+
+document.addEventListener("click", _copyBtnHandle, true);
+document.addEventListener("touchend", _copyBtnHandle, { capture: true, passive: false });
+
+
+
+
+// openInMaps is used by the popup button handler onclick
+try { window.openInMaps = openInMaps; } catch (_) {}
+
+
+// =============================
+// Wire buttons (safe)
+// =============================
+if (btnManual) btnManual.addEventListener("click", checkManual);
+if (btnGps)    btnGps.addEventListener("click", checkGps);
+if (btnNow)    btnNow.addEventListener("click", checkCurrentMode);
+
+if (altitudeInput) {
+  restorePlannedAltitude();
+  altitudeInput.addEventListener("change", onPlannedAltitudeChange);
+}
+if (btnOverlayAvi)  btnOverlayAvi.addEventListener("click", toggleAviationOverlay);
+if (btnOverlayProt) btnOverlayProt.addEventListener("click", toggleProtectedOverlay);
+
+if (overlayOpacity) {
+  const v = Number(overlayOpacity.value);
+  if (Number.isFinite(v)) overlayOpacityValue = Math.max(0, Math.min(1, v));
+  overlayOpacity.addEventListener("input", (e) => {
+    const nv = Number(e.target.value);
+    if (Number.isFinite(nv)) setOverlayOpacity(nv);
+  });
+}
+
+if (basemapSelectEl) {
+  for (const b of BASEMAPS) {
+    const opt = document.createElement("option");
+    opt.value = b.id;
+    opt.textContent = b.label;
+    basemapSelectEl.appendChild(opt);
+  }
+  basemapSelectEl.value = basemapLoadId();
+  basemapSelectEl.addEventListener("change", () => basemapSelect(basemapSelectEl.value));
+}
+window.addEventListener("online", () => basemapScheduleProbe(0));
+
+if (profileSelect) {
+  for (const p of POLICY_PROFILES) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.label;
+    profileSelect.appendChild(opt);
+  }
+  profileSelect.addEventListener("change", () => setActiveProfile(profileSelect.value));
+}
+setActiveProfile(loadProfileId(), false);
+
+// =============================
+// Start
+// =============================
+initMap();
+setMode("gps");
+updateExpertPill();
+updateOverlayPill();
+setState("warn", "—", "Bereit. Nutze GPS oder gib Koordinaten ein.");
+wfsCoverageRestore().catch(() => {});
+gfiPersistPrune().catch(() => {});
+for (const src of RULE_SOURCES) discoverRuleSource(src);
+
+
+// =============================
+// Panels – gemeinsamer Aufbau der einklappbaren Zusatz-Boxen
+// (Rahmen, Kopfzeile mit Auf/Zu-Knopf, Körper; Registrierung bei window.__DA_PANEL__)
+// headerHtml: zusätzliche Elemente links vom Auf/Zu-Knopf (Datenquelle, Modus-Knöpfe, …)
+// Einfügen in die Seite macht der Aufrufer (Position je Panel verschieden).
+// =============================
+function createPanel(id, title, bodyHtml, { boxId = `${id}Box`, open = true, headerHtml = "" } = {}) {
+  const box = document.createElement("div");
+  box.id = boxId;
+  box.setAttribute("data-panel-id", id);
+  box.setAttribute("data-panel-collapsible", "1");
+  box.style.marginTop = "10px";
+  box.style.padding = "10px";
+  box.style.borderRadius = "10px";
+  box.style.border = "1px solid rgba(255,255,255,0.08)";
+  box.style.background = "rgba(0,0,0,0.25)";
+  box.style.color = "inherit";
+
+  box.innerHTML = `
+    <div style="display:flex; align-items:center; justify-content:space-between; gap:10px; margin-bottom:6px;">
+      <div style="font-weight:700;">${escapeHtml(title)}</div>
+      <div style="display:flex; align-items:center; gap:8px;">
+        ${headerHtml}
+        <button type="button" data-panel-toggle="${id}" aria-label="${escapeHtml(title)} ein/ausklappen">▾</button>
+      </div>
+    </div>
 
-    if (ev.preventDefault) ev.preventDefault();
-    if (ev.stopPropagation) ev.stopPropagation();
-    if (ev.stopImmediatePropagation) ev.stopImmediatePropagation();
+    <div data-panel-body>${bodyHtml}</div>
+  `;
 
-    const lat = btn.getAttribute("data-lat");
-    const lon = btn.getAttribute("data-lon");
-    const rawName = btn.getAttribute("data-name") || "";
-    let name = rawName;
-    try { name = JSON.parse(rawName); } catch (_) {}
+  if (window.__DA_PANEL__ && window.__DA_PANEL__.register) {
+    window.__DA_PANEL__.register(box, id, open);
+  }
+  return box;
+}
 
-    openInMaps(lat, lon, name);
-  } catch (_) {}
+// =============================
+// EINSATZGEBIET – Kreis/Polygon auf der Karte zeichnen und als Fläche prüfen (evaluateArea)
+// - Kreis: Klick = Mittelpunkt, Radius aus dem Eingabefeld
+// - Polygon: Klicks = Ecken, "Prüfen" schließt die Fläche
+// =============================
+const AREA_DEFAULT_RADIUS_M = 300;
+
+let areaMode = null;        // "circle" | "polygon" | null
+let areaDraft = [];         // Polygon-Ecken [[lat, lon], ...]
+let areaShape = null;       // zuletzt gezeichnete Fläche (Format wie evaluateArea)
+let areaLayer = null;       // Leaflet-Layer der Fläche
+let areaHitsLayer = null;   // betroffene Zonen-Geometrien
+let areaRunToken = 0;
+
+function areaEnsureUI() {
+  if (document.getElementById("areaBox")) return;
+
+  const box = createPanel("area", "Einsatzgebiet (Fläche)", `
+    <div class="btnrow" style="margin-top:0">
+      <button id="btnAreaCircle" type="button">Kreis setzen</button>
+      <button id="btnAreaPolygon" type="button">Polygon zeichnen</button>
+      <button id="btnAreaCheck" type="button">Gebiet prüfen</button>
+      <button id="btnAreaClear" type="button">Löschen</button>
+    </div>
+    <div style="margin-top:8px; display:flex; align-items:center; gap:8px;">
+      <span style="opacity:.75; font-size:12px;">Kreis-Radius (m)</span>
+      <input id="areaRadius" inputmode="decimal" value="${AREA_DEFAULT_RADIUS_M}" style="max-width:110px;" />
+    </div>
+    <div id="areaHint" style="margin-top:8px; opacity:.8; font-size:12px;">Kreis setzen oder Polygon zeichnen, dann „Gebiet prüfen“.</div>
+    <div id="areaResult" style="margin-top:8px; line-height:1.35;">—</div>
+  `);
+
+  const anchor = document.querySelector(".mapwrap") || document.getElementById("detail") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
+
+  const bCircle = document.getElementById("btnAreaCircle");
+  const bPoly = document.getElementById("btnAreaPolygon");
+  const bCheck = document.getElementById("btnAreaCheck");
+  const bClear = document.getElementById("btnAreaClear");
+  if (bCircle) bCircle.addEventListener("click", () => areaStartDrawing("circle"));
+  if (bPoly) bPoly.addEventListener("click", () => areaStartDrawing("polygon"));
+  if (bCheck) bCheck.addEventListener("click", areaRunCheck);
+  if (bClear) bClear.addEventListener("click", areaClear);
 }
 
-document.addEventListener("click", _mapsBtnHandle, true);
-document.addEventListener("touchend", _mapsBtnHandle, { capture: true, passive: false });
+function areaSetHint(text) {
+  const h = document.getElementById("areaHint");
+  if (h) h.textContent = text;
+}
+
+function areaReadRadius() {
+  const inp = document.getElementById("areaRadius");
+  const n = Number(String(inp ? inp.value : "").replace(",", "."));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, AREA_MAX_EXTENT_M) : AREA_DEFAULT_RADIUS_M;
+}
+
+function areaOnMapClick(e) {
+  if (!areaMode) return false;
+  const { lat, lng } = e.latlng;
+  if (ENFORCE_ICELAND_ONLY && !isInsideIceland(lat, lng)) return true;
+
+  if (areaMode === "circle") {
+    areaShape = { type: "circle", lat, lon: lng, radiusM: areaReadRadius() };
+    areaStopDrawing();
+    areaRedraw();
+    areaSetHint(`Kreis gesetzt (${fmtDistance(areaShape.radiusM)}). „Gebiet prüfen“ startet die Abfrage.`);
+    return true;
+  }
+
+  areaDraft.push([lat, lng]);
+  areaRedraw();
+  areaSetHint(`${areaDraft.length} Ecke(n). Weiter klicken, „Gebiet prüfen“ schließt das Polygon.`);
+  return true;
+}
+
+function areaStartDrawing(mode) {
+  areaClear();
+  try { routeStopDrawing(); } catch (_) {}
+  areaMode = mode;
+  areaDraft = [];
+  mapClickInterceptor = areaOnMapClick;
+  areaSetHint(mode === "circle" ? "In die Karte klicken: Mittelpunkt des Kreises." : "In die Karte klicken: Ecken des Polygons setzen.");
+}
+
+function areaStopDrawing() {
+  areaMode = null;
+  if (mapClickInterceptor === areaOnMapClick) mapClickInterceptor = null;
+}
+
+function areaFinishDrawing() {
+  if (areaMode === "polygon" && areaDraft.length >= 3) {
+    areaShape = { type: "polygon", points: areaDraft.slice() };
+  }
+  areaStopDrawing();
+  areaRedraw();
+}
+
+function areaRedraw(kind = null) {
+  if (!map) return;
+  try { if (areaLayer) map.removeLayer(areaLayer); } catch (_) {}
+  areaLayer = null;
+
+  const color = kind ? SEVERITY_COLOR[kind] : "#7fb2ff";
+  const style = { color, weight: 2, opacity: 0.9, fillOpacity: 0.12, dashArray: kind ? null : "6 4" };
+  if (areaShape && areaShape.type === "circle") {
+    areaLayer = L.circle([areaShape.lat, areaShape.lon], { ...style, radius: areaShape.radiusM }).addTo(map);
+  } else if (areaShape && areaShape.type === "polygon") {
+    areaLayer = L.polygon(areaShape.points, style).addTo(map);
+  } else if (areaDraft.length) {
+    areaLayer = (areaDraft.length >= 3 ? L.polygon(areaDraft, style) : L.polyline(areaDraft, style)).addTo(map);
+  }
+}
+
+function areaClear() {
+  areaStopDrawing();
+  areaDraft = [];
+  areaShape = null;
+  areaRunToken++;
+  areaRedraw();
+  try { if (areaHitsLayer) map.removeLayer(areaHitsLayer); } catch (_) {}
+  areaHitsLayer = null;
+  const r = document.getElementById("areaResult");
+  if (r) r.textContent = "—";
+  areaSetHint("Kreis setzen oder Polygon zeichnen, dann „Gebiet prüfen“.");
+}
+
+function areaRenderResult(res) {
+  const box = document.getElementById("areaResult");
+  areaRedraw(res.kind);
+
+  try { if (areaHitsLayer) map.removeLayer(areaHitsLayer); } catch (_) {}
+  areaHitsLayer = null;
+  const geoms = res.parts.filter((p) => p.geometry);
+  if (geoms.length && map) {
+    areaHitsLayer = L.layerGroup(geoms.map((p) => L.geoJSON(p.geometry, {
+      style: { color: SEVERITY_COLOR[p.severity] || "#fff", weight: 2, opacity: 0.9, fillOpacity: 0.08, dashArray: "4 4" },
+      interactive: false,
+    }))).addTo(map);
+  }
+
+  if (!box) return;
+  const items = res.parts.filter((p) => p.severity !== "ok").map((p) => `
+    <div style="margin-top:4px;">
+      <b style="color:${SEVERITY_COLOR[p.severity]}">${SEVERITY_TITLE[p.severity]}</b>
+      ${escapeHtml(p.label)}${p.name ? ` – ${escapeHtml(p.name)}` : ""}
+      ${p.text ? `<div style="opacity:.75; font-size:12px;">${escapeHtml(p.text)}${p.sampled ? " · Stichprobe" : ""}</div>` : ""}
+    </div>`).join("");
+
+  box.innerHTML = `
+    <div style="font-weight:800; color:${SEVERITY_COLOR[res.kind]}">Worst-Case: ${res.verdict}</div>
+    ${items || `<div style="opacity:.85;">Keine betroffenen Bereiche.</div>`}
+    <div style="margin-top:6px; opacity:.65; font-size:12px;">Vertrauen: ${escapeHtml(res.confidence)}${res.exact ? "" : " · teilweise Stichproben (kein WFS)"}${res.errors ? ` · ${escapeHtml(res.errors)}` : ""}</div>
+  `;
+}
+
+async function areaRunCheck() {
+  const box = document.getElementById("areaResult");
+  areaFinishDrawing();
+  if (!areaShape) {
+    areaSetHint("Erst einen Kreis setzen oder mindestens 3 Polygon-Ecken zeichnen.");
+    return null;
+  }
+  const myToken = ++areaRunToken;
+  if (box) box.textContent = "Prüfe Gebiet…";
+  try {
+    const res = await evaluateArea(areaShape, { profile: activeProfile, plannedAltitudeM: readPlannedAltitude() });
+    if (myToken !== areaRunToken) return null;
+    areaRenderResult(res);
+    return res;
+  } catch (e) {
+    if (myToken === areaRunToken && box) box.textContent = `Prüfung fehlgeschlagen: ${e.message}`;
+    return null;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try { areaEnsureUI(); } catch (_) {}
+});
+
 
 // =============================
-// Copy-to-Clipboard (Spot Koordinaten)
-// - bewusst neutral: nur Koordinaten, keine Navigation
-// - iOS-safe: delegated handler + clipboard fallback
+// FLUGROUTE – Wegpunkte zeichnen oder eingeben, Ampel je Segment (evaluateRoute)
+// - Konflikt-Segmente werden farbig und dicker auf der Karte hervorgehoben
 // =============================
-function _copyTextToClipboard(text) {
-  const t = String(text || "").trim();
-  if (!t) return Promise.reject(new Error("empty"));
+let routeDrawing = false;
+let routePoints = [];        // [[lat, lon], ...]
+let routeLayer = null;       // Entwurf + Segmente
+let routeRunToken = 0;
+
+function routeEnsureUI() {
+  if (document.getElementById("routeBox")) return;
+
+  const box = createPanel("route", "Flugroute (Wegpunkte)", `
+    <div class="btnrow" style="margin-top:0">
+      <button id="btnRouteDraw" type="button">Wegpunkte zeichnen</button>
+      <button id="btnRouteCheck" type="button">Route prüfen</button>
+      <button id="btnRouteFromText" type="button">Liste übernehmen</button>
+      <button id="btnRouteClear" type="button">Löschen</button>
+    </div>
+    <textarea id="routeText" rows="4" placeholder="Eine Zeile je Wegpunkt: lat, lon&#10;64.1466, -21.9426&#10;64.1500, -21.9000"
+      style="margin-top:8px; width:100%; box-sizing:border-box; border-radius:12px; border:1px solid rgba(255,255,255,.18); background:rgba(0,0,0,.25); color:#fff; padding:10px; font-size:14px;"></textarea>
+    <div id="routeHint" style="margin-top:8px; opacity:.8; font-size:12px;">Wegpunkte in die Karte klicken oder als Liste eingeben, dann „Route prüfen“.</div>
+    <div id="routeResult" style="margin-top:8px; line-height:1.35;">—</div>
+  `);
 
-  // Modern API
+  const anchor = document.getElementById("areaBox") || document.querySelector(".mapwrap") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
+
+  const bDraw = document.getElementById("btnRouteDraw");
+  const bCheck = document.getElementById("btnRouteCheck");
+  const bText = document.getElementById("btnRouteFromText");
+  const bClear = document.getElementById("btnRouteClear");
+  if (bDraw) bDraw.addEventListener("click", routeStartDrawing);
+  if (bCheck) bCheck.addEventListener("click", routeRunCheck);
+  if (bText) bText.addEventListener("click", routeFromText);
+  if (bClear) bClear.addEventListener("click", routeClear);
+}
+
+function routeSetHint(text) {
+  const h = document.getElementById("routeHint");
+  if (h) h.textContent = text;
+}
+
+function routeSyncText() {
+  const t = document.getElementById("routeText");
+  if (t) t.value = routePoints.map(([lat, lon]) => `${fmt(lat)}, ${fmt(lon)}`).join("\n");
+}
+
+// "lat, lon" / "lat lon" / "lat;lon" je Zeile
+function parseRouteText(text) {
+  const pts = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = line.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,; ]\s*(-?\d+(?:\.\d+)?)/);
+    if (m) pts.push([Number(m[1]), Number(m[2])]);
+  }
+  return pts;
+}
+
+function routeFromText() {
+  const t = document.getElementById("routeText");
+  const pts = parseRouteText(t ? t.value : "");
+  const outside = pts.filter(([lat, lon]) => ENFORCE_ICELAND_ONLY && !isInsideIceland(lat, lon)).length;
+  routeStopDrawing();
+  routePoints = pts.filter(([lat, lon]) => !ENFORCE_ICELAND_ONLY || isInsideIceland(lat, lon));
+  routeRedraw();
+  routeSetHint(`${routePoints.length} Wegpunkt(e) übernommen${outside ? `, ${outside} außerhalb Islands ignoriert` : ""}.`);
+}
+
+function routeOnMapClick(e) {
+  if (!routeDrawing) return false;
+  const { lat, lng } = e.latlng;
+  if (ENFORCE_ICELAND_ONLY && !isInsideIceland(lat, lng)) return true;
+  routePoints.push([lat, lng]);
+  routeSyncText();
+  routeRedraw();
+  routeSetHint(`${routePoints.length} Wegpunkt(e). Weiter klicken, „Route prüfen“ beendet das Zeichnen.`);
+  return true;
+}
+
+function routeStartDrawing() {
+  routeClear();
+  // Fläche und Route teilen sich den Karten-Klick – nur einer zeichnet
+  try { areaStopDrawing(); } catch (_) {}
+  routeDrawing = true;
+  mapClickInterceptor = routeOnMapClick;
+  routeSetHint("In die Karte klicken: Wegpunkte in Flugreihenfolge setzen.");
+}
+
+function routeStopDrawing() {
+  routeDrawing = false;
+  if (mapClickInterceptor === routeOnMapClick) mapClickInterceptor = null;
+}
+
+function routeRedraw(result = null) {
+  if (!map) return;
+  try { if (routeLayer) map.removeLayer(routeLayer); } catch (_) {}
+  routeLayer = L.layerGroup();
+
+  if (result) {
+    for (const sg of result.segments) {
+      const conflict = sg.kind === "no" || sg.kind === "warn";
+      L.polyline([sg.from, sg.to], {
+        color: SEVERITY_COLOR[sg.kind],
+        weight: conflict ? 6 : 3,
+        opacity: 0.95,
+      }).bindTooltip(`Segment ${sg.index}: ${sg.verdict}`).addTo(routeLayer);
+    }
+  } else if (routePoints.length > 1) {
+    L.polyline(routePoints, { color: "#7fb2ff", weight: 3, opacity: 0.9, dashArray: "6 4" }).addTo(routeLayer);
+  }
+  routePoints.forEach(([lat, lon], i) => {
+    L.circleMarker([lat, lon], { radius: 5, weight: 2, color: "#fff", fillColor: "#7fb2ff", fillOpacity: 0.9 })
+      .bindTooltip(`WP ${i + 1}`)
+      .addTo(routeLayer);
+  });
+  routeLayer.addTo(map);
+}
+
+function routeClear() {
+  routeStopDrawing();
+  routePoints = [];
+  routeRunToken++;
+  routeSyncText();
+  routeRedraw();
+  const r = document.getElementById("routeResult");
+  if (r) r.textContent = "—";
+  routeSetHint("Wegpunkte in die Karte klicken oder als Liste eingeben, dann „Route prüfen“.");
+}
+
+function routeRenderResult(res) {
+  routeRedraw(res);
+  const box = document.getElementById("routeResult");
+  if (!box) return;
+  const rows = res.segments.map((sg) => `
+    <div style="margin-top:4px;">
+      <b style="color:${SEVERITY_COLOR[sg.kind]}">${sg.verdict}</b>
+      Segment ${sg.index}: WP ${sg.index} → WP ${sg.index + 1} (${fmtDistance(sg.lengthM)})
+      <div style="opacity:.75; font-size:12px;">${escapeHtml(sg.text)}</div>
+    </div>`).join("");
+  box.innerHTML = `
+    <div style="font-weight:800; color:${SEVERITY_COLOR[res.kind]}">Route: ${res.verdict}</div>
+    ${rows}
+    <div style="margin-top:6px; opacity:.65; font-size:12px;">Korridor ±${ROUTE_CORRIDOR_HALF_WIDTH_M} m · Vertrauen: ${escapeHtml(res.confidence)}${res.exact ? "" : " · teilweise Stichproben (kein WFS)"}${res.errors ? ` · ${escapeHtml(res.errors)}` : ""}</div>
+  `;
+}
+
+async function routeRunCheck() {
+  routeStopDrawing();
+  const box = document.getElementById("routeResult");
+  if (routePoints.length < 2) {
+    routeSetHint("Mindestens 2 Wegpunkte setzen oder eingeben.");
+    return null;
+  }
+  const myToken = ++routeRunToken;
   try {
-    if (navigator && navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
-      return navigator.clipboard.writeText(t);
+    const res = await evaluateRoute(routePoints, {
+      profile: activeProfile,
+      plannedAltitudeM: readPlannedAltitude(),
+      onProgress: (text) => { if (myToken === routeRunToken && box) box.textContent = text; },
+    });
+    if (myToken !== routeRunToken) return null;
+    routeRenderResult(res);
+    return res;
+  } catch (e) {
+    if (myToken === routeRunToken && box) box.textContent = `Prüfung fehlgeschlagen: ${e.message}`;
+    return null;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try { routeEnsureUI(); } catch (_) {}
+});
+
+
+// =============================
+// STAPELPRÜFUNG – CSV / eingefügte Liste mit vielen Kandidaten-Spots
+// - Zeilen: "Name; lat; lon" oder "lat, lon" (Kopfzeile optional, Trenner , ; oder Tab)
+// - evaluateLocation je Zeile, max. BATCH_CONCURRENCY gleichzeitig
+// - Tabelle sortierbar (Klick auf Spaltenkopf), Export als CSV
+// =============================
+const BATCH_CONCURRENCY = 3;
+const BATCH_MAX_ROWS = 500;
+
+let batchRows = [];             // [{ name, lat, lon, status, result }]
+let batchSort = { key: "index", dir: 1 };
+let batchRunToken = 0;
+let batchController = null;
+
+const BATCH_COLUMNS = [
+  { key: "index",      label: "#" },
+  { key: "name",       label: "Name" },
+  { key: "coords",     label: "Koordinaten" },
+  { key: "verdict",    label: "Ampel" },
+  { key: "zone",       label: "Zone" },
+  { key: "airport",    label: "Nächster Flugplatz" },
+  { key: "confidence", label: "Vertrauen" },
+];
+
+function _batchSplit(line, delim) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { cur += '"'; i++; }
+      else quoted = !quoted;
+    } else if (ch === delim && !quoted) {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += ch;
     }
-  } catch (_) {}
+  }
+  out.push(cur.trim());
+  return out;
+}
 
-  // Fallback (iOS/older browsers)
-  return new Promise((resolve, reject) => {
+function _batchNumber(v) {
+  const t = String(v ?? "").trim().replace(",", ".");
+  if (!/^-?\d+(\.\d+)?$/.test(t)) return NaN;
+  return Number(t);
+}
+
+// Ergebnis: { rows: [{ index, name, lat, lon }], skipped }
+function parseBatchInput(text) {
+  const lines = String(text || "").split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) return { rows: [], skipped: 0 };
+
+  // Trenner: Tab > Semikolon > Komma (Komma nur, wenn kein Semikolon vorkommt – Dezimalkomma)
+  const sample = lines.slice(0, 5).join("\n");
+  const delim = sample.includes("\t") ? "\t" : (sample.includes(";") ? ";" : ",");
+
+  let latCol = -1, lonCol = -1, nameCol = -1;
+  const head = _batchSplit(lines[0], delim).map((h) => h.toLowerCase());
+  const find = (keys) => head.findIndex((h) => keys.includes(h));
+  const hasHeader = head.every((h) => !Number.isFinite(_batchNumber(h)));
+  if (hasHeader) {
+    latCol = find(["lat", "latitude", "breite", "breitengrad", "y"]);
+    lonCol = find(["lon", "lng", "long", "longitude", "länge", "laenge", "längengrad", "x"]);
+    nameCol = find(["name", "spot", "ort", "bezeichnung", "titel", "title"]);
+  }
+
+  const rows = [];
+  let skipped = 0;
+  for (const line of lines.slice(hasHeader ? 1 : 0)) {
+    const cells = _batchSplit(line, delim);
+    let lat = NaN, lon = NaN, name = "";
+    if (latCol >= 0 && lonCol >= 0) {
+      lat = _batchNumber(cells[latCol]);
+      lon = _batchNumber(cells[lonCol]);
+      name = nameCol >= 0 ? (cells[nameCol] || "") : "";
+    } else {
+      // ohne Kopfzeile: die ersten zwei Zahlen = lat, lon; übrige Texte = Name
+      const nums = [];
+      const texts = [];
+      for (const c of cells) {
+        const n = _batchNumber(c);
+        if (Number.isFinite(n) && nums.length < 2) nums.push(n);
+        else if (c) texts.push(c);
+      }
+      [lat, lon] = nums;
+      name = texts.join(" ");
+    }
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) { skipped++; continue; }
+    if (rows.length >= BATCH_MAX_ROWS) { skipped++; continue; }
+    rows.push({ index: rows.length + 1, name, lat, lon });
+  }
+  return { rows, skipped };
+}
+
+// Kleiner Worker-Pool: fn(item, i) für alle Items, höchstens `limit` gleichzeitig
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try { results[i] = { ok: true, value: await fn(items[i], i) }; }
+      catch (e) { results[i] = { ok: false, error: e }; }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+function batchCellValue(row, key) {
+  const r = row.result;
+  switch (key) {
+    case "index": return row.index;
+    case "name": return row.name || "";
+    case "coords": return `${fmt(row.lat)}, ${fmt(row.lon)}`;
+    case "verdict": return r ? r.verdict : (row.status || "");
+    case "zone": return r ? (r.zoneNames.length ? r.zoneNames.join(", ") : (r.zoneLabel !== "—" ? r.zoneLabel : "")) : "";
+    case "airport": return r && r.airport ? `${r.airport.name} (${fmtDistance(r.airport.distanceM)})` : "";
+    case "confidence": return r ? r.confidence : "";
+    default: return "";
+  }
+}
+
+function batchSortValue(row, key) {
+  if (key === "verdict") return row.result ? SEVERITY_RANK[row.result.kind] : -1;
+  if (key === "airport") return row.result && row.result.airport ? row.result.airport.distanceM : Infinity;
+  if (key === "confidence") return row.result ? ({ hoch: 0, mittel: 1, niedrig: 2 }[row.result.confidence] ?? 3) : 4;
+  if (key === "index") return row.index;
+  return String(batchCellValue(row, key)).toLowerCase();
+}
+
+function batchSortedRows() {
+  const { key, dir } = batchSort;
+  return batchRows.slice().sort((a, b) => {
+    const va = batchSortValue(a, key), vb = batchSortValue(b, key);
+    if (va < vb) return -dir;
+    if (va > vb) return dir;
+    return a.index - b.index;
+  });
+}
+
+function batchEnsureUI() {
+  if (document.getElementById("batchBox")) return;
+
+  const box = createPanel("batch", "Stapelprüfung (CSV / Liste)", `
+    <textarea id="batchText" rows="5" placeholder="name;lat;lon&#10;Kirkjufell;64.9420;-23.3070&#10;Seljalandsfoss;63.6156;-19.9886"
+      style="width:100%; box-sizing:border-box; border-radius:12px; border:1px solid rgba(255,255,255,.18); background:rgba(0,0,0,.25); color:#fff; padding:10px; font-size:14px;"></textarea>
+    <input id="batchFile" type="file" accept=".csv,.txt,text/csv,text/plain" style="margin-top:8px; max-width:100%;" />
+    <div class="btnrow">
+      <button id="btnBatchRun" type="button">Alle prüfen</button>
+      <button id="btnBatchExport" type="button">CSV exportieren</button>
+    </div>
+    <div id="batchStatus" style="margin-top:8px; opacity:.8; font-size:12px;">Max. ${BATCH_MAX_ROWS} Zeilen, ${BATCH_CONCURRENCY} Abfragen gleichzeitig.</div>
+    <div id="batchTable" style="margin-top:8px; overflow-x:auto;"></div>
+  `);
+
+  const anchor = document.getElementById("routeBox") || document.getElementById("areaBox") || document.querySelector(".mapwrap") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
+
+  const file = document.getElementById("batchFile");
+  if (file) file.addEventListener("change", async () => {
+    const f = file.files && file.files[0];
+    if (!f) return;
     try {
-      const ta = document.createElement("textarea");
-      ta.value = t;
-      ta.setAttribute("readonly", "");
-      ta.style.position = "fixed";
-      ta.style.top = "-1000px";
-      ta.style.left = "-1000px";
-      ta.style.opacity = "0";
-      document.body.appendChild(ta);
-      ta.select();
-      ta.setSelectionRange(0, ta.value.length);
-      const ok = document.execCommand("copy");
-      document.body.removeChild(ta);
-      ok ? resolve() : reject(new Error("execCommand failed"));
-    } catch (e) {
-      reject(e);
+      const t = document.getElementById("batchText");
+      if (t) t.value = await f.text();
+    } catch (_) {}
+  });
+  const bRun = document.getElementById("btnBatchRun");
+  const bExp = document.getElementById("btnBatchExport");
+  if (bRun) bRun.addEventListener("click", batchRun);
+  if (bExp) bExp.addEventListener("click", batchExportCsv);
+
+  const table = document.getElementById("batchTable");
+  if (table) table.addEventListener("click", (e) => {
+    const th = e.target && e.target.closest ? e.target.closest("[data-batch-sort]") : null;
+    if (th) {
+      const key = th.getAttribute("data-batch-sort");
+      batchSort = { key, dir: batchSort.key === key ? -batchSort.dir : 1 };
+      batchRenderTable();
+      return;
+    }
+    const tr = e.target && e.target.closest ? e.target.closest("[data-batch-row]") : null;
+    if (tr) {
+      const row = batchRows.find((r) => String(r.index) === tr.getAttribute("data-batch-row"));
+      if (row) {
+        setMode("manual");
+        setInputs(row.lat, row.lon);
+        updateMap(row.lat, row.lon, "manuell");
+        if (row.result) renderVerdict(row.result);
+      }
     }
   });
 }
 
-let _copyBtnLastTs = 0;
-function _copyBtnHandle(ev) {
+function batchRenderTable() {
+  const el = document.getElementById("batchTable");
+  if (!el) return;
+  if (!batchRows.length) { el.innerHTML = ""; return; }
+
+  const arrow = (key) => (batchSort.key === key ? (batchSort.dir > 0 ? " ▲" : " ▼") : "");
+  const head = BATCH_COLUMNS.map((c) => `<th data-batch-sort="${c.key}" style="text-align:left; padding:4px 6px; cursor:pointer; white-space:nowrap;">${c.label}${arrow(c.key)}</th>`).join("");
+  const body = batchSortedRows().map((row) => {
+    const kind = row.result ? row.result.kind : null;
+    const cells = BATCH_COLUMNS.map((c) => {
+      const v = escapeHtml(String(batchCellValue(row, c.key)));
+      const style = c.key === "verdict" && kind ? ` style="padding:4px 6px; font-weight:800; color:${SEVERITY_COLOR[kind]}"` : ` style="padding:4px 6px;"`;
+      return `<td${style}>${v}</td>`;
+    }).join("");
+    return `<tr data-batch-row="${row.index}" style="cursor:pointer; border-top:1px solid rgba(255,255,255,0.06);">${cells}</tr>`;
+  }).join("");
+  el.innerHTML = `<table style="width:100%; border-collapse:collapse; font-size:12px;"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function batchSetStatus(text) {
+  const el = document.getElementById("batchStatus");
+  if (el) el.textContent = text;
+}
+
+async function batchRun() {
+  const t = document.getElementById("batchText");
+  const { rows, skipped } = parseBatchInput(t ? t.value : "");
+  if (!rows.length) {
+    batchSetStatus("Keine gültigen Zeilen gefunden (erwartet: Name; lat; lon oder lat, lon).");
+    return null;
+  }
+
+  if (batchController) { try { batchController.abort(); } catch (_) {} }
+  batchController = new AbortController();
+  const signal = batchController.signal;
+  const myToken = ++batchRunToken;
+
+  batchRows = rows.map((r) => ({ ...r, status: "…", result: null }));
+  batchRenderTable();
+
+  let done = 0;
+  const profile = activeProfile;
+  const plannedAltitudeM = readPlannedAltitude();
+  await mapWithConcurrency(batchRows, BATCH_CONCURRENCY, async (row) => {
+    if (myToken !== batchRunToken) return null;
+    if (ENFORCE_ICELAND_ONLY && !isInsideIceland(row.lat, row.lon)) {
+      row.status = "außerhalb Islands";
+    } else {
+      try {
+        row.result = await evaluateLocation(row.lat, row.lon, { signal, profile, plannedAltitudeM });
+      } catch (e) {
+        if (e?.name === "AbortError") return null;
+        row.status = `Fehler: ${e.message}`;
+      }
+    }
+    done++;
+    if (myToken === batchRunToken) {
+      batchSetStatus(`${done}/${batchRows.length} geprüft${skipped ? ` · ${skipped} Zeile(n) übersprungen` : ""}`);
+      batchRenderTable();
+    }
+    return row.result;
+  });
+  if (myToken !== batchRunToken) return null;
+
+  const counts = {};
+  for (const r of batchRows) if (r.result) counts[r.result.verdict] = (counts[r.result.verdict] || 0) + 1;
+  const summary = Object.entries(counts).map(([k, n]) => `${n}× ${k}`).join(", ");
+  batchSetStatus(`Fertig: ${batchRows.length} Zeilen${summary ? ` (${summary})` : ""}${skipped ? ` · ${skipped} übersprungen` : ""}. Profil: ${profile.label}.`);
+  return batchRows;
+}
+
+// Texte, die mit = + - @ (oder Tab/CR) beginnen, würden Excel/LibreOffice als Formel ausführen -> mit ' entschärfen.
+// Zahlen (z.B. negative Längengrade) bleiben unverändert.
+function _csvCell(v) {
+  let t = String(v ?? "");
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(t)) t = `'${t}`;
+  return /[";\n\r]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+}
+
+function batchToCsv(rows = batchSortedRows()) {
+  const header = ["name", "lat", "lon", "ampel", "zone", "flugplatz", "flugplatz_abstand_m", "vertrauen", "detail"];
+  const lines = [header.join(";")];
+  for (const row of rows) {
+    const r = row.result;
+    lines.push([
+      row.name,
+      row.lat,
+      row.lon,
+      r ? r.verdict : row.status,
+      batchCellValue(row, "zone"),
+      r && r.airport ? r.airport.name : "",
+      r && r.airport ? Math.round(r.airport.distanceM) : "",
+      r ? r.confidence : "",
+      r ? r.detail : "",
+    ].map(_csvCell).join(";"));
+  }
+  return lines.join("\r\n");
+}
+
+function batchExportCsv() {
+  if (!batchRows.length) {
+    batchSetStatus("Nichts zu exportieren – erst „Alle prüfen“.");
+    return;
+  }
   try {
-    const t = Date.now();
-    if (t - _copyBtnLastTs < 700) return; // guard double-trigger (touch + click)
-    const target = ev && ev.target;
-    if (!target || !target.closest) return;
-    const btn = target.closest(".copy-btn");
-    if (!btn) return;
+    // BOM, damit Excel Umlaute/Isländisch korrekt liest
+    const blob = new Blob(["﻿" + batchToCsv()], { type: "text/csv;charset=utf-8" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `drone-ampel-stapel-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { try { URL.revokeObjectURL(a.href); a.remove(); } catch (_) {} }, 1000);
+  } catch (e) {
+    batchSetStatus(`Export fehlgeschlagen: ${e.message}`);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try { batchEnsureUI(); } catch (_) {}
+});
+
+
+// =============================
+// QUELLEN-STATUS – Panel zum Health-Monitor (healthState)
+// Letzter Erfolg, Latenz, Fehlerquote, funktionierendes Format je Quelle + Diagnose
+// =============================
+const HEALTH_REFRESH_MS = 30_000;
+
+function healthEnsureUI() {
+  if (document.getElementById("healthBox")) return;
+
+  const box = createPanel("health", "Quellen-Status", `
+    <div id="healthDiagnosis" style="font-weight:600;">—</div>
+    <div id="healthTable" style="margin-top:8px; overflow-x:auto;"></div>
+    <div id="healthServices" style="margin-top:8px; font-size:12px; line-height:1.35;"></div>
+    <div class="btnrow">
+      <button id="btnHealthReset" type="button">Statistik zurücksetzen</button>
+    </div>
+    <div style="margin-top:6px; opacity:.65; font-size:12px; line-height:1.25;">
+      Fehlerquote über die letzten ${HEALTH_WINDOW} Abfragen. Scheitern alle Quellen gleichzeitig, liegt es meist an der eigenen Verbindung.
+    </div>
+  `, { open: false });
+
+  const anchor = document.getElementById("batchBox") || document.getElementById("routeBox") || document.querySelector(".mapwrap") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
+
+  const reset = document.getElementById("btnHealthReset");
+  if (reset) reset.addEventListener("click", healthReset);
+}
+
+function healthRender() {
+  const diagEl = document.getElementById("healthDiagnosis");
+  const tableEl = document.getElementById("healthTable");
+  if (!diagEl || !tableEl) return;
+
+  const diag = healthDiagnosis();
+  diagEl.textContent = diag.text;
+  diagEl.style.color = diag.kind === "info" ? "inherit" : SEVERITY_COLOR[diag.kind];
+
+  const dot = { ok: SEVERITY_COLOR.ok, err: SEVERITY_COLOR.no, unknown: "rgba(255,255,255,.35)" };
+  const cell = (v) => `<td style="padding:4px 6px; white-space:nowrap;">${v}</td>`;
+  const rows = HEALTH_SOURCES.map((h) => {
+    const e = healthState[h.id];
+    const status = healthStatus(e);
+    const rate = healthErrorRate(e);
+    const title = e && e.lastError ? ` title="Letzter Fehler ${escapeHtml(fmtAgo(e.lastErrorTs))}: ${escapeHtml(e.lastError)}"` : "";
+    return `<tr style="border-top:1px solid rgba(255,255,255,0.06);">`
+      + `<td style="padding:4px 6px; white-space:nowrap;"${title}><span style="color:${dot[status]};">●</span> ${escapeHtml(h.label)}</td>`
+      + cell(e && e.lastSuccessTs ? escapeHtml(fmtAgo(e.lastSuccessTs)) : "—")
+      + cell(e && e.latencyMs != null ? `${e.latencyMs} ms${e.avgLatencyMs != null ? ` (Ø ${e.avgLatencyMs})` : ""}` : "—")
+      + cell(rate == null ? "—" : `${Math.round(rate * 100)} % (${e.recent.length})`)
+      + cell(e && e.lastFormat ? escapeHtml(HEALTH_FORMAT_LABEL[e.lastFormat] || e.lastFormat) : "—")
+      + `</tr>`;
+  }).join("");
+
+  const head = ["Quelle", "Letzter Erfolg", "Latenz", "Fehlerquote", "Format"]
+    .map((t) => `<th style="text-align:left; padding:4px 6px; white-space:nowrap;">${t}</th>`).join("");
+  tableEl.innerHTML = `<table style="width:100%; border-collapse:collapse; font-size:12px;"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+
+  const servicesEl = document.getElementById("healthServices");
+  if (servicesEl) servicesEl.innerHTML = RULE_SOURCES.filter((src) => src.kind === "wms").map(healthServiceLine).join("");
+}
+
+// Ergebnis der Dienst-Erkennung (GetCapabilities) je Regel-Quelle
+function healthServiceLine(src) {
+  const d = src.discovery;
+  const label = `<b>${escapeHtml(src.label)}</b>`;
+  if (!d) return `<div>${label}: Dienst-Erkennung läuft…</div>`;
+  if (d.missing) {
+    return `<div style="color:${SEVERITY_COLOR.no}; font-weight:600;">⚠ ${label}: Layer „${escapeHtml(src.layer)}“ fehlt im Dienst `
+      + `(${d.layerCount} andere Layer gemeldet) – Abfragen dieser Quelle schlagen fehl.</div>`;
+  }
+  if (!d.ok) {
+    return `<div style="opacity:.75;">${label}: GetCapabilities nicht verfügbar${d.error ? ` (${escapeHtml(d.error)})` : ""} – nutze konfigurierte Formate.</div>`;
+  }
+  const parts = [];
+  if (d.title) parts.push(`„${escapeHtml(d.title)}“`);
+  parts.push("Formate: " + d.formats.map((f) => escapeHtml(HEALTH_FORMAT_LABEL[/json/i.test(f) ? "json" : (/xml|gml/i.test(f) ? "xml" : "text")] || f)).join(", "));
+  if (d.bbox) parts.push(`BBox ${d.bbox.minLat.toFixed(1)}–${d.bbox.maxLat.toFixed(1)}°N, ${d.bbox.minLon.toFixed(1)}–${d.bbox.maxLon.toFixed(1)}°E`);
+  if (d.time) parts.push(`TIME: ${escapeHtml(d.time.default || d.time.values || "ja")}`);
+  return `<div>${label}: ${parts.join(" · ")}</div>`;
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try {
+    healthEnsureUI();
+    healthRender();
+    setInterval(() => { try { healthRender(); } catch (_) {} }, HEALTH_REFRESH_MS);
+    window.addEventListener("online", healthRender);
+    window.addEventListener("offline", healthRender);
+  } catch (_) {}
+});
+
+
+// =============================
+// OFFLINE-KARTEN – Kartenpakete wählen, laden, verwalten (siehe tilePackDownload)
+// Rechteck per zwei Klicks oder aktueller Ausschnitt; Zoom-Bereich mit Größenschätzung vor dem Download.
+// =============================
+let tilePackBounds = null;   // { minLat, minLon, maxLat, maxLon }
+let tilePackCorner = null;   // erste Ecke beim Aufziehen
+let tilePackRect = null;     // L.rectangle der Auswahl
+let tilePackController = null;
+
+function tilePackEnsureUI() {
+  if (document.getElementById("tilePackBox")) return;
+
+  const box = createPanel("tilepacks", "Offline-Karten", `
+    <div class="btnrow">
+      <button id="btnTilePackPick" type="button">Rechteck auf Karte wählen</button>
+      <button id="btnTilePackView" type="button">Aktueller Ausschnitt</button>
+    </div>
+    <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap; margin-top:6px;">
+      <label>Zoom von <input id="tilePackMinZoom" type="number" min="1" max="${TILE_PACK_MAX_ZOOM}" value="8" style="width:60px;" /></label>
+      <label>bis <input id="tilePackMaxZoom" type="number" min="1" max="${TILE_PACK_MAX_ZOOM}" value="13" style="width:60px;" /></label>
+      <input id="tilePackName" type="text" placeholder="Name (z. B. Snæfellsnes)" style="flex:1; min-width:140px;" />
+    </div>
+    <div id="tilePackEstimate" style="margin-top:6px; font-weight:600;">Noch kein Bereich gewählt.</div>
+    <div class="btnrow">
+      <button id="btnTilePackDownload" type="button" disabled>Herunterladen</button>
+      <button id="btnTilePackCancel" type="button" disabled>Abbrechen</button>
+    </div>
+    <div id="tilePackProgress" style="margin-top:4px; font-size:12px; opacity:.85;"></div>
+    <div id="tilePackList" style="margin-top:8px; font-size:12px;"></div>
+    <div style="margin-top:6px; opacity:.65; font-size:12px; line-height:1.25;">
+      ${TILE_PACK_SOURCE
+        ? `Kacheln von ${escapeHtml(TILE_PACK_SOURCE.label || "")} ersetzen offline die OSM-Basiskarte (andere Basiskarten fallen darauf zurück), max. ${TILE_PACK_MAX_TILES} pro Paket und Zoom ${TILE_PACK_MAX_ZOOM}.`
+        : "Nicht eingerichtet: OpenStreetMap erlaubt kein Herunterladen von Kachelpaketen. Offline-Pakete brauchen einen Kachel-Dienst, der das ausdrücklich gestattet."}
+      Nur die Basiskarte ist offline – Zonen- und Wetterdaten brauchen weiterhin Verbindung oder Cache.
+    </div>
+  `, { boxId: "tilePackBox", open: false });
+
+  const anchor = document.getElementById("healthBox") || document.getElementById("batchBox") || document.querySelector(".mapwrap") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
+
+  document.getElementById("btnTilePackPick").addEventListener("click", tilePackStartPick);
+  document.getElementById("btnTilePackView").addEventListener("click", () => {
+    if (!map) return;
+    const b = map.getBounds();
+    tilePackSetBounds({ minLat: b.getSouth(), minLon: b.getWest(), maxLat: b.getNorth(), maxLon: b.getEast() });
+  });
+  document.getElementById("tilePackMinZoom").addEventListener("input", tilePackRenderEstimate);
+  document.getElementById("tilePackMaxZoom").addEventListener("input", tilePackRenderEstimate);
+  document.getElementById("btnTilePackDownload").addEventListener("click", tilePackStartDownload);
+  document.getElementById("btnTilePackCancel").addEventListener("click", () => {
+    if (tilePackController) tilePackController.abort();
+  });
+}
 
-    _copyBtnLastTs = t;
+function tilePackOnMapClick(e) {
+  const { lat, lng } = e.latlng;
+  if (!tilePackCorner) {
+    tilePackCorner = { lat, lon: lng };
+    tilePackSetEstimateText("Zweite Ecke in die Karte klicken.");
+    return true;
+  }
+  const a = tilePackCorner;
+  tilePackStopPick();
+  tilePackSetBounds({ minLat: Math.min(a.lat, lat), minLon: Math.min(a.lon, lng), maxLat: Math.max(a.lat, lat), maxLon: Math.max(a.lon, lng) });
+  return true;
+}
 
-    if (ev.preventDefault) ev.preventDefault();
-    if (ev.stopPropagation) ev.stopPropagation();
-    if (ev.stopImmediatePropagation) ev.stopImmediatePropagation();
+function tilePackStartPick() {
+  initMap();
+  try { areaStopDrawing(); } catch (_) {}
+  try { routeStopDrawing(); } catch (_) {}
+  tilePackCorner = null;
+  mapClickInterceptor = tilePackOnMapClick;
+  tilePackSetEstimateText("Erste Ecke des Rechtecks in die Karte klicken.");
+}
 
-    const coords = btn.getAttribute("data-coords") || "";
-    const before = btn.textContent;
-    _copyTextToClipboard(coords).then(() => {
-      try {
-        btn.textContent = "Kopiert ✓";
-        setTimeout(() => { try { btn.textContent = before; } catch (_) {} }, 1200);
-      } catch (_) {}
-    }).catch(() => {
-      // leise bleiben – kein Popup-Spam
-      try {
-        btn.textContent = "Nicht kopiert";
-        setTimeout(() => { try { btn.textContent = before; } catch (_) {} }, 1200);
-      } catch (_) {}
-    });
-  } catch (_) {}
+function tilePackStopPick() {
+  tilePackCorner = null;
+  if (mapClickInterceptor === tilePackOnMapClick) mapClickInterceptor = null;
 }
 
-document.addEventListener("click", _copyBtnHandle, true);
-document.addEventListener("touchend", _copyBtnHandle, { capture: true, passive: false });
+function tilePackSetBounds(bounds) {
+  tilePackBounds = bounds;
+  try { if (tilePackRect) map.removeLayer(tilePackRect); } catch (_) {}
+  tilePackRect = null;
+  if (map && bounds) {
+    tilePackRect = L.rectangle([[bounds.minLat, bounds.minLon], [bounds.maxLat, bounds.maxLon]], {
+      color: "#7fb2ff", weight: 2, dashArray: "6 4", fillOpacity: 0.06, interactive: false,
+    }).addTo(map);
+  }
+  tilePackRenderEstimate();
+}
+
+function tilePackSetEstimateText(text) {
+  const el = document.getElementById("tilePackEstimate");
+  if (el) el.textContent = text;
+}
+
+function tilePackReadZooms() {
+  const read = (id, d) => {
+    const n = Math.round(Number(document.getElementById(id)?.value));
+    return Number.isFinite(n) ? Math.max(1, Math.min(TILE_PACK_MAX_ZOOM, n)) : d;
+  };
+  const a = read("tilePackMinZoom", 8);
+  const b = read("tilePackMaxZoom", 13);
+  return { minZoom: Math.min(a, b), maxZoom: Math.max(a, b) };
+}
 
+function fmtBytes(n) {
+  if (!Number.isFinite(n)) return "—";
+  if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
 
+// Kachelzahl und Größe schätzen; Download nur innerhalb der Grenzen freigeben
+function tilePackRenderEstimate() {
+  const btn = document.getElementById("btnTilePackDownload");
+  if (!tilePackBounds) {
+    if (btn) btn.disabled = true;
+    return;
+  }
+  const { minZoom, maxZoom } = tilePackReadZooms();
+  const tiles = tilePackCount(tilePackBounds, minZoom, maxZoom);
+  const tooMany = tiles > TILE_PACK_MAX_TILES;
+  tilePackSetEstimateText(`Zoom ${minZoom}–${maxZoom}: ${tiles.toLocaleString("de-DE")} Kacheln, ca. ${fmtBytes(tiles * TILE_PACK_AVG_BYTES)}`
+    + (tooMany ? ` – zu viele (max. ${TILE_PACK_MAX_TILES}), Bereich oder Zoom verkleinern.` : ""));
+  if (btn) btn.disabled = tooMany || !!tilePackController || !TILE_PACK_SOURCE || typeof caches === "undefined";
+}
+
+async function tilePackStartDownload() {
+  if (!tilePackBounds || tilePackController || !TILE_PACK_SOURCE) return;
+  if (typeof caches === "undefined") {
+    tilePackSetEstimateText("Cache Storage ist in diesem Browser nicht verfügbar.");
+    return;
+  }
+  const { minZoom, maxZoom } = tilePackReadZooms();
+  const tiles = tilePackCount(tilePackBounds, minZoom, maxZoom);
+  if (tiles > TILE_PACK_MAX_TILES) return;
+
+  const nameEl = document.getElementById("tilePackName");
+  const pack = {
+    id: `tp_${Date.now().toString(36)}`,
+    name: (nameEl && nameEl.value.trim()) || `Paket ${fmt(tilePackBounds.minLat)}, ${fmt(tilePackBounds.minLon)}`,
+    bounds: { ...tilePackBounds },
+    minZoom,
+    maxZoom,
+    tiles,
+    saved: 0,
+    failed: 0,
+    bytes: 0,
+    ts: Date.now(),
+    complete: false,
+  };
+  // sofort eintragen: auch ein abgebrochenes Paket liefert schon geladene Kacheln
+  tilePacks.push(pack);
+  tilePacksSave();
+  await tilePackRun(pack);
+}
+
+// Lädt (oder ergänzt) ein Paket; bereits gespeicherte Kacheln werden nur gezählt
+async function tilePackRun(pack) {
+  if (tilePackController) return;
+  pack.saved = 0;
+  pack.failed = 0;
+  pack.bytes = 0;
+  tilePackRenderList();
+
+  tilePackController = new AbortController();
+  const progressEl = document.getElementById("tilePackProgress");
+  const cancelBtn = document.getElementById("btnTilePackCancel");
+  if (cancelBtn) cancelBtn.disabled = false;
+  tilePackRenderEstimate();
+
+  let lastRender = 0;
+  const onProgress = (p) => {
+    const now = Date.now();
+    if (now - lastRender < 250 && p.saved + p.failed < p.tiles) return;
+    lastRender = now;
+    if (progressEl) progressEl.textContent = `${p.saved + p.failed} / ${p.tiles} Kacheln · ${fmtBytes(p.bytes)}${p.failed ? ` · ${p.failed} fehlgeschlagen` : ""}`;
+  };
 
+  let note = "";
+  try {
+    await tilePackDownload(pack, tilePackController.signal, onProgress);
+    note = pack.complete ? `„${pack.name}“ gespeichert (${fmtBytes(pack.bytes)}).` : `„${pack.name}“ unvollständig: ${pack.failed} Kacheln fehlgeschlagen – „Nachladen“ ergänzt nur fehlende.`;
+  } catch (e) {
+    note = e?.name === "AbortError" ? `„${pack.name}“ abgebrochen (${pack.saved} von ${pack.tiles} Kacheln gespeichert).` : `Fehler: ${e.message || e}`;
+  } finally {
+    tilePackController = null;
+    if (cancelBtn) cancelBtn.disabled = true;
+    tilePacksSave();
+    if (progressEl) progressEl.textContent = note;
+    tilePackRenderEstimate();
+    tilePackRenderList();
+  }
+}
 
-// openInMaps is used by the popup button handler onclick
-try { window.openInMaps = openInMaps; } catch (_) {}
+function tilePackRenderList() {
+  const el = document.getElementById("tilePackList");
+  if (!el) return;
+  if (!tilePacks.length) {
+    el.innerHTML = `<div style="opacity:.7;">Keine Offline-Pakete gespeichert.</div>`;
+    return;
+  }
+  const total = tilePacks.reduce((n, p) => n + (p.bytes || 0), 0);
+  el.innerHTML = `<div style="font-weight:600; margin-bottom:4px;">Gespeicherte Pakete (${fmtBytes(total)})</div>`
+    + tilePacks.map((p) => `
+      <div style="display:flex; align-items:center; gap:6px; flex-wrap:wrap; padding:4px 0; border-top:1px solid rgba(255,255,255,0.06);">
+        <div style="flex:1; min-width:160px;">
+          <b>${escapeHtml(p.name)}</b>${p.complete ? "" : ` <span style="color:${SEVERITY_COLOR.warn};">(unvollständig)</span>`}
+          <div style="opacity:.7;">Zoom ${p.minZoom}–${p.maxZoom} · ${p.saved}/${p.tiles} Kacheln · ${fmtBytes(p.bytes)} · ${escapeHtml(fmtAgo(p.ts))}</div>
+        </div>
+        ${p.complete ? "" : `<button type="button" data-tilepack-resume="${escapeHtml(p.id)}">Nachladen</button>`}
+        <button type="button" data-tilepack-show="${escapeHtml(p.id)}">Zeigen</button>
+        <button type="button" data-tilepack-delete="${escapeHtml(p.id)}">Löschen</button>
+      </div>`).join("");
+
+  el.querySelectorAll("[data-tilepack-show]").forEach((b) => b.addEventListener("click", () => {
+    const p = tilePacks.find((x) => x.id === b.getAttribute("data-tilepack-show"));
+    if (!p || !map) return;
+    tilePackSetBounds({ ...p.bounds });
+    try { map.fitBounds([[p.bounds.minLat, p.bounds.minLon], [p.bounds.maxLat, p.bounds.maxLon]]); } catch (_) {}
+  }));
+  el.querySelectorAll("[data-tilepack-resume]").forEach((b) => b.addEventListener("click", () => {
+    const p = tilePacks.find((x) => x.id === b.getAttribute("data-tilepack-resume"));
+    if (p) tilePackRun(p);
+  }));
+  el.querySelectorAll("[data-tilepack-delete]").forEach((b) => b.addEventListener("click", async () => {
+    const id = b.getAttribute("data-tilepack-delete");
+    const p = tilePacks.find((x) => x.id === id);
+    if (!p || tilePackController) return;
+    if (!confirm(`Offline-Paket „${p.name}“ löschen?`)) return;
+    b.disabled = true;
+    try { await tilePackDelete(id); } catch (_) {}
+    tilePackRenderList();
+  }));
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try {
+    tilePackEnsureUI();
+    tilePackRenderList();
+  } catch (_) {}
+});
 
 
 // =============================
-// Wire buttons (safe)
+// LEGENDE – je aktivem Overlay: eigene Vektor-Farben + GetLegendGraphic des WMS
+// Aktualisiert über overlaysChanged() (Toggle, Vektor/Raster-Wechsel). Legendenbilder haben meist
+// dunkle Schrift auf transparentem Grund – daher auf heller Karte statt direkt auf dem dunklen Panel.
 // =============================
-if (btnManual) btnManual.addEventListener("click", checkManual);
-if (btnGps)    btnGps.addEventListener("click", checkGps);
-if (btnNow)    btnNow.addEventListener("click", checkCurrentMode);
+function buildLegendUrl(src) {
+  if (src.discovery && src.discovery.legendUrl) return src.discovery.legendUrl;
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    VERSION: "1.3.0",
+    REQUEST: "GetLegendGraphic",
+    FORMAT: "image/png",
+    LAYER: src.layer,
+    SLD_VERSION: "1.1.0",
+  });
+  const url = `${src.baseUrl}?${params.toString()}`;
+  return PROXY ? PROXY + encodeURIComponent(url) : url;
+}
 
-if (btnOverlayAvi)  btnOverlayAvi.addEventListener("click", toggleAviationOverlay);
-if (btnOverlayProt) btnOverlayProt.addEventListener("click", toggleProtectedOverlay);
+// Vektor-Arten, die eine Quelle zeichnen kann (siehe zoneVectorKind)
+function legendVectorKinds(src) {
+  return typeof src.featureInfo === "function" ? ["prohibited", "restricted", "height", "context"] : [zoneVectorKind(src, {})];
+}
 
-if (overlayOpacity) {
-  const v = Number(overlayOpacity.value);
-  if (Number.isFinite(v)) overlayOpacityValue = Math.max(0, Math.min(1, v));
-  overlayOpacity.addEventListener("input", (e) => {
-    const nv = Number(e.target.value);
-    if (Number.isFinite(nv)) setOverlayOpacity(nv);
-  });
+function legendEnsureUI() {
+  if (document.getElementById("legendBox")) return;
+
+  const box = createPanel("legend", "Legende", `
+    <div id="legendEmpty" style="opacity:.7; font-size:12px;">Kein Overlay aktiv – „Aviation-Kontext“ oder „Schutzgebiete“ einschalten.</div>
+    <div id="legendBody"></div>
+  `);
+
+  const opacityField = overlayOpacity && overlayOpacity.closest ? overlayOpacity.closest(".field") : null;
+  const anchor = opacityField || document.querySelector(".mapwrap") || document.body;
+  anchor.parentNode.insertBefore(box, anchor.nextSibling);
 }
 
-if (expertToggle) {
-  expertMode = !!expertToggle.checked;
-  expertToggle.addEventListener("change", () => {
-    expertMode = !!expertToggle.checked;
-    updateExpertPill();
+function legendBuildItem(src) {
+  const item = document.createElement("div");
+  item.setAttribute("data-legend-id", src.id);
+  item.style.marginTop = "6px";
+  item.style.fontSize = "12px";
+
+  const swatches = legendVectorKinds(src).map((kind) => {
+    const k = ZONE_VECTOR_KINDS[kind];
+    return `<div style="display:flex; align-items:center; gap:6px; margin:2px 0;">`
+      + `<span style="display:inline-block; width:18px; height:12px; border:2px ${k.dashArray ? "dashed" : "solid"} ${k.color}; background:${k.color}; background-clip:padding-box; opacity:.85;"></span>`
+      + `${escapeHtml(k.label)}</div>`;
+  }).join("");
+
+  item.innerHTML = `
+    <div style="font-weight:600;">${escapeHtml(src.label)} <span data-legend-mode style="opacity:.7; font-weight:400;"></span></div>
+    <div data-legend-vector>${swatches}</div>
+    <div data-legend-wms style="margin-top:4px;">
+      <div style="opacity:.7;">Legende des Dienstes (Raster-Darstellung):</div>
+      <div data-legend-card style="display:inline-block; max-width:100%; margin-top:2px; padding:6px; border-radius:8px; background:#fff;">
+        <img alt="Legende ${escapeHtml(src.label)}" style="display:block; max-width:100%; height:auto;" />
+      </div>
+      <div data-legend-error style="display:none; opacity:.7;">Legende vom Server nicht verfügbar.</div>
+    </div>
+  `;
+
+  const img = item.querySelector("img");
+  img.addEventListener("error", () => {
+    item.querySelector("[data-legend-card]").style.display = "none";
+    item.querySelector("[data-legend-error]").style.display = "";
   });
+  img.src = buildLegendUrl(src);
+  return item;
 }
 
-// =============================
-// Start
-// =============================
-initMap();
-setMode("gps");
-updateExpertPill();
-updateOverlayPill();
-setState("warn", "—", "Bereit. Nutze GPS oder gib Koordinaten ein.");
+function legendRender() {
+  const body = document.getElementById("legendBody");
+  const empty = document.getElementById("legendEmpty");
+  if (!body) return;
+
+  const MODE_LABEL = { vector: "Vektor", raster: "Raster" };
+  let any = false;
+  for (const src of RULE_SOURCES) {
+    let item = body.querySelector(`[data-legend-id="${src.id}"]`);
+    if (!zoneOverlayIsOn(src.id)) {
+      if (item) item.style.display = "none";
+      continue;
+    }
+    any = true;
+    if (!item) {
+      item = legendBuildItem(src);
+      body.appendChild(item);
+    }
+    item.style.display = "";
+    const mode = (zoneOverlayState.get(src.id) || {}).mode;
+    item.querySelector("[data-legend-mode]").textContent = mode ? `(${MODE_LABEL[mode]})` : "";
+    // Vektor-Farben nur, solange die Quelle als Vektor gezeichnet wird
+    item.querySelector("[data-legend-vector]").style.display = mode === "vector" ? "" : "none";
+  }
+  if (empty) empty.style.display = any ? "none" : "";
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  try {
+    legendEnsureUI();
+    legendRender();
+  } catch (_) {}
+});
 
 
 // =============================
@@ -1317,35 +5962,14 @@ let windHooksInstalled = false;
 function windEnsureUI() {
   if (document.getElementById("windBox")) return;
 
-  const box = document.createElement("div");
-  box.id = "windBox";
-  box.setAttribute("data-panel-id", "wind");
-  box.setAttribute("data-panel-collapsible", "1");
-  box.style.marginTop = "10px";
-  box.style.padding = "10px";
-  box.style.borderRadius = "10px";
-  box.style.border = "1px solid rgba(255,255,255,0.08)";
-  box.style.background = "rgba(0,0,0,0.25)";
-  box.style.color = "inherit";
-
-  box.innerHTML = `
-    <div style="display:flex; align-items:center; justify-content:space-between; gap:10px; margin-bottom:6px;">
-      <div style="font-weight:700;">Wind am Standort</div>
-      <button type="button" data-panel-toggle="wind" aria-label="Wind Panel ein/ausklappen">▾</button>
-    </div>
-
-    <div data-panel-body>
-      <div id="windValues" style="opacity:.95;">—</div>
+  const box = createPanel("wind", "Wind am Standort", `
+    <div id="windValues" style="opacity:.95;">—</div>
     <div id="windDJI" style="margin-top:6px;opacity:.95;">—</div>
+    <div id="windAge" style="display:none;margin-top:4px;opacity:.75;font-size:12px;"></div>
     <div style="margin-top:6px;opacity:.65;font-size:12px;line-height:1.25;">
       Einschätzung basiert auf DJI-Referenzwerten (konservativ) & Modellwind (10 m). Lokale Effekte möglich.
     </div>
-  </div>
-  `;
-
-  if (window.__DA_PANEL__ && window.__DA_PANEL__.register) {
-    window.__DA_PANEL__.register(box, "wind", true);
-  }
+  `);
 
   const anchor = document.getElementById("detail") || document.getElementById("state") || document.body;
   anchor.parentNode.insertBefore(box, anchor.nextSibling);
@@ -1353,7 +5977,7 @@ function windEnsureUI() {
 
 function windDirFromDeg(deg) {
   const dirs = ["N","NNO","NO","ONO","O","OSO","SO","SSO","S","SSW","SW","WSW","W","WNW","NW","NNW"];
-  const d = ((deg % 360) + 360) % 360;
+  const d = ((Number(deg) % 360) + 360) % 360;
   return dirs[Math.round(d / 22.5) % 16];
 }
 
@@ -1373,13 +5997,20 @@ function windClassifyDJI(windMs, gustMs) {
   return lines.join("<br/>");
 }
 
-function windRender(current) {
+function windRender(current, meta = null) {
   windEnsureUI();
 
   const v = document.getElementById("windValues");
   const d = document.getElementById("windDJI");
   if (!v || !d) return;
 
+  const age = document.getElementById("windAge");
+  if (age) {
+    const stale = !!(meta && meta.stale && current);
+    age.style.display = stale ? "" : "none";
+    age.textContent = stale ? `${fmtDataAge(meta.ts)} – Aktualisierung läuft…` : "";
+  }
+
   if (!current) {
     v.textContent = "—";
     d.textContent = "—";
@@ -1401,7 +6032,7 @@ function windRender(current) {
   }
 }
 
-async function windFetch(lat, lon) {
+async function windFetch(lat, lon, onRevalidated = null) {
   const params = new URLSearchParams({
     latitude: lat.toFixed(4),
     longitude: lon.toFixed(4),
@@ -1410,10 +6041,13 @@ async function windFetch(lat, lon) {
     timezone: "UTC",
   });
   const url = `${WIND_API_BASE}?${params.toString()}`;
-  const res = await fetch(url, { cache: "no-cache" });
-  if (!res.ok) throw new Error(`Winddaten HTTP ${res.status}`);
-  const js = await res.json();
-  return js?.current || null;
+  // persistent gecacht (~1 km Raster); veraltete Werte kommen sofort, Erneuerung im Hintergrund
+  return cachedFetch("weather", `wind|${lat.toFixed(2)},${lon.toFixed(2)}`, async (signal) => {
+    const res = await schedFetch(url, { cache: "no-cache", signal });
+    if (!res.ok) throw new Error(`Winddaten HTTP ${res.status}`);
+    const js = await res.json();
+    return js?.current || null;
+  }, { onRevalidated });
 }
 
 async function windUpdate(lat, lon, force = false) {
@@ -1431,8 +6065,10 @@ async function windUpdate(lat, lon, force = false) {
     windLastFetchAt = now;
     windLastKey = key;
 
-    const current = await windFetch(lat, lon);
-    windRender(current);
+    const r = await windFetch(lat, lon, (current, ts) => {
+      if (windLastKey === key) windRender(current, { ts, stale: false });
+    });
+    windRender(r.value, r);
   } catch (_) {
     // leise bleiben – Wind ist Zusatz, darf die Ampel nicht blockieren
   }
@@ -1516,36 +6152,12 @@ let imoHooksInstalled = false;
 let imoLastFetchAt = 0;
 let imoLastKey = "";
 
-// Station-Cache (nur im RAM; keine Persistenz)
-let imoStationsCache = null;        // Array<Station>
-let imoStationsFetchedAt = 0;
-const IMO_STATIONS_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+// Stationsliste + Messwerte: persistenter Cache (cachedFetch, Quellen "imoStations"/"weather")
 
 function imoEnsureUI() {
   if (document.getElementById("imoBox")) return;
 
-  const box = document.createElement("div");
-  box.id = "imoBox";
-  box.setAttribute("data-panel-id", "imo");
-  box.setAttribute("data-panel-collapsible", "1");
-  box.style.marginTop = "10px";
-  box.style.padding = "10px";
-  box.style.borderRadius = "10px";
-  box.style.border = "1px solid rgba(255,255,255,0.08)";
-  box.style.background = "rgba(0,0,0,0.25)";
-  box.style.color = "inherit";
-
-  box.innerHTML = `
-    <div style="display:flex; align-items:center; justify-content:space-between; gap:10px;">
-      <div style="font-weight:700;">IMO – Now & Next</div>
-      <div style="display:flex; align-items:center; gap:8px;">
-        <div style="opacity:.65; font-size:12px;">Data: IMO / vedur.is</div>
-        <button type="button" data-panel-toggle="imo" aria-label="IMO Panel ein/ausklappen">▾</button>
-      </div>
-    </div>
-
-    <div data-panel-body>
-
+  const box = createPanel("imo", "IMO – Now & Next", `
     <div style="margin-top:6px; opacity:.75; font-size:12px; line-height:1.25;">
       IMO-Daten basieren auf Open Data der isländischen Wetterbehörde (IMO / vedur.is) und werden direkt von api.vedur.is abgerufen (ohne Speicherung, ohne Tracking).
     </div>
@@ -1561,11 +6173,7 @@ function imoEnsureUI() {
       <b>NEXT</b>: Kurztrend der letzten ~60 Minuten aus 10‑Minuten‑Messungen (kein Modell) – zeigt, ob Wind/Böen eher zunehmen oder abnehmen.<br>
       <b>ALERTS</b>: offizielle Warnungen (CAP) im Umkreis deines Standorts.
     </div>
-  `;
-
-  if (window.__DA_PANEL__ && window.__DA_PANEL__.register) {
-    window.__DA_PANEL__.register(box, "imo", true);
-  }
+  `, { headerHtml: `<div style="opacity:.65; font-size:12px;">Data: IMO / vedur.is</div>` });
 
   // Unter Wind-Box einhängen (wie im Screenshot gewünscht)
   const wind = document.getElementById("windBox");
@@ -1610,18 +6218,15 @@ function imoHaversineKm(lat1, lon1, lat2, lon2) {
 }
 
 async function imoFetchStations() {
-  const now = Date.now();
-  if (imoStationsCache && (now - imoStationsFetchedAt) < IMO_STATIONS_TTL_MS) return imoStationsCache;
-
   // AWS-Stationen (Automatic stations = sj), aktiv
   const url = `${IMO_WEATHER_BASE}/stations?active=true&station_type=sj`;
-  const res = await fetch(url, { cache: "no-cache" });
-  if (!res.ok) throw new Error(`IMO stations HTTP ${res.status}`);
-  const stations = await res.json();
-
-  imoStationsCache = Array.isArray(stations) ? stations : [];
-  imoStationsFetchedAt = now;
-  return imoStationsCache;
+  const r = await cachedFetch("imoStations", "sj", async (signal) => {
+    const res = await schedFetch(url, { cache: "no-cache", signal });
+    if (!res.ok) throw new Error(`IMO stations HTTP ${res.status}`);
+    const stations = await res.json();
+    return Array.isArray(stations) ? stations : [];
+  });
+  return r.value;
 }
 
 function imoNearestStations(lat, lon, stations, n = 3) {
@@ -1637,7 +6242,13 @@ function imoNearestStations(lat, lon, stations, n = 3) {
   return arr.slice(0, n);
 }
 
-async function imoFetchLatest10min(stationIds) {
+// Ergebnis: { value: Observation[], ts, stale } (persistent gecacht, siehe cachedFetch)
+async function imoFetchLatest10min(stationIds, onRevalidated = null) {
+  const ids = (stationIds || []).map(x => String(x));
+  return cachedFetch("weather", `imo-latest|${ids.join(",")}`, () => imoFetchLatest10minNet(ids), { onRevalidated });
+}
+
+async function imoFetchLatest10minNet(stationIds) {
   // IMO liefert Observations typischerweise mit Feld "station" (z.B. 1350).
   // Je nach Endpoint/Schema heißt der Query-Parameter "station" oder "station_id".
   // Wir versuchen daher zuerst "station" (passt zu den Observations), und fallback auf "station_id".
@@ -1647,7 +6258,7 @@ async function imoFetchLatest10min(stationIds) {
     const params = new URLSearchParams();
     for (const id of ids) params.append(paramName, id);
     const url = `${IMO_WEATHER_BASE}/observations/aws/10min/latest?${params.toString()}`;
-    const res = await fetch(url, { cache: "no-cache" });
+    const res = await schedFetch(url, { cache: "no-cache" });
     if (!res.ok) throw new Error(`IMO aws latest HTTP ${res.status}`);
     const data = await res.json();
     return Array.isArray(data) ? data : [];
@@ -1684,7 +6295,7 @@ async function imoFetchRecent10min(stationId, count = 6) {
 
   for (const url of candidates) {
     try {
-      const res = await fetch(url, { cache: "no-store" });
+      const res = await schedFetch(url, { cache: "no-store" });
       if (!res.ok) continue;
 
       const j = await res.json();
@@ -1757,7 +6368,7 @@ function imoTrendLabel(series, keyName) {
   return delta > 0 ? "↗ zunehmend" : "↘ abnehmend";
 }
 
-function imoRenderNowNext({ nearest, latestByStationId, seriesMain }) {
+function imoRenderNowNext({ nearest, latestByStationId, seriesMain, staleTs = null }) {
   imoEnsureUI();
   const nowEl = document.getElementById("imoNow");
   const nextEl = document.getElementById("imoNext");
@@ -1787,7 +6398,8 @@ function imoRenderNowNext({ nearest, latestByStationId, seriesMain }) {
     lines.push(`• <b>${name}</b> (${imoFmt(item.distKm, 1)} km): 💨 ${wind} m/s · 💥 ${gust} m/s · 🧭 ${escapeHtml(dir)} · 🌧️ ${rain} · 🌫️ ${escapeHtml(fog)}`);
   }
 
-  nowEl.innerHTML = `<b>NOW</b> (Messstationen):<br/>${lines.join("<br/>")}`;
+  const age = staleTs ? ` <span style="opacity:.75">· ${escapeHtml(fmtDataAge(staleTs))} – Aktualisierung läuft…</span>` : "";
+  nowEl.innerHTML = `<b>NOW</b> (Messstationen)${age}:<br/>${lines.join("<br/>")}`;
 
   // NEXT: Trend aus den letzten ~60 Minuten (nur Hauptstation = nächste)
   if (!Array.isArray(seriesMain) || !seriesMain.length) {
@@ -1817,7 +6429,7 @@ function _imoColorBadge(color) {
 
 async function imoFetchNearbyAlertIds(lat, lon) {
   const url = `${IMO_CAP_BASE}/lat/${lat}/long/${lon}/srid/${IMO_SRID}/distance/${IMO_CAP_DISTANCE_KM}/`;
-  const res = await fetch(url, { cache: "no-cache" });
+  const res = await schedFetch(url, { cache: "no-cache" });
   if (!res.ok) throw new Error(`IMO CAP HTTP ${res.status}`);
   return await res.json(); // GenericCapMessages
 }
@@ -1827,7 +6439,7 @@ async function imoFetchAlertJson(msg) {
   const identifier = encodeURIComponent(msg.identifier);
   const sent = encodeURIComponent(msg.sent);
   const url = `${IMO_CAP_BASE}/capbroker/sender/${sender}/identifier/${identifier}/sent/${sent}/json/`;
-  const res = await fetch(url, { cache: "no-cache" });
+  const res = await schedFetch(url, { cache: "no-cache" });
   if (!res.ok) throw new Error(`IMO CAP msg HTTP ${res.status}`);
   return await res.json(); // CapMessageJsonResponse
 }
@@ -1907,12 +6519,14 @@ async function imoUpdate(lat, lon, force = false) {
       .map(x => x.station?.station ?? x.station?.id ?? x.station?.station_id ?? x.station?.stationId)
       .filter(x => x !== undefined && x !== null)
       .map(x => String(x));
-    const latest = await imoFetchLatest10min(ids);
-    const latestByStationId = new Map();
-    for (const o of latest) {
-      const sid = o?.station_id ?? o?.stationId ?? o?.id ?? o?.station;
-      if (sid !== undefined && sid !== null) latestByStationId.set(String(sid), o);
-    }
+    const byStation = (latest) => {
+      const m = new Map();
+      for (const o of (latest || [])) {
+        const sid = o?.station_id ?? o?.stationId ?? o?.id ?? o?.station;
+        if (sid !== undefined && sid !== null) m.set(String(sid), o);
+      }
+      return m;
+    };
 
     // 3) Series für die nächste Station (Trend ~60 min)
     // NEXT ist optional: darf NOW nicht killen.
@@ -1921,7 +6535,10 @@ async function imoUpdate(lat, lon, force = false) {
     // Daher ist NEXT hier bewusst deaktiviert, bis wir eine verlässlich valide Serien-Abfrage haben.
     let seriesMain = [];
 
-    imoRenderNowNext({ nearest, latestByStationId, seriesMain });
+    const latest = await imoFetchLatest10min(ids, (fresh) => {
+      if (imoLastKey === key) imoRenderNowNext({ nearest, latestByStationId: byStation(fresh), seriesMain });
+    });
+    imoRenderNowNext({ nearest, latestByStationId: byStation(latest.value), seriesMain, staleTs: latest.stale ? latest.ts : null });
 
     // 4) CAP Alerts
     try {
@@ -2534,29 +7151,7 @@ function _renderSpotPill() {
 function _ensureSpotUI() {
   if (document.getElementById("spotBox")) return;
 
-  const box = document.createElement("div");
-  box.id = "spotBox";
-  box.setAttribute("data-panel-id", "spot");
-  box.setAttribute("data-panel-collapsible", "1");
-  box.style.marginTop = "10px";
-  box.style.padding = "10px";
-  box.style.borderRadius = "10px";
-  box.style.border = "1px solid rgba(255,255,255,0.08)";
-  box.style.background = "rgba(0,0,0,0.25)";
-  box.style.color = "inherit";
-
-  box.innerHTML = `
-    <div style="display:flex; align-items:center; justify-content:space-between; gap:10px;">
-      <div style="font-weight:800;">Spot-Modus</div>
-      <div style="display:flex; align-items:center; gap:8px;">
-        <div id="spotPill" style="padding:4px 10px; border-radius:999px; font-size:12px; border:1px solid rgba(255,255,255,0.12); opacity:.9;">
-        —
-      </div>
-        <button type="button" data-panel-toggle="spot" aria-label="Spot Panel ein/ausklappen">▾</button>
-      </div>
-    </div>
-
-    <div data-panel-body>
+  const box = createPanel("spot", "Spot-Modus", `
     <div style="margin-top:8px; display:flex; gap:8px; flex-wrap:wrap;">
       <button id="btnSpotDrone" type="button" style="padding:8px 10px; border-radius:10px; border:1px solid rgba(255,255,255,0.12); background:rgba(255,255,255,0.06); color:inherit; cursor:pointer;">
         ${_spotSafe(SPOT_MODES.drone.title)}
@@ -2573,12 +7168,7 @@ function _ensureSpotUI() {
     <div style="margin-top:6px; opacity:.65; font-size:12px; line-height:1.25;">
       Spots sind Inspiration/Orientierung. Keine Navigation, kein Routing, keine Google-Dienste.
     </div>
-  </div>
-  `;
-
-  if (window.__DA_PANEL__ && window.__DA_PANEL__.register) {
-    window.__DA_PANEL__.register(box, "spot", true);
-  }
+  `, { headerHtml: `<div id="spotPill" style="padding:4px 10px; border-radius:999px; font-size:12px; border:1px solid rgba(255,255,255,0.12); opacity:.9;">—</div>` });
 
   const anchor = document.getElementById("windBox") || document.getElementById("detail") || document.body;
   anchor.parentNode.insertBefore(box, anchor.nextSibling);
@@ -2721,6 +7311,323 @@ const _spotInfoWait = setInterval(() => {
   } catch (_) {}
 }, 250);
 
+// =============================
+// ORTSSUCHE – offline, Akzente/Sonderzeichen egal ("thingvellir" → Þingvellir, "skogafoss" → Skógafoss)
+// - Quellen: gebündeltes Gazetteer (Orte, Höfe, Wasserfälle, Berge) + beide Spot-Kataloge
+// - Auswahl setzt den Pin und startet die Prüfung (wie ein Spot-Klick)
+// - Koordinaten = Ortsmitte / Hauptpunkt, keine Adressen
+// =============================
+const PLACE_SEARCH_MAX_RESULTS = 8;
+const PLACE_TYPE_LABEL = {
+  town: "Ort",
+  farm: "Hof",
+  waterfall: "Wasserfall",
+  mountain: "Berg / Vulkan",
+  site: "Sehenswürdigkeit",
+  drone: "Drohnen-Spot",
+  photo: "Foto-Spot",
+};
+
+// [name, type, lat, lon, alternative Namen?]
+const ICELAND_GAZETTEER_RAW = [
+  // Orte
+  ["Reykjavík", "town", 64.1466, -21.9426],
+  ["Kópavogur", "town", 64.1123, -21.9086],
+  ["Hafnarfjörður", "town", 64.0671, -21.9377],
+  ["Garðabær", "town", 64.0886, -21.9226],
+  ["Mosfellsbær", "town", 64.1667, -21.7000],
+  ["Seltjarnarnes", "town", 64.1530, -21.9990],
+  ["Keflavík", "town", 64.0049, -22.5624, ["Reykjanesbær"]],
+  ["Grindavík", "town", 63.8424, -22.4338],
+  ["Sandgerði", "town", 64.0380, -22.7100],
+  ["Akranes", "town", 64.3218, -22.0749],
+  ["Borgarnes", "town", 64.5383, -21.9206],
+  ["Reykholt", "town", 64.6650, -21.2920],
+  ["Stykkishólmur", "town", 65.0750, -22.7300],
+  ["Grundarfjörður", "town", 64.9240, -23.2590],
+  ["Ólafsvík", "town", 64.8945, -23.7090],
+  ["Hellissandur", "town", 64.9160, -23.8860],
+  ["Arnarstapi", "town", 64.7680, -23.6230],
+  ["Hellnar", "town", 64.7510, -23.6470],
+  ["Búðardalur", "town", 65.1100, -21.7680],
+  ["Ísafjörður", "town", 66.0749, -23.1350],
+  ["Bolungarvík", "town", 66.1566, -23.2490],
+  ["Súðavík", "town", 66.0330, -22.9920],
+  ["Flateyri", "town", 66.0490, -23.5080],
+  ["Suðureyri", "town", 66.1290, -23.5300],
+  ["Þingeyri", "town", 65.8740, -23.4900],
+  ["Bíldudalur", "town", 65.6860, -23.6010],
+  ["Tálknafjörður", "town", 65.6250, -23.8260],
+  ["Patreksfjörður", "town", 65.5960, -23.9980],
+  ["Hólmavík", "town", 65.7060, -21.6750],
+  ["Hvammstangi", "town", 65.3950, -20.9450],
+  ["Blönduós", "town", 65.6600, -20.2790],
+  ["Skagaströnd", "town", 65.8260, -20.3200],
+  ["Sauðárkrókur", "town", 65.7460, -19.6390],
+  ["Varmahlíð", "town", 65.5530, -19.4510],
+  ["Hofsós", "town", 65.9000, -19.4170],
+  ["Siglufjörður", "town", 66.1520, -18.9090],
+  ["Ólafsfjörður", "town", 66.0730, -18.6490],
+  ["Dalvík", "town", 65.9700, -18.5290],
+  ["Hrísey", "town", 65.9800, -18.3800],
+  ["Akureyri", "town", 65.6835, -18.0878],
+  ["Grenivík", "town", 65.9480, -18.1800],
+  ["Húsavík", "town", 66.0449, -17.3389],
+  ["Reykjahlíð", "town", 65.6440, -16.9120, ["Mývatn"]],
+  ["Kópasker", "town", 66.3000, -16.4500],
+  ["Raufarhöfn", "town", 66.4540, -15.9450],
+  ["Þórshöfn", "town", 66.2010, -15.3330],
+  ["Vopnafjörður", "town", 65.7560, -14.8300],
+  ["Egilsstaðir", "town", 65.2653, -14.3948],
+  ["Seyðisfjörður", "town", 65.2600, -14.0100],
+  ["Neskaupstaður", "town", 65.1480, -13.6830],
+  ["Eskifjörður", "town", 65.0730, -14.0160],
+  ["Reyðarfjörður", "town", 65.0320, -14.2180],
+  ["Fáskrúðsfjörður", "town", 64.9330, -14.0100],
+  ["Stöðvarfjörður", "town", 64.8330, -13.8750],
+  ["Breiðdalsvík", "town", 64.7910, -14.0080],
+  ["Djúpivogur", "town", 64.6560, -14.2840],
+  ["Höfn", "town", 64.2539, -15.2082, ["Höfn í Hornafirði"]],
+  ["Kirkjubæjarklaustur", "town", 63.7890, -18.0560],
+  ["Vík í Mýrdal", "town", 63.4186, -19.0060, ["Vík"]],
+  ["Hvolsvöllur", "town", 63.7530, -20.2240],
+  ["Hella", "town", 63.8360, -20.3990],
+  ["Selfoss", "town", 63.9331, -20.9971],
+  ["Hveragerði", "town", 64.0000, -21.1860],
+  ["Þorlákshöfn", "town", 63.8560, -21.3830],
+  ["Eyrarbakki", "town", 63.8640, -21.1500],
+  ["Stokkseyri", "town", 63.8360, -21.0600],
+  ["Flúðir", "town", 64.1330, -20.3160],
+  ["Laugarvatn", "town", 64.2150, -20.7320],
+  ["Heimaey", "town", 63.4420, -20.2730, ["Vestmannaeyjar"]],
+
+  // Höfe / historische Hofstellen
+  ["Bessastaðir", "farm", 64.1070, -22.0010],
+  ["Skálholt", "farm", 64.1260, -20.5260],
+  ["Oddi", "farm", 63.7750, -20.3960],
+  ["Keldur", "farm", 63.8200, -20.0760],
+  ["Hlíðarendi", "farm", 63.7440, -19.9700],
+  ["Stöng", "farm", 64.1080, -19.8350],
+  ["Hof í Öræfum", "farm", 63.9240, -16.6950],
+  ["Skaftafell", "farm", 64.0160, -16.9700],
+  ["Glaumbær", "farm", 65.6110, -19.5060],
+  ["Hólar í Hjaltadal", "farm", 65.7330, -19.1130, ["Hólar"]],
+  ["Laufás", "farm", 65.8860, -18.0770],
+  ["Möðrudalur", "farm", 65.3730, -15.8810],
+  ["Skriðuklaustur", "farm", 65.0400, -14.9560],
+  ["Borg á Mýrum", "farm", 64.5580, -21.9270],
+
+  // Wasserfälle
+  ["Gullfoss", "waterfall", 64.3271, -20.1199],
+  ["Seljalandsfoss", "waterfall", 63.6156, -19.9886],
+  ["Gljúfrabúi", "waterfall", 63.6210, -19.9860],
+  ["Skógafoss", "waterfall", 63.5321, -19.5114],
+  ["Kvernufoss", "waterfall", 63.5280, -19.4800],
+  ["Dettifoss", "waterfall", 65.8147, -16.3846],
+  ["Selfoss (Jökulsá á Fjöllum)", "waterfall", 65.8000, -16.3840],
+  ["Hafragilsfoss", "waterfall", 65.8340, -16.4090],
+  ["Goðafoss", "waterfall", 65.6828, -17.5502],
+  ["Aldeyjarfoss", "waterfall", 65.3650, -17.3400],
+  ["Dynjandi", "waterfall", 65.7325, -23.1996, ["Fjallfoss"]],
+  ["Svartifoss", "waterfall", 64.0275, -16.9753],
+  ["Háifoss", "waterfall", 64.2073, -19.6865],
+  ["Kirkjufellsfoss", "waterfall", 64.9260, -23.3090],
+  ["Glymur", "waterfall", 64.3910, -21.2520],
+  ["Hraunfossar", "waterfall", 64.7030, -20.9780],
+  ["Barnafoss", "waterfall", 64.7020, -20.9720],
+  ["Hengifoss", "waterfall", 65.0730, -14.8800],
+  ["Öxarárfoss", "waterfall", 64.2660, -21.1170],
+  ["Faxi", "waterfall", 64.2260, -20.3380, ["Vatnsleysufoss"]],
+  ["Brúarfoss", "waterfall", 64.2640, -20.5160],
+
+  // Berge / Vulkane / Gletscher
+  ["Hvannadalshnúkur", "mountain", 64.0140, -16.6770],
+  ["Herðubreið", "mountain", 65.1770, -16.3500],
+  ["Snæfell", "mountain", 64.8000, -15.5650],
+  ["Snæfellsjökull", "mountain", 64.8080, -23.7760],
+  ["Hekla", "mountain", 63.9920, -19.6660],
+  ["Katla", "mountain", 63.6330, -19.0500, ["Mýrdalsjökull"]],
+  ["Eyjafjallajökull", "mountain", 63.6300, -19.6200],
+  ["Esja", "mountain", 64.2430, -21.6280],
+  ["Kirkjufell", "mountain", 64.9420, -23.3070],
+  ["Keilir", "mountain", 63.9430, -22.1720],
+  ["Fagradalsfjall", "mountain", 63.9000, -22.2700],
+  ["Akrafjall", "mountain", 64.3570, -21.9520],
+  ["Hengill", "mountain", 64.0800, -21.3170],
+  ["Helgafell", "mountain", 65.0480, -22.7390],
+  ["Eldfell", "mountain", 63.4330, -20.2480],
+  ["Hverfjall", "mountain", 65.6060, -16.8720, ["Hverfell"]],
+  ["Krafla", "mountain", 65.7300, -16.7800],
+  ["Askja", "mountain", 65.0500, -16.7500],
+  ["Kerlingarfjöll", "mountain", 64.6500, -19.3000],
+  ["Vestrahorn", "mountain", 64.2600, -14.9800],
+  ["Búlandstindur", "mountain", 64.7070, -14.4550],
+  ["Lómagnúpur", "mountain", 63.9800, -17.6100],
+
+  // Sehenswürdigkeiten / Gebiete
+  ["Þingvellir", "site", 64.2559, -21.1299],
+  ["Geysir", "site", 64.3104, -20.3024, ["Strokkur"]],
+  ["Jökulsárlón", "site", 64.0480, -16.1790],
+  ["Fjallsárlón", "site", 64.0150, -16.3780],
+  ["Bláa lónið", "site", 63.8804, -22.4495, ["Blue Lagoon"]],
+  ["Kerið", "site", 64.0410, -20.8850],
+  ["Landmannalaugar", "site", 63.9830, -19.0670],
+  ["Þórsmörk", "site", 63.6830, -19.5170],
+  ["Dyrhólaey", "site", 63.4020, -19.1300],
+  ["Reynisfjara", "site", 63.4040, -19.0450],
+  ["Ásbyrgi", "site", 66.0170, -16.5070],
+  ["Mývatn", "site", 65.6040, -16.9960],
+  ["Hveravellir", "site", 64.8660, -19.5560],
+  ["Hvítserkur", "site", 65.6070, -20.6370],
+  ["Stuðlagil", "site", 65.1640, -15.3080],
+];
+
+// Kleinschreibung, isländische Sonderzeichen ausgeschrieben, Akzente entfernt
+function normalizePlaceText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/þ/g, "th")
+    .replace(/ð/g, "d")
+    .replace(/æ/g, "ae")
+    .replace(/ö/g, "o")
+    .replace(/ø/g, "o")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+let _placeIndex = null; // [{ name, type, lat, lon, keys[], spot? }]
+
+function _placeBuildIndex() {
+  if (_placeIndex) return _placeIndex;
+  const out = [];
+  for (const [name, type, lat, lon, alt] of ICELAND_GAZETTEER_RAW) {
+    out.push({ name, type, lat, lon, keys: [name, ...(alt || [])].map(normalizePlaceText) });
+  }
+  // Spot-Kataloge (gleiche Normalisierung wie der Spot-Layer)
+  if (!_DRONE_SPOTS.length) _DRONE_SPOTS = _validateSpots("drone", DRONE_SPOTS_RAW);
+  if (!_PHOTO_SPOTS.length) _PHOTO_SPOTS = _validateSpots("photo", PHOTO_SPOTS_RAW);
+  for (const [type, spots] of [["drone", _DRONE_SPOTS], ["photo", _PHOTO_SPOTS]]) {
+    for (const s of spots) {
+      if (!s.name || !Number.isFinite(s.lat) || !Number.isFinite(s.lon)) continue;
+      out.push({ name: s.name, type, lat: s.lat, lon: s.lon, keys: [normalizePlaceText(s.name)], spot: s });
+    }
+  }
+  _placeIndex = out;
+  return out;
+}
+
+// Rang: exakter Name < Namensanfang < Wortanfang < irgendwo enthalten; dann Gazetteer vor Spots, kürzer zuerst
+function _placeScore(place, q) {
+  let best = Infinity;
+  for (const k of place.keys) {
+    let r = Infinity;
+    if (k === q) r = 0;
+    else if (k.startsWith(q)) r = 1;
+    else if ((" " + k).includes(" " + q)) r = 2;
+    else if (k.includes(q)) r = 3;
+    best = Math.min(best, r);
+  }
+  return best;
+}
+
+function searchPlaces(query, max = PLACE_SEARCH_MAX_RESULTS) {
+  const q = normalizePlaceText(query);
+  if (!q) return [];
+  return _placeBuildIndex()
+    .map((p) => ({ p, r: _placeScore(p, q) }))
+    .filter((x) => x.r !== Infinity)
+    .sort((a, b) => (a.r - b.r) || ((a.p.spot ? 1 : 0) - (b.p.spot ? 1 : 0)) || (a.p.name.length - b.p.name.length))
+    .slice(0, max)
+    .map((x) => x.p);
+}
+
+async function _jumpToPlace(place) {
+  if (!place) return;
+  if (place.spot) return _jumpToSpot(place.spot);
+
+  const g = guardToIceland(place.lat, place.lon, "Island-only: Ort liegt außerhalb des erlaubten Bereichs.");
+  try { _clearSelectedSpotName(); } catch (_) {}
+  try { setMode("manual"); } catch (_) {}
+  try { setInputs(g.lat, g.lon); } catch (_) {}
+  try { updatePills(g.lat, g.lon, "Ortssuche"); } catch (_) {}
+  try { updateMap(g.lat, g.lon, null); } catch (_) {}
+  try { manualCoords = { lat: g.lat, lon: g.lon }; } catch (_) {}
+
+  try { await runCheckWithCoords(g.lat, g.lon, "Ortssuche", null); } catch (_) {}
+}
+
+(function installPlaceSearch() {
+  const input = document.getElementById("placeSearch");
+  const list = document.getElementById("placeResults");
+  if (!input || !list) return;
+
+  let results = [];
+  let active = -1;
+
+  const close = () => {
+    results = [];
+    active = -1;
+    list.innerHTML = "";
+    list.style.display = "none";
+  };
+
+  const render = () => {
+    if (!results.length) {
+      list.style.display = input.value.trim() ? "" : "none";
+      list.innerHTML = input.value.trim() ? `<div style="padding:6px 8px; opacity:.7;">Kein Treffer im Offline-Verzeichnis.</div>` : "";
+      return;
+    }
+    list.style.display = "";
+    list.innerHTML = results.map((p, i) => `
+      <button type="button" data-place-index="${i}"
+        style="display:flex; justify-content:space-between; gap:8px; width:100%; text-align:left; padding:6px 8px; border:0; border-radius:8px; color:inherit; cursor:pointer; background:${i === active ? "rgba(255,255,255,0.12)" : "transparent"};">
+        <span><b>${escapeHtml(p.name)}</b></span>
+        <span style="opacity:.65; white-space:nowrap;">${escapeHtml(PLACE_TYPE_LABEL[p.type] || p.type)}</span>
+      </button>`).join("");
+  };
+
+  const pick = (i) => {
+    const p = results[i];
+    if (!p) return;
+    input.value = p.name;
+    close();
+    _jumpToPlace(p);
+  };
+
+  input.addEventListener("input", () => {
+    results = searchPlaces(input.value);
+    active = results.length ? 0 : -1;
+    render();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!results.length) return;
+      e.preventDefault();
+      active = (active + (e.key === "ArrowDown" ? 1 : -1) + results.length) % results.length;
+      render();
+    } else if (e.key === "Enter") {
+      if (active >= 0) {
+        e.preventDefault();
+        pick(active);
+      }
+    } else if (e.key === "Escape") {
+      close();
+    }
+  });
+
+  // mousedown statt click: feuert vor dem blur des Eingabefelds
+  list.addEventListener("mousedown", (e) => {
+    const b = e.target.closest ? e.target.closest("[data-place-index]") : null;
+    if (!b) return;
+    e.preventDefault();
+    pick(Number(b.getAttribute("data-place-index")));
+  });
+  input.addEventListener("blur", () => setTimeout(close, 150));
+})();
+
 // =============================
 // MAP ACTIONS – Koordinaten-Übergabe (immer verfügbar, unter der Karte)
 // - Keine Navigation in der App. Nur Übergabe an Karten-/Navi-App oder Copy.
@@ -3672,29 +8579,7 @@ function sunEnsureUI() {
   const anchor = imo || document.getElementById("windBox") || document.getElementById("detail") || document.getElementById("state") || document.body;
   if (!anchor || !anchor.parentNode) return;
 
-  const box = document.createElement("div");
-  box.id = "sunBox";
-  box.setAttribute("data-panel-id", "sun");
-  box.setAttribute("data-panel-collapsible", "1");
-  box.style.marginTop = "10px";
-  box.style.padding = "10px";
-  box.style.borderRadius = "10px";
-  box.style.border = "1px solid rgba(255,255,255,0.08)";
-  box.style.background = "rgba(0,0,0,0.25)";
-  box.style.color = "inherit";
-
-  box.innerHTML = `
-    <div style="display:flex; align-items:center; justify-content:space-between; gap:10px;">
-      <div style="font-weight:700;">Licht & Wetter (Sunrise → Sunset)</div>
-      <div style="display:flex; align-items:center; gap:8px;">
-        <div style="opacity:.65; font-size:12px;">Data: Open-Meteo</div>
-        <button type="button" id="sunModeToggle" data-sun-mode-toggle="1" aria-label="Zeitachse umschalten" style="border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.06); color:inherit; border-radius:999px; padding:4px 10px; font-size:12px; cursor:pointer;">Foto</button>
-        <button type="button" data-panel-toggle="sun" aria-label="Licht Panel ein/ausklappen">▾</button>
-      </div>
-    </div>
-
-    <div data-panel-body>
-
+  const box = createPanel("sun", "Licht & Wetter (Sunrise → Sunset)", `
     <div id="sunMeta" style="margin-top:6px; opacity:.9; font-size:13px; line-height:1.35;">—</div>
 
     <canvas id="sunCurve" width="680" height="90" style="width:100%; height:90px; margin-top:8px; display:block; border-radius:8px; background:rgba(255,255,255,0.03);"></canvas>
@@ -3743,9 +8628,12 @@ function sunEnsureUI() {
         </div>
       </div>
     </div>
-
-  </div>
-  `;
+  `, {
+    headerHtml: `
+      <div style="opacity:.65; font-size:12px;">Data: Open-Meteo</div>
+      <button type="button" id="sunModeToggle" data-sun-mode-toggle="1" aria-label="Zeitachse umschalten" style="border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.06); color:inherit; border-radius:999px; padding:4px 10px; font-size:12px; cursor:pointer;">Foto</button>
+    `,
+  });
 
   // Unter IMO einhängen, wenn vorhanden, sonst nach anchor
   try {
@@ -3884,7 +8772,7 @@ function sunRender(payload) {
     return;
   }
 
-  const { sunriseUTC, sunsetUTC, hours, tz, nowUTC } = payload;
+  const { sunriseUTC, sunsetUTC, hours, tz, nowUTC, staleTs } = payload;
 
   const sr = sunFmtHHMM(sunriseUTC, tz);
   const ss = sunFmtHHMM(sunsetUTC, tz);
@@ -3910,7 +8798,8 @@ function sunRender(payload) {
     }
   } catch (_) {}
 
-  meta.innerHTML = `🌅 <b>${sr}</b> &nbsp;→&nbsp; 🌇 <b>${ss}</b> &nbsp;•&nbsp; Restlicht: <b>${rest}</b>`;
+  meta.innerHTML = `🌅 <b>${sr}</b> &nbsp;→&nbsp; 🌇 <b>${ss}</b> &nbsp;•&nbsp; Restlicht: <b>${rest}</b>`
+    + (staleTs ? `<br/><span style="opacity:.75">Vorhersage ${escapeHtml(fmtDataAge(staleTs))} – Aktualisierung läuft…</span>` : "");
 
   // Axis labels (Mode: photo / 24h)
   try {
@@ -4231,7 +9120,8 @@ function sunStartAutoPlay() {
 }
 
 // --- Fetch + Mapping ---
-async function sunFetchHourly(lat, lon, tz = SUN_TZ) {
+// -> { hourly, stale, ts } (stale: Stand aus älterem Cache, Erneuerung läuft -> onRevalidated)
+async function sunFetchHourly(lat, lon, tz = SUN_TZ, onRevalidated = null) {
   const params = new URLSearchParams({
     latitude: lat.toFixed(4),
     longitude: lon.toFixed(4),
@@ -4239,10 +9129,14 @@ async function sunFetchHourly(lat, lon, tz = SUN_TZ) {
     timezone: tz,
   });
   const url = `${SUN_API_BASE}?${params.toString()}`;
-  const res = await fetch(url, { cache: "no-cache" });
-  if (!res.ok) throw new Error(`SunWeather HTTP ${res.status}`);
-  const js = await res.json();
-  return js?.hourly || null;
+  // Stundenvorhersage: ein veralteter Stand ist weiterhin brauchbar (Erneuerung im Hintergrund)
+  const r = await cachedFetch("weather", `hourly|${tz}|${lat.toFixed(2)},${lon.toFixed(2)}`, async (signal) => {
+    const res = await schedFetch(url, { cache: "no-cache", signal });
+    if (!res.ok) throw new Error(`SunWeather HTTP ${res.status}`);
+    const js = await res.json();
+    return js?.hourly || null;
+  }, { onRevalidated });
+  return { hourly: r.value, stale: r.stale, ts: r.ts };
 }
 
 function sunNormalizeHourly(hourly) {
@@ -4381,6 +9275,7 @@ function sunRenderFromRaw(raw) {
       hours: slots || [],
       tz: raw.tz || SUN_TZ,
       nowUTC,
+      staleTs: raw.staleTs || null,
     });
 
     // Planung (+48h) aktualisieren, falls geöffnet
@@ -4802,9 +9697,9 @@ async function sunUpdate(lat, lon, force = false) {
     const d = sunNowInTz(SUN_TZ);
     const times = sunCalcSunTimesUTC(lat, lon, d.y, d.m, d.d);
 
-    const hourlyRaw = await sunFetchHourly(lat, lon, SUN_TZ);
-    
-    const hoursAll = sunNormalizeHourly(hourlyRaw);
+    const fc = await sunFetchHourly(lat, lon, SUN_TZ, () => sunUpdate(lat, lon, true));
+
+    const hoursAll = sunNormalizeHourly(fc.hourly);
     // Raw speichern (für Umschalten ohne neue API Calls)
     try{
       window.__DA_SUN_RAW__ = {
@@ -4815,6 +9710,7 @@ async function sunUpdate(lat, lon, force = false) {
         sunsetUTC: times.sunset,
         hoursAll: (Array.isArray(hoursAll) ? hoursAll : []),
         tz: SUN_TZ,
+        staleTs: fc.stale ? fc.ts : null,
       };
     }catch(_){}
 
@@ -5171,6 +10067,8 @@ const AURORA_THROTTLE_MS = 90 * 1000;
   let auroraLastKey = '';
   let auroraSelectedIdx = 0; // 0..48 (0 = jetzt)
   let auroraKpSeries = null; // array length 49
+  let auroraKpStaleTs = null; // Stand des KP aus veraltetem Cache (null = frisch)
+  let auroraWxStaleTs = null; // dito für Wolken/Regen (Open-Meteo)
   let auroraWxSeries = null; // array length 49 {cloud, pp, pr}
   let auroraNow0 = 0;
 
@@ -5522,33 +10420,8 @@ function ensureAuroraUI(){
     const parent = sunBox ? sunBox.parentElement : document.getElementById('detail');
     if (!parent) return;
 
-    const box = document.createElement('div');
-    box.className = 'box';
-
-    // Step4: match the visual 'card' language of other panels (minimal, tool-like)
-    box.style.marginTop = '10px';
-    box.style.padding = '10px';
-    box.style.borderRadius = '10px';
-    box.style.border = '1px solid rgba(255,255,255,0.08)';
-    box.style.background = 'rgba(0,0,0,0.25)';
-    box.style.color = 'inherit';
-    box.id = 'auroraBox';
-    box.setAttribute('data-panel-id', AURORA_PANEL_ID);
-    box.setAttribute('data-panel-collapsible', '1');
-
-    box.innerHTML = `
-<div style="display:flex; align-items:center; justify-content:space-between; gap:10px;">
-    <div style="font-weight:700;">Aurora (KP) &amp; Himmel</div>
-    <div style="display:flex; align-items:center; gap:8px;">
-      <div style="opacity:.65; font-size:12px;">Data: NOAA/SWPC + Open-Meteo</div>
-      <button type="button" id="auroraToggleBtn" aria-expanded="true" aria-label="Panel ein-/ausklappen"
-        style="border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.06); color:inherit; border-radius:999px; padding:6px 10px; cursor:pointer; line-height:1;">
-        ▾
-      </button>
-    </div>
-  </div>
-
-  <div id="auroraBody" style="margin-top:10px;">
+    const box = createPanel(AURORA_PANEL_ID, 'Aurora (KP) & Himmel', `
+  <div id="auroraBody">
     <div class="small-note">KP ist global (Geophysik). Sichtbar wird’s nur in Dunkelheit. Wolken/Regen sind standortbezogen.</div>
 
     <div style="margin-top:10px; opacity:.95; font-weight:700;">Jetzt – Nachtfenster</div>
@@ -5601,18 +10474,10 @@ function ensureAuroraUI(){
       <div id="auroraSel" style="margin-top:8px; opacity:.95;">Auswahl +0h: · KP — (—) · —% Wolken · —% Regenrisiko · Niederschlag: — mm</div>
     </div>
   </div>
-`;
-// Step4: collapse/expand (toggle on the right, like other boxes)
-    const tBtn = box.querySelector('#auroraToggleBtn');
-    const body = box.querySelector('#auroraBody');
-    if (tBtn && body){
-      tBtn.addEventListener('click', () => {
-        const isOpen = body.style.display !== 'none';
-        body.style.display = isOpen ? 'none' : '';
-        tBtn.textContent = isOpen ? '▸' : '▾';
-        tBtn.setAttribute('aria-expanded', isOpen ? 'false' : 'true');
-      });
-    }
+`, {
+      headerHtml: `<div style="opacity:.65; font-size:12px;">Data: NOAA/SWPC + Open-Meteo</div>`,
+    });
+
 // insert directly after sunBox (visual pairing)
     if (sunBox && sunBox.nextSibling){
       parent.insertBefore(box, sunBox.nextSibling);
@@ -5620,13 +10485,6 @@ function ensureAuroraUI(){
       parent.appendChild(box);
     }
 
-    // Register in collapsible system (session-only)
-    try{
-      if (window.__DA_PANEL__ && window.__DA_PANEL__.register){
-        window.__DA_PANEL__.register(box, AURORA_PANEL_ID, false);
-      }
-    }catch(_){}
-  
 // Step9: plan (+48h) collapse/expand (matches other boxes)
 const pBtn = box.querySelector('#auroraPlanToggle');
 const pBody = box.querySelector('#auroraPlanBody');
@@ -5847,7 +10705,9 @@ const __da_now_tStart = new Date(Date.now() + winStart*3600*1000);
 const __da_now_tEnd   = new Date(Date.now() + winEnd*3600*1000);
 try{ renderAuroraNowTimeline2h(__da_now_tStart.getTime(), __da_now_tEnd.getTime()); }catch(_){ }
 if (nowMetaEl){
-  nowMetaEl.textContent = (dark2[winStart] === true) ? `Dunkel: +${winStart}h bis +${winEnd}h` : `Kein Dunkelfenster in Sicht`;
+  nowMetaEl.textContent = ((dark2[winStart] === true) ? `Dunkel: +${winStart}h bis +${winEnd}h` : `Kein Dunkelfenster in Sicht`)
+    + (auroraKpStaleTs ? ` · KP ${fmtDataAge(auroraKpStaleTs)}` : '')
+    + (auroraWxStaleTs ? ` · Wolken ${fmtDataAge(auroraWxStaleTs)}` : '');
 }
 // NOW: photographer hour-axis under the bars (hourly, starting at "now")
 try{
@@ -6142,7 +11002,7 @@ try{
 }
 
   async function fetchJson(url){
-    const res = await fetch(url, { cache:'no-cache' });
+    const res = await schedFetch(url, { cache:'no-cache' });
     if (!res.ok) throw new Error('HTTP ' + res.status);
     return await res.json();
   }
@@ -6259,12 +11119,17 @@ function parseKpSeries(js){
       auroraNow0 = now;
 
       // 1) KP from NOAA (global)
+      // persistent gecacht (cachedFetch "kp"); veralteter Stand wird angezeigt und im Hintergrund erneuert
       let kpRows = [];
+      auroraKpStaleTs = null;
       for (const url of AURORA_KP_URLS){
         try{
-          const js = await fetchJson(url);
-          kpRows = parseKpSeries(js);
-          if (kpRows.length) break;
+          const r = await cachedFetch('kp', url, () => fetchJson(url));
+          kpRows = parseKpSeries(r.value);
+          if (kpRows.length){
+            if (r.stale) auroraKpStaleTs = r.ts;
+            break;
+          }
         }catch(_){}
       }
 
@@ -6277,9 +11142,12 @@ function parseKpSeries(js){
 
       // 2) Wolken/Regen vom Standort (Open-Meteo Hourly)
       let hourly = null;
+      auroraWxStaleTs = null;
       try{
         if (typeof sunFetchHourly === 'function'){
-          hourly = await sunFetchHourly(lat, lon, 'UTC');
+          const fc = await sunFetchHourly(lat, lon, 'UTC');
+          hourly = fc.hourly;
+          if (fc.stale) auroraWxStaleTs = fc.ts;
         }
       }catch(_){}
       let norm = [];